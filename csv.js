@@ -0,0 +1,95 @@
+// Provide a high-level description of the CSV helpers.
+/**
+ * Small CSV helpers shared by the deck importer and the score export/import.
+ * Handles quoted fields, doubled quotes inside quotes, and both LF and CRLF line endings.
+ */
+
+// Document what the parseCsv function does in this block comment.
+/**
+ * Parses CSV text into an array of rows.
+ * @param {string} text - Raw CSV file contents.
+ * @returns {string[][]} One array of cell strings per non-empty row.
+ */
+function parseCsv(text) {
+    // Strip a UTF-8 byte order mark that spreadsheet apps like to add.
+    const source = String(text || "").replace(/^\uFEFF/, "");
+    // Collect finished rows here.
+    const rows = [];
+    // Hold the cells of the row being read.
+    let row = [];
+    // Hold the characters of the cell being read.
+    let cell = "";
+    // Track whether we are inside a quoted cell.
+    let inQuotes = false;
+
+    // Walk the text one character at a time.
+    for (let i = 0; i < source.length; i++) {
+        // Read the current character.
+        const ch = source[i];
+        // Inside quotes, only a quote character is special.
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                // A doubled quote is an escaped literal quote.
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                // A single quote closes the quoted section.
+                inQuotes = false;
+            } else {
+                // Anything else (including commas and newlines) is cell content.
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            // Open a quoted section.
+            inQuotes = true;
+        } else if (ch === ",") {
+            // A comma finishes the current cell.
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            // Treat CRLF as a single line break.
+            if (ch === "\r" && source[i + 1] === "\n") i++;
+            // A line break finishes the current cell and row.
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            // Regular character: append to the current cell.
+            cell += ch;
+        }
+    }
+
+    // Flush the last row when the file does not end with a newline.
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop rows that are completely blank.
+    return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Quote one cell when it contains a comma, quote or line break.
+function formatCell(value) {
+    // Show missing values as empty cells.
+    const text = value === null || value === undefined ? "" : String(value);
+    // Double any quotes and wrap the cell when needed.
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Document what the toCsv function does in this block comment.
+/**
+ * Turns rows of values into CSV text (CRLF line endings, as spreadsheet apps expect).
+ * @param {Array<Array<*>>} rows - One array of cell values per row, header first.
+ * @returns {string} The CSV text.
+ */
+function toCsv(rows) {
+    return rows.map((row) => row.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Expose the public helpers.
+export {
+    parseCsv,
+    toCsv
+};
@@ -0,0 +1,284 @@
+// Provide a high-level description of the daily challenge module.
+/**
+ * The daily challenge: one quiz per calendar day, the same for everyone who plays it.
+ * The date seeds a small deterministic random number generator (a string hash feeding
+ * mulberry32), which picks the questions from the offline bank and shuffles their answers,
+ * so every device builds the identical quiz without a server. Dates are local, so players
+ * in different time zones switch to the next quiz at their own midnight.
+ * Attempts are kept in localStorage: one per day, with the result grid and the daily streak.
+ * The day's attempt is used up once its questions are on screen; a round interrupted after
+ * that comes back through the resume prompt, and only a round that failed to load is released.
+ * The challenge is registered as the "daily" question provider.
+ */
+
+// Import the modules this one builds on.
+import { questionBank } from "./question-bank.js";
+import * as i18n from "./i18n.js";
+import * as questions from "./questions.js";
+
+// localStorage key for the attempts.
+const STORAGE_KEY = "triviaDaily";
+// Number of questions in each day's quiz.
+const DAILY_SIZE = 10;
+// Days of attempts kept; older ones no longer affect the streak shown.
+const MAX_DAYS_KEPT = 400;
+// Squares used in the shareable grid.
+const GRID_SQUARES = { correct: "🟩", wrong: "🟥", unanswered: "⬜" };
+
+// Document what the hashString function does in this block comment.
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a), to seed the generator.
+ * @param {string} text - The text to hash.
+ * @returns {number} The hash.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Document what the createSeededRandom function does in this block comment.
+/**
+ * Creates a mulberry32 generator: the same seed always yields the same sequence.
+ * @param {number|string} seed - A 32-bit number, or a string that is hashed first.
+ * @returns {function(): number} A function returning numbers in [0, 1), like Math.random.
+ */
+function createSeededRandom(seed) {
+    let state = (typeof seed === "string" ? hashString(seed) : seed) >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Document what the getDateKey function does in this block comment.
+/**
+ * Names a local calendar day.
+ * @param {Date} [date] - The day; defaults to today.
+ * @returns {string} The day as "YYYY-MM-DD".
+ */
+function getDateKey(date) {
+    const day = date || new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+}
+
+// Turn a "YYYY-MM-DD" key back into a local date.
+function parseDateKey(key) {
+    const parts = key.split("-").map(Number);
+    return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+// Return the key of the day before a given day.
+function previousDateKey(key) {
+    const day = parseDateKey(key);
+    day.setDate(day.getDate() - 1);
+    return getDateKey(day);
+}
+
+// Document what the getDailyQuestions function does in this block comment.
+/**
+ * Picks a day's questions from the offline bank.
+ * @param {string} dateKey - The day ("YYYY-MM-DD").
+ * @returns {Object[]} The day's questions, in play order.
+ */
+function getDailyQuestions(dateKey) {
+    const bank = questionBank;
+    return questions.shuffle(bank, createSeededRandom(`daily-questions:${dateKey}`)).slice(0, DAILY_SIZE);
+}
+
+// Document what the createOptionRandom function does in this block comment.
+/**
+ * Creates the generator that orders a day's answers, for game.createGame.
+ * It is separate from the question pick, so the answer order does not depend on how the questions were drawn.
+ * @param {string} dateKey - The day ("YYYY-MM-DD").
+ * @returns {function(): number} The seeded generator.
+ */
+function createOptionRandom(dateKey) {
+    return createSeededRandom(`daily-options:${dateKey}`);
+}
+
+// Document what the getDays function does in this block comment.
+/**
+ * Reads the attempts from localStorage.
+ * @returns {Object<string, Object>} Attempts by day ({ startedTs, finishedTs, correct, total, grid }); empty when missing or unreadable.
+ */
+function getDays() {
+    // Retrieve the raw JSON string for the attempts.
+    const raw = localStorage.getItem(STORAGE_KEY);
+    // If nothing is stored yet, nothing has been played.
+    if (!raw) return {};
+    // Attempt to parse the JSON and keep only well-formed days.
+    try {
+        const data = JSON.parse(raw);
+        const days = data && data.days && typeof data.days === "object" ? data.days : {};
+        const valid = {};
+        Object.keys(days).forEach((key) => {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(key) && days[key] && typeof days[key].startedTs === "number") valid[key] = days[key];
+        });
+        return valid;
+    } catch (e) {
+        // Log a warning and treat the history as empty if parsing fails.
+        console.error("Invalid daily challenge history in storage:", e);
+        return {};
+    }
+}
+
+// Save the attempts to localStorage, dropping the oldest days beyond the limit.
+function saveDays(days) {
+    const keys = Object.keys(days).sort();
+    keys.slice(0, Math.max(0, keys.length - MAX_DAYS_KEPT)).forEach((key) => {
+        delete days[key];
+    });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, days: days }));
+}
+
+// Return a day's attempt, or null when it has not been played.
+function getAttempt(dateKey) {
+    return getDays()[dateKey] || null;
+}
+
+// Document what the markStarted function does in this block comment.
+/**
+ * Records that a day's quiz has started, which uses up the day's attempt.
+ * @param {string} dateKey - The day ("YYYY-MM-DD").
+ */
+function markStarted(dateKey) {
+    const days = getDays();
+    if (days[dateKey]) return;
+    days[dateKey] = { startedTs: Date.now() };
+    saveDays(days);
+}
+
+// Give a day's attempt back when its round failed to load (a finished attempt is kept).
+function releaseAttempt(dateKey) {
+    const days = getDays();
+    if (!days[dateKey] || typeof days[dateKey].finishedTs === "number") return;
+    delete days[dateKey];
+    saveDays(days);
+}
+
+// Document what the buildGrid function does in this block comment.
+/**
+ * Turns graded results into emoji squares, one per question.
+ * @param {Object[]} results - Graded results from grader.gradeGame.
+ * @returns {string} The squares, in question order.
+ */
+function buildGrid(results) {
+    return results
+        .map((result) => result.isCorrect ? GRID_SQUARES.correct : result.selectedOptionId ? GRID_SQUARES.wrong : GRID_SQUARES.unanswered)
+        .join("");
+}
+
+// Document what the recordResult function does in this block comment.
+/**
+ * Stores the result of a day's quiz.
+ * @param {string} dateKey - The day ("YYYY-MM-DD").
+ * @param {{ correct: number, total: number, results: Object[] }} grade - The result of grader.gradeGame.
+ * @returns {Object} The stored attempt.
+ */
+function recordResult(dateKey, grade) {
+    const days = getDays();
+    const attempt = Object.assign(days[dateKey] || { startedTs: Date.now() }, {
+        finishedTs: Date.now(),
+        correct: grade.correct,
+        total: grade.total,
+        grid: buildGrid(grade.results)
+    });
+    days[dateKey] = attempt;
+    saveDays(days);
+    return attempt;
+}
+
+// Document what the getStreak function does in this block comment.
+/**
+ * Counts consecutive days with a finished quiz.
+ * The current streak runs back from today, or from yesterday while today is still unplayed.
+ * @param {string} [todayKey] - Today ("YYYY-MM-DD"); defaults to the current day.
+ * @returns {{ current: number, best: number }} The current and longest streaks.
+ */
+function getStreak(todayKey) {
+    const days = getDays();
+    const finished = (key) => !!days[key] && typeof days[key].finishedTs === "number";
+    const today = todayKey || getDateKey();
+    // Walk back through the current run.
+    let key = finished(today) ? today : previousDateKey(today);
+    let current = 0;
+    while (finished(key)) {
+        current++;
+        key = previousDateKey(key);
+    }
+    // Find the longest run in the whole history.
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(days).filter(finished).sort().forEach((day) => {
+        run = previous && previousDateKey(day) === previous ? run + 1 : 1;
+        best = Math.max(best, run);
+        previous = day;
+    });
+    return { current: current, best: best };
+}
+
+// Document what the buildShareText function does in this block comment.
+/**
+ * Builds the copyable result: the day, the score, the streak and the grid in rows of five.
+ * Only squares are shared, never the questions or answers.
+ * @param {string} dateKey - The day ("YYYY-MM-DD").
+ * @param {Object} attempt - A finished attempt from recordResult.
+ * @param {{ current: number }} streak - The streak from getStreak.
+ * @returns {string} The text to share.
+ */
+function buildShareText(dateKey, attempt, streak) {
+    // Split the grid into rows (emoji are two UTF-16 units, so split by code point).
+    const squares = Array.from(attempt.grid);
+    const rows = [];
+    for (let i = 0; i < squares.length; i += 5) {
+        rows.push(squares.slice(i, i + 5).join(""));
+    }
+    const streakText = streak.current > 1 ? ` 🔥${streak.current}` : "";
+    return [i18n.t("daily.shareTitle", { date: dateKey }), `${attempt.correct}/${attempt.total}${streakText}`].concat(rows).join("\n");
+}
+
+// Document what the loadDailyChallenge function does in this block comment.
+/**
+ * Provider for the daily challenge: plays the day's questions, ignoring the category,
+ * difficulty, type and amount settings so everyone gets the same quiz.
+ * @param {Object} options - Load options ({ dailyDate }); dailyDate defaults to today.
+ * @returns {Promise<Object[]>} Resolves with the day's questions, or rejects when the day was already played.
+ */
+function loadDailyChallenge(options) {
+    const dateKey = (options && options.dailyDate) || getDateKey();
+    const attempt = getAttempt(dateKey);
+    if (attempt) {
+        return Promise.reject(new Error(typeof attempt.finishedTs === "number"
+            ? i18n.t("daily.alreadyPlayed", { correct: attempt.correct, total: attempt.total })
+            : i18n.t("daily.alreadyStarted")));
+    }
+    return Promise.resolve(getDailyQuestions(dateKey));
+}
+
+// Register the daily challenge as a question source.
+questions.registerProvider({ id: "daily", label: "Daily challenge", load: loadDailyChallenge });
+
+// Expose the public API.
+export {
+    DAILY_SIZE,
+    hashString,
+    createSeededRandom,
+    getDateKey,
+    getDailyQuestions,
+    createOptionRandom,
+    getAttempt,
+    markStarted,
+    releaseAttempt,
+    recordResult,
+    getStreak,
+    buildShareText
+};
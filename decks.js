@@ -0,0 +1,208 @@
+// Provide a high-level description of the custom decks module.
+/**
+ * Decks written in the in-app editor. Each deck has a name and an ordered list of
+ * questions: the question text, one correct answer, one to MAX_INCORRECT incorrect
+ * answers, a category and a difficulty. Decks are validated before they are saved
+ * to localStorage, play in their authored order through the "deck" question provider,
+ * and export as JSON in OpenTDB `results` shape, so they can be imported elsewhere.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+import * as questions from "./questions.js";
+
+// localStorage key for the saved decks.
+const STORAGE_KEY = "triviaDecks";
+// Most incorrect answers a question may have (as many as an OpenTDB multiple-choice question).
+const MAX_INCORRECT = 3;
+// Most questions in one deck, matching the largest round the setup allows.
+const MAX_QUESTIONS = 50;
+// Difficulties a question may have.
+const DIFFICULTIES = ["easy", "medium", "hard"];
+// Category used when a question is saved without one.
+const DEFAULT_CATEGORY = "General Knowledge";
+
+// Create a random id for a new deck or question.
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Document what the createDeck function does in this block comment.
+/**
+ * Starts a new, unsaved deck with one empty question to fill in.
+ * @param {string} [name] - The deck name.
+ * @returns {Object} The deck ({ id, name, questions, updatedTs }).
+ */
+function createDeck(name) {
+    return { id: createId("deck"), name: name || "", questions: [createQuestion()], updatedTs: null };
+}
+
+// Start a new, empty question.
+function createQuestion() {
+    return { id: createId("q"), question: "", correct_answer: "", incorrect_answers: [""], category: "", difficulty: "medium" };
+}
+
+// Document what the getDecks function does in this block comment.
+/**
+ * Reads the saved decks from localStorage.
+ * @returns {Object[]} The decks, most recently saved first; empty when missing or unreadable.
+ */
+function getDecks() {
+    // Retrieve the raw JSON string for the decks.
+    const raw = localStorage.getItem(STORAGE_KEY);
+    // If nothing is stored yet, there are no decks.
+    if (!raw) return [];
+    // Attempt to parse the JSON and keep only well-formed decks.
+    try {
+        const data = JSON.parse(raw);
+        const decks = data && Array.isArray(data.decks) ? data.decks : [];
+        return decks
+            .filter((deck) => deck && typeof deck.id === "string" && Array.isArray(deck.questions))
+            .sort((a, b) => (b.updatedTs || 0) - (a.updatedTs || 0));
+    } catch (e) {
+        // Log a warning and treat the decks as missing if parsing fails.
+        console.error("Invalid custom decks in storage:", e);
+        return [];
+    }
+}
+
+// Return a saved deck by id, or null.
+function getDeck(id) {
+    return getDecks().find((deck) => deck.id === id) || null;
+}
+
+// Save the deck list to localStorage.
+function saveDecks(decks) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, decks: decks }));
+}
+
+// Trim a value to a string, treating anything else as empty.
+function clean(value) {
+    return typeof value === "string" ? value.trim() : "";
+}
+
+// Document what the validateDeck function does in this block comment.
+/**
+ * Checks a deck before it is saved.
+ * @param {Object} deck - The deck as edited.
+ * @returns {{ question: ?number, message: string }[]} The problems found, each tied to a question index
+ *     (or null for the deck itself); empty when the deck can be saved.
+ */
+function validateDeck(deck) {
+    const t = i18n.t;
+    const problems = [];
+    if (!clean(deck.name)) problems.push({ question: null, message: t("decks.noName") });
+    if (deck.questions.length === 0) problems.push({ question: null, message: t("decks.noQuestions") });
+    if (deck.questions.length > MAX_QUESTIONS) problems.push({ question: null, message: t("decks.tooMany", { count: MAX_QUESTIONS }) });
+    deck.questions.forEach((question, index) => {
+        const add = (key, params) => problems.push({ question: index, message: t(key, params) });
+        const correct = clean(question.correct_answer);
+        const incorrect = question.incorrect_answers.map(clean).filter((answer) => answer !== "");
+        if (!clean(question.question)) add("decks.noText");
+        if (!correct) add("decks.noCorrect");
+        if (incorrect.length === 0) add("decks.noIncorrect");
+        if (incorrect.length > MAX_INCORRECT) add("decks.tooManyIncorrect", { count: MAX_INCORRECT });
+        // Answers are compared without regard to letter case, as players would read them.
+        const answers = [correct].concat(incorrect).filter(Boolean).map((answer) => answer.toLowerCase());
+        if (answers.some((answer, i) => answers.indexOf(answer) !== i)) add("decks.duplicateAnswers");
+        if (DIFFICULTIES.indexOf(question.difficulty) === -1) add("decks.badDifficulty");
+    });
+    return problems;
+}
+
+// Document what the toResults function does in this block comment.
+/**
+ * Converts a deck's questions to OpenTDB `results` shape (plain text), in deck order.
+ * A question whose answers are True and False becomes a "boolean" question.
+ * @param {Object} deck - A valid deck.
+ * @returns {Object[]} The questions.
+ */
+function toResults(deck) {
+    return deck.questions.map((question) => {
+        const correct = clean(question.correct_answer);
+        const incorrect = question.incorrect_answers.map(clean).filter((answer) => answer !== "");
+        const answers = [correct].concat(incorrect).map((answer) => answer.toLowerCase()).sort();
+        const isBoolean = answers.length === 2 && answers[0] === "false" && answers[1] === "true";
+        return {
+            type: isBoolean ? "boolean" : "multiple",
+            difficulty: question.difficulty,
+            category: clean(question.category) || DEFAULT_CATEGORY,
+            question: clean(question.question),
+            correct_answer: correct,
+            incorrect_answers: incorrect
+        };
+    });
+}
+
+// Document what the saveDeck function does in this block comment.
+/**
+ * Validates a deck and, when it has no problems, saves it (replacing the saved copy with the same id).
+ * @param {Object} deck - The deck as edited.
+ * @returns {{ deck: ?Object, problems: Object[] }} The saved deck, or null with the problems from validateDeck.
+ */
+function saveDeck(deck) {
+    const problems = validateDeck(deck);
+    if (problems.length > 0) return { deck: null, problems: problems };
+    // Store the cleaned-up text alongside the ids the editor uses.
+    const results = toResults(deck);
+    const saved = {
+        id: deck.id,
+        name: clean(deck.name),
+        questions: deck.questions.map((question, i) => Object.assign({ id: question.id || createId("q") }, results[i])),
+        updatedTs: Date.now()
+    };
+    const decks = getDecks().filter((other) => other.id !== deck.id);
+    decks.push(saved);
+    saveDecks(decks);
+    return { deck: saved, problems: [] };
+}
+
+// Delete a saved deck by id.
+function deleteDeck(id) {
+    saveDecks(getDecks().filter((deck) => deck.id !== id));
+}
+
+// Document what the exportDeck function does in this block comment.
+/**
+ * Serializes a deck as an OpenTDB response, which the deck import (and other OpenTDB tools) can read.
+ * @param {Object} deck - A saved deck.
+ * @returns {string} Pretty-printed JSON: { response_code: 0, results: [...] }.
+ */
+function exportDeck(deck) {
+    return JSON.stringify({ response_code: 0, results: toResults(deck) }, null, 2);
+}
+
+// Document what the loadFromDeck function does in this block comment.
+/**
+ * Provider for custom decks: plays the chosen deck's questions in the order they were written,
+ * up to the requested amount. Category, difficulty and type filters do not apply.
+ * @param {Object} options - Load options ({ deckId, amount }).
+ * @returns {Promise<Object[]>} Resolves with the questions, or rejects when the deck is missing.
+ */
+function loadFromDeck(options) {
+    const deck = options && options.deckId ? getDeck(options.deckId) : null;
+    if (!deck || deck.questions.length === 0) {
+        return Promise.reject(new Error(i18n.t("decks.notFound")));
+    }
+    const amount = parseInt(options.amount, 10) > 0 ? parseInt(options.amount, 10) : deck.questions.length;
+    return Promise.resolve(toResults(deck).slice(0, amount));
+}
+
+// Register custom decks as a question source.
+questions.registerProvider({ id: "deck", label: "My decks", load: loadFromDeck });
+
+// Expose the public API.
+export {
+    MAX_INCORRECT,
+    MAX_QUESTIONS,
+    DIFFICULTIES,
+    createDeck,
+    createQuestion,
+    getDecks,
+    getDeck,
+    validateDeck,
+    toResults,
+    saveDeck,
+    deleteDeck,
+    exportDeck
+};
@@ -0,0 +1,86 @@
+// Provide a high-level description of the game model.
+/**
+ * In-memory game model for one round.
+ * Questions get stable ids and their answers become options with opaque ids, in the
+ * order they are shown. The correct option id lives only here, never in the DOM, so
+ * the page cannot be inspected for answers before the round is graded.
+ * The model also carries the round's progress: the question on screen in sequential
+ * mode, questions locked by a timer, and how long each answer took.
+ */
+
+// Import the modules this one builds on.
+import * as questions from "./questions.js";
+
+// Document what the createQuestion function does in this block comment.
+/**
+ * Builds the model for one question.
+ * True/false answers always read "True" then "False"; other answers are shuffled.
+ * Option ids are assigned after shuffling, so an id never hints at correctness.
+ * @param {Object} raw - A question in OpenTDB `results` shape (plain text).
+ * @param {number} index - Position of the question in the round.
+ * @param {function(): number} [random] - Source of randomness for the answer order (defaults to Math.random).
+ * @returns {Object} The question model.
+ */
+function createQuestion(raw, index, random) {
+    // Give the question an id based on its position.
+    const id = `q${index}`;
+    // Work out the answer texts in display order.
+    const texts = raw.type === "boolean"
+        ? ["True", "False"]
+        : questions.shuffle([raw.correct_answer].concat(raw.incorrect_answers), random);
+    // Turn each text into an option with an id.
+    const options = texts.map((text, i) => ({ id: `${id}-a${i}`, text: text }));
+    // Find the correct option (true/false answers may differ in letter case in imported decks).
+    const correct = options.find((option) =>
+        raw.type === "boolean"
+            ? option.text.toLowerCase() === String(raw.correct_answer).toLowerCase()
+            : option.text === raw.correct_answer
+    );
+    // Build the question model.
+    return {
+        id: id,
+        index: index,
+        type: raw.type,
+        difficulty: raw.difficulty,
+        category: raw.category,
+        text: raw.question,
+        options: options,
+        correctOptionId: correct ? correct.id : null,
+        raw: raw
+    };
+}
+
+// Document what the createGame function does in this block comment.
+/**
+ * Builds the model for a whole round.
+ * @param {Object[]} rawQuestions - Questions in OpenTDB `results` shape (plain text).
+ * @param {Object} [settings] - The settings the round is played with.
+ * @param {function(): number} [random] - Source of randomness for the answer order; a seeded one gives every player the same order.
+ * @returns {Object} The game model.
+ */
+function createGame(rawQuestions, settings, random) {
+    return {
+        questions: rawQuestions.map((raw, index) => createQuestion(raw, index, random)),
+        settings: settings || null,
+        startedTs: Date.now(),
+        // Index of the question on screen in sequential mode.
+        currentIndex: 0,
+        // Map of question id to the reason it was locked (e.g. "timeout").
+        locked: {},
+        // Map of question id to milliseconds taken to answer it.
+        answerTimes: {},
+        // Time of the most recent first answer, so all-at-once mode can time each answer.
+        lastAnswerTs: Date.now(),
+        // Map of question id to milliseconds it has been on screen (sequential mode).
+        timeSpent: {},
+        // Map of question id to milliseconds left on its countdown when it was last left.
+        questionRemaining: {},
+        // Set once the whole-game time limit runs out.
+        timeUp: false
+    };
+}
+
+// Expose the public helpers.
+export {
+    createGame
+};
@@ -0,0 +1,43 @@
+// Provide a high-level description of the grading module.
+/**
+ * Grades a round by comparing the selected option ids with the game model.
+ * Works purely on data, so it never reads answers out of the page.
+ */
+
+// Document what the gradeQuestion function does in this block comment.
+/**
+ * Grades a single question.
+ * @param {Object} question - A question model from game.js.
+ * @param {?string} selectedOptionId - The id of the chosen option, or null when unanswered.
+ * @returns {{ questionId: string, selectedOptionId: ?string, correctOptionId: string, isCorrect: boolean }} The graded result.
+ */
+function gradeQuestion(question, selectedOptionId) {
+    return {
+        questionId: question.id,
+        selectedOptionId: selectedOptionId || null,
+        correctOptionId: question.correctOptionId,
+        // Unanswered questions are always wrong.
+        isCorrect: !!selectedOptionId && selectedOptionId === question.correctOptionId
+    };
+}
+
+// Document what the gradeGame function does in this block comment.
+/**
+ * Grades every question in a round.
+ * @param {Object} game - The game model from game.createGame.
+ * @param {Object<string, string>} selections - Map of question id to selected option id.
+ * @returns {{ correct: number, total: number, results: Object[] }} The score and one result per question.
+ */
+function gradeGame(game, selections) {
+    // Grade each question in display order.
+    const results = game.questions.map((question) => gradeQuestion(question, selections[question.id]));
+    // Count the correct ones.
+    const correct = results.filter((result) => result.isCorrect).length;
+    return { correct: correct, total: results.length, results: results };
+}
+
+// Expose the public helpers.
+export {
+    gradeQuestion,
+    gradeGame
+};
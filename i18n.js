@@ -0,0 +1,170 @@
+// Provide a high-level description of the translation module.
+/**
+ * Interface translations: looks up messages in the catalogs (messages-en.js, messages-fr.js),
+ * keeps the chosen language in localStorage, and formats numbers, percentages and dates
+ * for that language with the Intl APIs.
+ * A message may contain {placeholders}. A message that depends on a count has one form per
+ * plural category of Intl.PluralRules ("one", "other", ...), so each language follows its own
+ * rules (French, for instance, treats 0 as singular).
+ * Static text in index.html carries data-i18n attributes and is translated in place.
+ */
+
+// Import the modules this one builds on.
+import en from "./messages-en.js";
+import fr from "./messages-fr.js";
+
+// localStorage key for the chosen language.
+const STORAGE_KEY = "triviaLanguage";
+// Language used when nothing else matches, and for messages a catalog is missing.
+const FALLBACK_LANGUAGE = "en";
+// The loaded catalogs, by language code.
+const catalogs = { en: en, fr: fr };
+// The language in use.
+let language = detectLanguage();
+
+// Document what the detectLanguage function does in this block comment.
+/**
+ * Picks the starting language: the saved choice, else the browser's preferred languages, else English.
+ * @returns {string} A language code that has a catalog.
+ */
+function detectLanguage() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved && catalogs[saved]) return saved;
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+        const code = String(tag || "").toLowerCase().split("-")[0];
+        if (catalogs[code]) return code;
+    }
+    return FALLBACK_LANGUAGE;
+}
+
+// List the available languages, each named in its own language.
+function getLanguages() {
+    return Object.keys(catalogs).map((code) => ({ code: code, name: catalogs[code]["language.name"] || code }));
+}
+
+// Return the language in use.
+function getLanguage() {
+    return language;
+}
+
+// Document what the setLanguage function does in this block comment.
+/**
+ * Switches the language, saves the choice and updates the page's lang attribute.
+ * Text already on the page is not changed; call translatePage and re-render for that.
+ * @param {string} code - A language code with a catalog.
+ * @returns {boolean} Whether the language was switched (false for an unknown code).
+ */
+function setLanguage(code) {
+    if (!catalogs[code]) return false;
+    language = code;
+    localStorage.setItem(STORAGE_KEY, code);
+    document.documentElement.lang = code;
+    return true;
+}
+
+// Document what the t function does in this block comment.
+/**
+ * Translates a message into the current language.
+ * Falls back to English, then to the key itself, so a missing message never breaks the page.
+ * @param {string} key - The message key, such as "game.answerAll".
+ * @param {Object} [params] - Values for the {placeholders}; a numeric `count` picks the plural form.
+ *     Numbers are formatted for the language; strings are inserted as they are.
+ * @returns {string} The translated text.
+ */
+function t(key, params) {
+    const values = params || {};
+    const own = catalogs[language] && catalogs[language][key];
+    const fallback = catalogs[FALLBACK_LANGUAGE] && catalogs[FALLBACK_LANGUAGE][key];
+    let message = own !== undefined ? own : fallback !== undefined ? fallback : key;
+    // Pick the plural form for the count (the rules come from the language the message is in).
+    if (message && typeof message === "object") {
+        const rulesLanguage = own !== undefined ? language : FALLBACK_LANGUAGE;
+        const category = typeof values.count === "number" ? new Intl.PluralRules(rulesLanguage).select(values.count) : "other";
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in values)) return placeholder;
+        return typeof values[name] === "number" ? formatNumber(values[name]) : String(values[name]);
+    });
+}
+
+// Check whether a message exists in the current language or in English.
+function has(key) {
+    return [language, FALLBACK_LANGUAGE].some((code) => !!catalogs[code] && catalogs[code][key] !== undefined);
+}
+
+// Format a number for the current language (digit grouping, decimal separator).
+function formatNumber(value, options) {
+    return new Intl.NumberFormat(language, options).format(value);
+}
+
+// Format a percentage given as 0–100 (French writes "75 %", English "75%").
+function formatPercent(percent) {
+    return new Intl.NumberFormat(language, { style: "percent", maximumFractionDigits: 0 }).format(percent / 100);
+}
+
+// Format a timestamp as a date and time for the current language.
+function formatDateTime(ts) {
+    return new Intl.DateTimeFormat(language, { dateStyle: "medium", timeStyle: "short" }).format(new Date(ts));
+}
+
+// Format a timestamp as a date for the current language.
+function formatDate(ts) {
+    return new Intl.DateTimeFormat(language, { dateStyle: "medium" }).format(new Date(ts));
+}
+
+// Document what the formatList function does in this block comment.
+/**
+ * Joins names into a list for the current language ("Ann, Ben and Cat" / "Ann, Ben et Cat").
+ * @param {string[]} items - The items to join.
+ * @returns {string} The joined list.
+ */
+function formatList(items) {
+    if (typeof Intl.ListFormat === "function") {
+        return new Intl.ListFormat(language, { style: "long", type: "conjunction" }).format(items);
+    }
+    // Older browsers: commas, then the translated "and" before the last item.
+    return items.length < 2 ? items.join("") : `${items.slice(0, -1).join(", ")} ${t("list.and")} ${items[items.length - 1]}`;
+}
+
+// Document what the translatePage function does in this block comment.
+/**
+ * Translates the static text marked in the markup:
+ * data-i18n sets the text, and data-i18n-placeholder, data-i18n-aria-label and data-i18n-title set those attributes.
+ * @param {ParentNode} [root] - Where to look; defaults to the whole document.
+ */
+function translatePage(root) {
+    const scope = root || document;
+    scope.querySelectorAll("[data-i18n]").forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    scope.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+        el.setAttribute("placeholder", t(el.dataset.i18nPlaceholder));
+    });
+    scope.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
+        el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel));
+    });
+    scope.querySelectorAll("[data-i18n-title]").forEach((el) => {
+        el.setAttribute("title", t(el.dataset.i18nTitle));
+    });
+    if (!root) {
+        document.documentElement.lang = language;
+        document.title = t("page.title");
+    }
+}
+
+// Expose the public API.
+export {
+    getLanguages,
+    getLanguage,
+    setLanguage,
+    t,
+    has,
+    formatNumber,
+    formatPercent,
+    formatDateTime,
+    formatDate,
+    formatList,
+    translatePage
+};
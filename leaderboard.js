@@ -0,0 +1,230 @@
+// Provide a high-level description of the leaderboard module.
+/**
+ * Leaderboard helpers: sorting, filtering (player name, date range, game configuration),
+ * best-per-player deduplication, competition ranking and pagination.
+ * Everything works on plain record arrays so the page only renders one page of rows.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+import * as stats from "./stats.js";
+
+// Filter state used when nothing (or something unreadable) is saved.
+const DEFAULT_FILTERS = { search: "", from: "", to: "", board: "all", bestPerPlayer: false, pageSize: 25 };
+// Page sizes offered in the page-size select.
+const PAGE_SIZES = [10, 25, 50, 100];
+// Board key for records saved before settings were stored with each score.
+const UNKNOWN_BOARD = "unknown";
+
+// Document what the getPointsTotal function does in this block comment.
+/**
+ * Reads a record's points total.
+ * @param {Object} record - A score record.
+ * @returns {number} The points, or -1 when the round was not scored with points.
+ */
+function getPointsTotal(record) {
+    return record.points && typeof record.points.total === "number" ? record.points.total : -1;
+}
+
+// Return a record's score as a fraction (0 when total is missing).
+function ratio(record) {
+    return record.total ? record.correct / record.total : 0;
+}
+
+// Document what the sortScores function does in this block comment.
+/**
+ * Sorts records in place for a sort mode from #sort-scores.
+ * Ties on score show the newest game first (oldest first for "lowest").
+ * @param {Object[]} records - The records to sort.
+ * @param {string} mode - "newest", "oldest", "highest", "lowest" or "points".
+ * @returns {Object[]} The same array, sorted.
+ */
+function sortScores(records, mode) {
+    if (mode === "oldest") {
+        return records.sort((a, b) => (a.ts || 0) - (b.ts || 0));
+    } else if (mode === "highest") {
+        return records.sort((a, b) => ratio(b) - ratio(a) || (b.ts || 0) - (a.ts || 0));
+    } else if (mode === "lowest") {
+        return records.sort((a, b) => ratio(a) - ratio(b) || (a.ts || 0) - (b.ts || 0));
+    } else if (mode === "points") {
+        // Rounds without points sink to the bottom.
+        return records.sort((a, b) => getPointsTotal(b) - getPointsTotal(a) || (b.ts || 0) - (a.ts || 0));
+    }
+    // "newest" and anything unknown.
+    return records.sort((a, b) => (b.ts || 0) - (a.ts || 0));
+}
+
+// Document what the readBoard function does in this block comment.
+/**
+ * Reads the settings that pick a record's board. Stored settings may be hand-edited, so values
+ * of the wrong type count as unset; the key and the label both come from here, so they agree.
+ * @param {Object} settings - A record's settings.
+ * @returns {{ category: ?string, difficulty: ?string, amount: ?number }} The board's settings (null when unset).
+ */
+function readBoard(settings) {
+    const category = settings.category;
+    const amount = Number(settings.amount);
+    return {
+        category: (typeof category === "string" || typeof category === "number") && category !== "" && category !== 0 ? String(category) : null,
+        difficulty: typeof settings.difficulty === "string" && settings.difficulty ? settings.difficulty : null,
+        amount: (typeof settings.amount === "number" || typeof settings.amount === "string") && Number.isInteger(amount) && amount > 0 ? amount : null
+    };
+}
+
+// Document what the getBoardKey function does in this block comment.
+/**
+ * Identifies the board a record belongs to: same category, difficulty and question count.
+ * @param {Object} record - A score record.
+ * @returns {string} The board key.
+ */
+function getBoardKey(record) {
+    const settings = record.settings;
+    if (!settings) return UNKNOWN_BOARD;
+    const board = readBoard(settings);
+    return [board.category || "any", board.difficulty || "any", board.amount || "?"].join("|");
+}
+
+// Describe a record's board for the board select.
+function getBoardLabel(record) {
+    const settings = record.settings;
+    const t = i18n.t;
+    if (!settings) return t("board.unrecorded");
+    const board = readBoard(settings);
+    const category = board.category ? (settings.categoryName ? String(settings.categoryName) : t("board.category", { id: board.category })) : t("board.anyCategory");
+    const difficulty = !board.difficulty
+        ? t("board.anyDifficulty")
+        : i18n.has(`difficulty.${board.difficulty}`)
+            ? t(`difficulty.${board.difficulty}`)
+            : board.difficulty.charAt(0).toUpperCase() + board.difficulty.slice(1);
+    const amount = board.amount ? t("board.questions", { count: board.amount }) : t("board.unknownAmount");
+    return `${category} · ${difficulty} · ${amount}`;
+}
+
+// Document what the listBoards function does in this block comment.
+/**
+ * Lists the game configurations found in the records.
+ * @param {Object[]} records - Stored score records.
+ * @returns {{ key: string, label: string, count: number }[]} One entry per board, most played first.
+ */
+function listBoards(records) {
+    const boards = {};
+    records.forEach((record) => {
+        const key = getBoardKey(record);
+        boards[key] = boards[key] || { key: key, label: getBoardLabel(record), count: 0 };
+        boards[key].count += 1;
+    });
+    return Object.keys(boards)
+        .map((key) => boards[key])
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// Turn a "YYYY-MM-DD" date input value into a local timestamp (start or end of that day).
+function dayBoundary(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return null;
+    const ts = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).getTime();
+    return isFinite(ts) ? ts : null;
+}
+
+// Document what the applyFilters function does in this block comment.
+/**
+ * Keeps the records that match the name search, date range and board.
+ * @param {Object[]} records - Stored score records.
+ * @param {Object} filters - Filter state (see DEFAULT_FILTERS).
+ * @returns {Object[]} A new array with the matching records.
+ */
+function applyFilters(records, filters) {
+    const search = stats.normalizeName(filters.search);
+    const from = dayBoundary(filters.from, false);
+    const to = dayBoundary(filters.to, true);
+    return records.filter((record) =>
+        (!search || stats.normalizeName(record.name).indexOf(search) !== -1) &&
+        (from === null || record.ts >= from) &&
+        (to === null || record.ts <= to) &&
+        (filters.board === "all" || getBoardKey(record) === filters.board)
+    );
+}
+
+// Document what the keepBestPerPlayer function does in this block comment.
+/**
+ * Keeps each player's single best game (ties go to the newer game).
+ * @param {Object[]} records - The records to reduce.
+ * @param {boolean} byPoints - Compare points instead of percentage.
+ * @returns {Object[]} One record per normalized player name.
+ */
+function keepBestPerPlayer(records, byPoints) {
+    const best = {};
+    records.forEach((record) => {
+        const key = stats.normalizeName(record.name);
+        const current = best[key];
+        const value = byPoints ? getPointsTotal(record) : ratio(record);
+        const currentValue = current && (byPoints ? getPointsTotal(current) : ratio(current));
+        if (!current || value > currentValue || (value === currentValue && record.ts > current.ts)) {
+            best[key] = record;
+        }
+    });
+    return Object.keys(best).map((key) => best[key]);
+}
+
+// Document what the rankScores function does in this block comment.
+/**
+ * Assigns competition ranks ("1, 2, 2, 4") by score, independent of the display order.
+ * @param {Object[]} records - The records being shown.
+ * @param {function(Object): number} valueOf - Returns the value to rank by (higher is better).
+ * @returns {Map<Object, number>} The rank of each record.
+ */
+function rankScores(records, valueOf) {
+    const ranks = new Map();
+    const ordered = records.slice().sort((a, b) => valueOf(b) - valueOf(a));
+    ordered.forEach((record, i) => {
+        const previous = ordered[i - 1];
+        ranks.set(record, previous && valueOf(previous) === valueOf(record) ? ranks.get(previous) : i + 1);
+    });
+    return ranks;
+}
+
+// Document what the paginate function does in this block comment.
+/**
+ * Cuts one page out of a list.
+ * @param {Array} list - The full list.
+ * @param {number} page - The 1-based page wanted; clamped to the available pages.
+ * @param {number} pageSize - Items per page.
+ * @returns {{ items: Array, page: number, pageCount: number, start: number }} The page and where it starts (0-based).
+ */
+function paginate(list, page, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(list.length / pageSize));
+    const current = Math.min(Math.max(1, page || 1), pageCount);
+    const start = (current - 1) * pageSize;
+    return { items: list.slice(start, start + pageSize), page: current, pageCount: pageCount, start: start };
+}
+
+// Document what the normalizeFilters function does in this block comment.
+/**
+ * Fills in and sanitizes a saved filter state.
+ * @param {?Object} saved - The parsed saved state, if any.
+ * @returns {Object} A complete filter state.
+ */
+function normalizeFilters(saved) {
+    const filters = Object.assign({}, DEFAULT_FILTERS, saved && typeof saved === "object" ? saved : {});
+    filters.search = String(filters.search || "");
+    filters.from = dayBoundary(filters.from, false) === null ? "" : filters.from;
+    filters.to = dayBoundary(filters.to, true) === null ? "" : filters.to;
+    filters.board = String(filters.board || "all");
+    filters.bestPerPlayer = filters.bestPerPlayer === true;
+    filters.pageSize = PAGE_SIZES.indexOf(filters.pageSize) === -1 ? DEFAULT_FILTERS.pageSize : filters.pageSize;
+    return filters;
+}
+
+// Expose the public helpers.
+export {
+    DEFAULT_FILTERS,
+    PAGE_SIZES,
+    getPointsTotal,
+    sortScores,
+    getBoardKey,
+    listBoards,
+    applyFilters,
+    keepBestPerPlayer,
+    rankScores,
+    paginate,
+    normalizeFilters
+};
@@ -0,0 +1,156 @@
+// Provide a high-level description of the hot-seat match module.
+/**
+ * Local hot-seat matches for 2–8 players sharing one device.
+ * In "same" mode every player answers the whole question set on their own turn; in "alternate"
+ * mode the questions are dealt round-robin and each question is a turn of its own.
+ * The module only keeps the turn order and each player's running results; the page plays each
+ * turn as a normal round and hands the graded result back here.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+import * as stats from "./stats.js";
+import * as leaderboard from "./leaderboard.js";
+
+// Smallest and largest number of players in a match.
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+
+// Document what the validatePlayers function does in this block comment.
+/**
+ * Checks a list of player names for a match.
+ * @param {string[]} names - The names as typed.
+ * @returns {?string} A message describing the problem, or null when the list is fine.
+ */
+function validatePlayers(names) {
+    const trimmed = names.map((name) => String(name || "").trim());
+    if (trimmed.some((name) => !name)) return i18n.t("match.needsNames");
+    if (trimmed.length < MIN_PLAYERS || trimmed.length > MAX_PLAYERS) {
+        return i18n.t("match.playerCount", { min: MIN_PLAYERS, max: MAX_PLAYERS });
+    }
+    // Names that would share a scoreboard entry are not allowed in the same match.
+    const keys = trimmed.map(stats.normalizeName);
+    if (keys.some((key, i) => keys.indexOf(key) !== i)) return i18n.t("match.uniqueNames");
+    return null;
+}
+
+// Document what the createMatch function does in this block comment.
+/**
+ * Sets up a match and its turn order.
+ * @param {string[]} names - The players, in turn order (already validated).
+ * @param {Object[]} questions - The question set in OpenTDB `results` shape.
+ * @param {"same"|"alternate"} mode - Whether everyone plays every question or they take turns.
+ * @returns {Object} The match ({ id, mode, players, turns, currentTurn }).
+ * @throws {Error} When alternate mode has fewer questions than players.
+ */
+function createMatch(names, questions, mode) {
+    const count = names.length;
+    let turns;
+    if (mode === "alternate") {
+        // Deal whole rounds only, so every player gets the same number of questions.
+        const usable = Math.floor(questions.length / count) * count;
+        if (usable === 0) {
+            throw new Error(i18n.t("match.notEnoughQuestions", { count: questions.length }));
+        }
+        turns = questions.slice(0, usable).map((question, i) => ({ player: i % count, questions: [question] }));
+    } else {
+        turns = names.map((_, player) => ({ player: player, questions: questions }));
+    }
+    return {
+        id: `match-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        mode: mode === "alternate" ? "alternate" : "same",
+        players: names.map((name) => ({ name: name.trim(), turns: [] })),
+        turns: turns,
+        currentTurn: 0
+    };
+}
+
+// Document what the getCurrentTurn function does in this block comment.
+/**
+ * Describes the turn to play next.
+ * @param {Object} match - The match.
+ * @returns {?{ number: number, total: number, player: Object, questions: Object[] }} The turn, or null when the match is over.
+ */
+function getCurrentTurn(match) {
+    const turn = match.turns[match.currentTurn];
+    if (!turn) return null;
+    return { number: match.currentTurn + 1, total: match.turns.length, player: match.players[turn.player], questions: turn.questions };
+}
+
+// Document what the recordTurn function does in this block comment.
+/**
+ * Stores the graded result of the current turn and moves on to the next one.
+ * @param {Object} match - The match.
+ * @param {{ questions: Object[], results: Object[], durationMs: number, answerTimes: Array, points: ?Object }} result - The turn's game questions, graded results, time and points.
+ */
+function recordTurn(match, result) {
+    const turn = match.turns[match.currentTurn];
+    match.players[turn.player].turns.push(result);
+    match.currentTurn += 1;
+}
+
+// Check whether every turn has been played.
+function isFinished(match) {
+    return match.currentTurn >= match.turns.length;
+}
+
+// Add up one player's turns into a single result, shaped like a score record's fields.
+function totalsFor(player) {
+    const questions = [];
+    const results = [];
+    let points = null;
+    player.turns.forEach((turn) => {
+        turn.questions.forEach((question) => questions.push(question));
+        turn.results.forEach((result) => results.push(result));
+        // Points are summed across turns; streaks cannot run across turns, so keep the best one.
+        if (turn.points) {
+            points = points || { total: 0, base: 0, speedBonus: 0, streakBonus: 0, bestStreak: 0 };
+            points.total += turn.points.total;
+            points.base += turn.points.base;
+            points.speedBonus += turn.points.speedBonus;
+            points.streakBonus += turn.points.streakBonus;
+            points.bestStreak = Math.max(points.bestStreak, turn.points.bestStreak);
+        }
+    });
+    return {
+        name: player.name,
+        correct: results.filter((result) => result.isCorrect).length,
+        total: results.length,
+        durationMs: player.turns.reduce((sum, turn) => sum + turn.durationMs, 0),
+        answerTimes: player.turns.reduce((all, turn) => all.concat(turn.answerTimes), []),
+        points: points,
+        breakdown: stats.buildBreakdown({ questions: questions }, { results: results })
+    };
+}
+
+// Document what the getStandings function does in this block comment.
+/**
+ * Builds the final scoreboard.
+ * @param {Object} match - A finished match.
+ * @param {boolean} byPoints - Rank by points instead of percentage correct.
+ * @returns {{ standings: Object[], winners: string[] }} Players best first, each with a `rank`, and the names sharing first place.
+ */
+function getStandings(match, byPoints) {
+    const standings = match.players.map(totalsFor);
+    // Rank by points or by percentage; equal values share a rank.
+    const valueOf = (s) => byPoints ? (s.points ? s.points.total : 0) : (s.total ? s.correct / s.total : 0);
+    const ranks = leaderboard.rankScores(standings, valueOf);
+    standings.forEach((s) => {
+        s.rank = ranks.get(s);
+    });
+    // Keep turn order among equal ranks.
+    standings.sort((a, b) => a.rank - b.rank);
+    return { standings: standings, winners: standings.filter((s) => s.rank === 1).map((s) => s.name) };
+}
+
+// Expose the public helpers.
+export {
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    validatePlayers,
+    createMatch,
+    getCurrentTurn,
+    recordTurn,
+    isFinished,
+    getStandings
+};
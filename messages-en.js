@@ -0,0 +1,478 @@
+// Provide a high-level description of the English message catalog.
+/**
+ * English interface text, read by i18n.js. English is also the fallback for any message
+ * another catalog is missing, so every key the page uses must be here.
+ * Keys are grouped by the part of the page they belong to. A message with a count is an
+ * object with one form per plural category ("one" and "other" in English).
+ */
+
+// Export the English catalog (i18n.js registers it by language code).
+export default {
+    // The language's own name, shown in the language picker.
+    "language.name": "English",
+    // Word used to join the last two items of a list when the browser cannot format lists.
+    "list.and": "and",
+
+    // Page, language and display settings.
+    "page.title": "Trivia Game",
+    "language.label": "Language:",
+    "display.title": "Display options",
+    "display.highContrast": "High contrast",
+    "display.reducedMotion": "Reduce motion",
+
+    // Connection indicator.
+    "connection.online": "Online",
+    "connection.offline": "Offline: questions come from recent rounds and the offline bank. Scores are still saved on this device.",
+
+    // Resume prompt.
+    "resume.title": "Unfinished game",
+    "resume.details": {
+        one: "You have an unfinished game from {date}: {answered} of {count} question answered.",
+        other: "You have an unfinished game from {date}: {answered} of {count} questions answered."
+    },
+    "resume.resume": "Resume game",
+    "resume.discard": "Start new",
+    "resume.resumed": "Resumed your unfinished game.",
+
+    // Game setup.
+    "setup.title": "Game setup",
+    "setup.source": "Question source:",
+    "setup.importDeck": "Import deck (JSON/CSV)",
+    "setup.category": "Category:",
+    "setup.anyCategory": "Any category",
+    "setup.difficulty": "Difficulty:",
+    "setup.anyDifficulty": "Any difficulty",
+    "setup.amount": "Number of questions:",
+    "setup.type": "Question type:",
+    "setup.anyType": "Any type",
+    "setup.mode": "Mode:",
+    "setup.questionTime": "Seconds per question (one at a time, 0 = no limit):",
+    "setup.totalTime": "Total time limit in minutes (0 = no limit):",
+    "setup.scoring": "Scoring:",
+    "setup.players": "Players:",
+    "setup.start": "Start Game",
+    "source.api": "Open Trivia DB (online)",
+    "source.offline": "Offline question bank",
+    "source.imported": "Imported deck",
+    "source.mistakes": "My mistakes ({count} due for review)",
+    "source.dailyNew": "Daily challenge (new today)",
+    "source.dailyPlayed": "Daily challenge (played today)",
+    "source.deck": "My decks",
+    "difficulty.easy": "Easy",
+    "difficulty.medium": "Medium",
+    "difficulty.hard": "Hard",
+    "type.multiple": "Multiple choice",
+    "type.boolean": "True / False",
+    "mode.all": "All questions at once",
+    "mode.sequential": "One question at a time",
+    "scoring.standard": "Correct answers",
+    "scoring.points": "Points (difficulty, speed and streak bonuses)",
+    "players.solo": "Single player",
+    "players.same": "Match: everyone answers the same questions",
+    "players.alternate": "Match: take turns, one question each",
+    "players.host": "Live room: host here, players join on their own devices",
+
+    // Loading questions and importing decks.
+    "loading.rateLimited": {
+        one: "Open Trivia DB is busy. Retrying in {count} second…",
+        other: "Open Trivia DB is busy. Retrying in {count} seconds…"
+    },
+    "loading.noMatches": "No questions match those settings. Try a different category, difficulty or type.",
+    "loading.fellBack": "Couldn't reach Open Trivia DB, so this round uses the offline question bank.",
+    "loading.shortRound": {
+        one: "Only {count} question matches those settings.",
+        other: "Only {count} questions match those settings."
+    },
+    "api.httpError": "Open Trivia DB responded with HTTP {status}.",
+    "api.unreachable": "Could not reach Open Trivia DB.",
+    "api.noResults": "Open Trivia DB doesn't have enough questions for those settings. Try fewer questions or a different category.",
+    "api.invalidParameter": "Open Trivia DB didn't accept those game settings. Please change them and try again.",
+    "api.tokenEmpty": "You've seen every question Open Trivia DB has for those settings. Try a different category or difficulty.",
+    "api.rateLimit": "Open Trivia DB is receiving too many requests right now. Please wait a moment and try again.",
+    "api.unexpected": "Open Trivia DB returned an unexpected response.",
+    "import.noDeck": "No imported deck yet. Import a JSON or CSV file first.",
+    "import.invalidJson": "File is not valid JSON.",
+    "import.noResults": "Expected an array of questions or an object with a \"results\" array.",
+    "import.noRecords": "Expected a score export with a \"records\" array.",
+    "import.failed": "Could not import {file}: {errors}",
+    "import.readFailed": "Could not read {file}.",
+    "import.done": {
+        one: "Imported {count} question from {file}.",
+        other: "Imported {count} questions from {file}."
+    },
+    "import.skipped": "Skipped {count}: {errors}",
+    "deck.questionProblem": "Question {number}: {reason}.",
+    "deck.notObject": "not an object",
+    "deck.noText": "missing question text",
+    "deck.noCorrect": "missing correct_answer",
+    "deck.noIncorrect": "needs at least one incorrect answer",
+    "deck.correctListedIncorrect": "correct_answer is also listed as incorrect",
+
+    // Playing a round.
+    "keyboard.intro": "Keyboard:",
+    "keyboard.pick": "pick an answer,",
+    "keyboard.move": "next or previous question,",
+    "keyboard.finish": "finish.",
+    "nav.previous": "Previous",
+    "nav.next": "Next",
+    "progress.sequential": "Question {number} of {total} ({answered} answered)",
+    "progress.all": "{answered} of {total} answered",
+    "timer.question": "Question: {time}",
+    "timer.total": "Total: {time}",
+    "announce.loading": "Loading questions…",
+    "announce.loaded": {
+        one: "{count} question loaded.",
+        other: "{count} questions loaded."
+    },
+    "announce.question": "Question {number} of {total}.",
+    "announce.answered": "Question {number} answered. {answered} of {total} answered.",
+    "announce.timeUp": "Time's up on question {number}.",
+    "game.lockedAnswered": "Time's up: your answer is locked in.",
+    "game.lockedBlank": "Time's up: this question counts as wrong.",
+    "game.timeUpEnterName": "Time's up! Enter your name and press Finish Game to save your score.",
+    "game.chooseAnswer": "Please choose an answer.",
+    "game.answerAll": "Please answer all questions before submitting ({count} unanswered).",
+    "game.enterName": "Please enter your name before finishing the game.",
+    "game.namePlaceholder": "Enter your name",
+    "game.nameLabel": "Your name",
+    "game.rememberMe": "Remember my name on this device",
+    "game.forgetMe": "Forget me",
+    "game.finish": "Finish Game",
+    "game.newPlayer": "New Player",
+    "game.summary": "Nice job, {name}! You scored {correct}/{total}.",
+    "game.pointsBreakdown": {
+        one: "{count} point: {base} base + {speed} speed bonus + {streak} streak bonus (best streak {bestStreak}).",
+        other: "{count} points: {base} base + {speed} speed bonus + {streak} streak bonus (best streak {bestStreak})."
+    },
+    "reveal.yoursCorrect": "(your answer, correct)",
+    "reveal.correct": "(correct answer)",
+    "reveal.yoursIncorrect": "(your answer, incorrect)",
+    "error.retry": "Try again",
+    "error.changeSettings": "Change settings",
+
+    // Answer review and the mistakes deck.
+    "review.title": "Answer review",
+    "review.yourAnswer": "Your answer: {answer}",
+    "review.noAnswer": "Your answer: none",
+    "review.noAnswerTimeout": "Your answer: none (time ran out)",
+    "review.correctAnswer": "Correct answer: {answer}",
+    "review.mistakesAdded": {
+        one: "{count} missed question was added to your mistakes deck.",
+        other: "{count} missed questions were added to your mistakes deck."
+    },
+    "review.mistakesPromoted": {
+        one: "{count} reviewed question moves to a later review.",
+        other: "{count} reviewed questions move to a later review."
+    },
+    "review.mistakesGraduated": {
+        one: "{count} question has left the deck for good.",
+        other: "{count} questions have left the deck for good."
+    },
+    "mistakes.empty": "Your mistakes deck is empty.",
+    "mistakes.emptyDeck": "Your mistakes deck is empty. Missed questions are added to it after each game.",
+    "mistakes.summary": {
+        one: "{count} question is in your mistakes deck, {due} due for review now.",
+        other: "{count} questions are in your mistakes deck, {due} due for review now."
+    },
+    "mistakes.noneDue": "No mistakes are due for review yet. The next one is due {date}.",
+    "mistakes.clear": "Clear mistakes deck",
+    "mistakes.confirmClear": "Remove every question from your mistakes deck?",
+
+    // Custom decks and the deck editor.
+    "decks.title": "Deck editor",
+    "decks.playLabel": "Deck:",
+    "decks.editLabel": "Edit deck:",
+    "decks.option": {
+        one: "{name} ({count} question)",
+        other: "{name} ({count} questions)"
+    },
+    "decks.none": "No decks yet: write one in the deck editor",
+    "decks.unsaved": "New deck (not saved)",
+    "decks.new": "New deck",
+    "decks.delete": "Delete deck",
+    "decks.export": "Export JSON",
+    "decks.name": "Deck name:",
+    "decks.questionLegend": "Question {number}",
+    "decks.questionText": "Question:",
+    "decks.correct": "Correct answer:",
+    "decks.incorrect": "Incorrect answer {number}:",
+    "decks.category": "Category:",
+    "decks.difficulty": "Difficulty:",
+    "decks.moveUp": "Move up",
+    "decks.moveDown": "Move down",
+    "decks.remove": "Remove question",
+    "decks.moved": "Moved to question {number}.",
+    "decks.addQuestion": "Add question",
+    "decks.save": "Save deck",
+    "decks.noName": "Give the deck a name.",
+    "decks.noQuestions": "Add at least one question.",
+    "decks.tooMany": "A deck can have at most {count} questions.",
+    "decks.noText": "Enter the question.",
+    "decks.noCorrect": "Enter the correct answer.",
+    "decks.noIncorrect": "Enter at least one incorrect answer.",
+    "decks.tooManyIncorrect": "A question can have at most {count} incorrect answers.",
+    "decks.duplicateAnswers": "Each answer must be different.",
+    "decks.badDifficulty": "Pick a difficulty.",
+    "decks.notSaved": {
+        one: "The deck was not saved: fix the problem marked below.",
+        other: "The deck was not saved: fix the {count} problems marked below."
+    },
+    "decks.saved": {
+        one: "Saved \"{name}\" ({count} question).",
+        other: "Saved \"{name}\" ({count} questions)."
+    },
+    "decks.confirmDelete": "Delete the deck \"{name}\"? This cannot be undone.",
+    "decks.deleted": "Deleted \"{name}\".",
+    "decks.exported": "Exported the saved copy of \"{name}\".",
+    "decks.notFound": "That deck could not be found. Pick a deck, or write one in the deck editor.",
+
+    // Daily challenge.
+    "daily.title": "Daily challenge",
+    "daily.about": "Today's challenge: {count} questions, the same for everyone. Category, difficulty, type and amount do not apply.",
+    "daily.played": "You scored {correct}/{total} on today's challenge. A new one starts tomorrow.",
+    "daily.started": "Today's challenge has been started. A new one starts tomorrow.",
+    "daily.streak": {
+        one: "Streak: {count} day (best {best}).",
+        other: "Streak: {count} days (best {best})."
+    },
+    "daily.alreadyPlayed": "You've already played today's challenge ({correct}/{total}). A new one starts tomorrow.",
+    "daily.alreadyStarted": "You've already started today's challenge, and there is one attempt per day. A new one starts tomorrow.",
+    "daily.shareTitle": "Trivia Daily Challenge {date}",
+    "daily.copy": "Copy result",
+    "daily.copied": "Copied!",
+    "daily.copyManually": "Press Ctrl+C (or ⌘C) to copy the selected result.",
+
+    // Hot-seat matches.
+    "match.playersLegend": "Match players (2–8, in turn order)",
+    "match.addPlayer": "Add player",
+    "match.removePlayer": "Remove",
+    "match.playerName": "Player {number} name",
+    "match.needsNames": "Every player needs a name.",
+    "match.playerCount": "A match needs {min} to {max} players.",
+    "match.uniqueNames": "Each player needs a different name.",
+    "match.notEnoughQuestions": "Taking turns needs at least one question per player, but only {count} loaded.",
+    "match.yourTurn": "{name}, it's your turn",
+    "match.passFirst": "Pass the device to {name} to start the match (turn 1 of {total}).",
+    "match.passNext": "Turn complete. Pass the device to {name} for turn {number} of {total}.",
+    "match.startTurn": "Start my turn",
+    "match.turnBanner": "{name}'s turn ({number} of {total})",
+    "match.finishTurn": "Finish turn",
+    "match.resultsTitle": "Match results",
+    "match.winner": "{name} wins!",
+    "match.tie": "It's a tie between {names}!",
+
+    // Live rooms.
+    "room.serverHint": "Live rooms need the room server: run node server/server.js and open the game from the address it prints.",
+    "room.joinLegend": "Join a live room",
+    "room.code": "Room code:",
+    "room.name": "Your name:",
+    "room.join": "Join room",
+    "room.enterCode": "Enter the four-letter room code shown on the host's screen.",
+    "room.enterName": "Enter the name you want to appear under.",
+    "room.opening": "Opening room…",
+    "room.title": "Room {code}",
+    "room.joinHint": "Players open {address} on their own devices and join with the code {code}.",
+    "room.waitingForPlayers": "Waiting for players to join…",
+    "room.joined": "You're in room {code} as {name}. Waiting for the host to start…",
+    "room.disconnected": "{name} (disconnected)",
+    "room.noPlayers": "No players yet",
+    "room.noPlayersYet": "No players yet.",
+    "room.startFirst": "Start first question",
+    "room.nextQuestion": "Next question",
+    "room.finishGame": "Finish game",
+    "room.closeQuestion": "Close question",
+    "room.endGame": "End game",
+    "room.hostQuestion": "Question {number} of {total}: {text}",
+    "room.playerBanner": "Room {code} · Question {number} of {total}",
+    "room.answeredCount": {
+        one: "{answered} of {count} player has answered.",
+        other: "{answered} of {count} players have answered."
+    },
+    "room.pickAnswer": "Pick an answer.",
+    "room.answerSent": "Answer sent.",
+    "room.questionClosed": "Question closed.",
+    "room.correct": "Correct!",
+    "room.incorrect": "Not quite. The right answer is highlighted.",
+    "room.noAnswer": "No answer this time. The right answer is highlighted.",
+    "room.leaderboard": "Live leaderboard",
+    "room.gameOver": "Game over.",
+    "room.close": "Close room",
+    "room.leave": "Leave room",
+    "room.backToSetup": "Back to setup",
+    "room.connectionLost": "Lost the connection to the room server.",
+    "room.unreachable": "Could not reach the room server.",
+    "room.server.notForHost": "The host cannot do that.",
+    "room.server.notForPlayers": "Players cannot do that.",
+    "room.server.questionClosed": "That question is closed.",
+    "room.server.alreadyAnswered": "You have already answered this question.",
+    "room.server.badOption": "That is not one of the answers.",
+    "room.server.badQuestions": "The question set could not be used for a room.",
+    "room.server.noRoom": "There is no room with that code.",
+    "room.server.badName": "Enter a name of up to {max} characters.",
+    "room.server.finished": "That game has already finished.",
+    "room.server.nameTaken": "Someone in the room already has that name.",
+    "room.server.roomFull": "That room is full.",
+    "room.server.badMessage": "Messages must be JSON objects with a type.",
+    "room.server.notInRoom": "Host or join a room first.",
+    "room.server.hostLeft": "The host left, so the room has closed.",
+    "room.server.shuttingDown": "The server is shutting down.",
+
+    // Scoreboard.
+    "table.rank": "Rank",
+    "table.player": "Player",
+    "table.score": "Score",
+    "table.date": "Date",
+    "table.time": "Time",
+    "scores.sort": "Sort Scores:",
+    "sort.newest": "Newest first",
+    "sort.oldest": "Oldest first",
+    "sort.highest": "Highest score",
+    "sort.lowest": "Lowest score",
+    "sort.points": "Most points",
+    "filters.player": "Player:",
+    "filters.searchNames": "Search names",
+    "filters.from": "From:",
+    "filters.to": "To:",
+    "filters.board": "Board:",
+    "filters.allGames": "All games",
+    "filters.best": "Best game per player only",
+    "filters.pageSize": "Rows per page:",
+    "filters.reset": "Reset filters",
+    "board.unrecorded": "Unrecorded settings",
+    "board.category": "Category {id}",
+    "board.anyCategory": "Any category",
+    "board.anyDifficulty": "Any difficulty",
+    "board.questions": {
+        one: "{count} question",
+        other: "{count} questions"
+    },
+    "board.unknownAmount": "? questions",
+    "scores.none": "No scores yet.",
+    "scores.noMatches": "No scores match these filters.",
+    "scores.showStats": "Show statistics for this player",
+    "scores.pointsShort": "{points} pts",
+    "scores.topScore": {
+        one: "Top score: {percent} ({count} player)",
+        other: "Top score: {percent} ({count} players)"
+    },
+    "scores.topPoints": {
+        one: "Top points: {points} ({count} player)",
+        other: "Top points: {points} ({count} players)"
+    },
+    "scores.showing": {
+        one: "Showing {from}–{to} of {count} score.",
+        other: "Showing {from}–{to} of {count} scores."
+    },
+    "scores.noneMatching": "No matching scores.",
+    "scores.filteredFrom": "(filtered from {total})",
+    "scores.pagesLabel": "Score pages",
+    "scores.clear": "Clear Scores",
+    "scores.confirmClear": "Clear all saved scores? This cannot be undone.",
+
+    // Player statistics dashboard.
+    "dashboard.title": "Player statistics",
+    "dashboard.playerTitle": "Player statistics: {name}",
+    "dashboard.gamesPlayed": "Games played",
+    "dashboard.average": "Average score",
+    "dashboard.best": "Best score",
+    "dashboard.lastGames": {
+        one: "Last game",
+        other: "Last {count} games"
+    },
+    "dashboard.recentChange": "{percent} ({change} on the {count} games before)",
+    "dashboard.percentPoints": {
+        one: "{count} point",
+        other: "{count} points"
+    },
+    "dashboard.trend": "Score trend",
+    "dashboard.trendLabel": {
+        one: "Scores over {count} game, from {from} to {to}.",
+        other: "Scores over {count} games, from {from} to {to}."
+    },
+    "dashboard.trendPoint": "{date}: {percent}",
+    "dashboard.byCategory": "Accuracy by category",
+    "dashboard.byDifficulty": "Accuracy by difficulty",
+    "dashboard.category": "Category",
+    "dashboard.difficulty": "Difficulty",
+    "dashboard.correct": "Correct",
+    "dashboard.accuracy": "Accuracy",
+    "dashboard.noData": "No data yet.",
+    "dashboard.olderGames": {
+        one: "{count} older game was saved without a breakdown and is not in the accuracy tables.",
+        other: "{count} older games were saved without a breakdown and are not in the accuracy tables."
+    },
+    "dashboard.close": "Close",
+
+    // Score export and import.
+    "transfer.exportJson": "Export JSON",
+    "transfer.exportCsv": "Export CSV",
+    "transfer.importLabel": "Import scores (.json or .csv):",
+    "transfer.previewLabel": "Import preview",
+    "transfer.summary": "{file}: {parts}.",
+    "transfer.toAdd": {
+        one: "{count} new score to add",
+        other: "{count} new scores to add"
+    },
+    "transfer.duplicates": "{count} already saved (skipped)",
+    "transfer.invalid": "{count} invalid (skipped)",
+    "transfer.rowProblem": "Row {row}: {reason}.",
+    "transfer.confirm": "Import scores",
+    "transfer.cancel": "Cancel",
+    "transfer.imported": {
+        one: "Imported {count} score.",
+        other: "Imported {count} scores."
+    },
+    "transfer.importFailed": "The scores could not be imported.",
+    "record.notObject": "not an object",
+    "record.noName": "missing player name",
+    "record.badTotal": "invalid total",
+    "record.badCorrect": "invalid correct count",
+    "record.correctOverTotal": "correct count is larger than total",
+    "record.noTimestamp": "missing timestamp",
+    "record.invalidJson": "saved scores were not valid JSON",
+    "record.unknownFormat": "saved scores used an unknown format",
+
+    // Score storage.
+    "storage.title": "Score storage settings",
+    "storage.maxRecords": "Keep at most this many scores (0 = no limit):",
+    "storage.maxAge": "Delete scores older than this many days (0 = never):",
+    "storage.backend": "Store scores in:",
+    "storage.auto": "Automatic",
+    "storage.localStorage": "Local storage",
+    "storage.indexedDB": "IndexedDB (large histories)",
+    "storage.save": "Save storage settings",
+    "storage.discardQuarantine": "Discard unreadable rows",
+    "storage.loadFailed": "Saved scores could not be loaded, so the table may be incomplete.",
+    "storage.droppedForQuota": {
+        one: "Browser storage was full, so the oldest score was removed to make room.",
+        other: "Browser storage was full, so the {count} oldest scores were removed to make room."
+    },
+    "storage.fullNotSaved": "Browser storage is full, so this score could not be saved.",
+    "storage.notSaved": "This score could not be saved.",
+    "storage.corrupt": "Saved scores were unreadable; the original data was kept aside instead of being deleted.",
+    "storage.corruptNotSetAside": "Saved scores are unreadable and browser storage is too full to set them aside, so they were left as they are and new scores cannot be saved.",
+    "storage.notSetAside": {
+        one: "{count} saved score row is invalid and browser storage is too full to set it aside, so it was left in place and is not shown.",
+        other: "{count} saved score rows are invalid and browser storage is too full to set them aside, so they were left in place and are not shown."
+    },
+    "storage.quarantined": {
+        one: "{count} saved score row was invalid and set aside.",
+        other: "{count} saved score rows were invalid and set aside."
+    },
+    "storage.pruned": {
+        one: "{count} old score was removed by your storage settings.",
+        other: "{count} old scores were removed by your storage settings."
+    },
+    "storage.quarantineInfo": {
+        one: "{count} unreadable entry is kept aside.",
+        other: "{count} unreadable entries are kept aside."
+    },
+    "storage.confirmLimits": "Apply these limits now? Scores outside them will be deleted.",
+    "storage.settingsSaved": "Storage settings saved.",
+    "storage.settingsPruned": {
+        one: "{count} score was removed.",
+        other: "{count} scores were removed."
+    },
+    "storage.settingsFailed": "Storage settings could not be applied.",
+    "storage.confirmDiscard": "Delete the unreadable score data kept aside? This cannot be undone."
+};
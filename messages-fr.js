@@ -0,0 +1,482 @@
+// Provide a high-level description of the French message catalog.
+/**
+ * French interface text, read by i18n.js. Any message missing here falls back to English.
+ * A message with a count has a "one" form (used for 0 and 1 in French) and an "other" form.
+ */
+
+// Export the French catalog (i18n.js registers it by language code).
+export default {
+    // The language's own name, shown in the language picker.
+    "language.name": "Français",
+    // Word used to join the last two items of a list when the browser cannot format lists.
+    "list.and": "et",
+
+    // Page, language and display settings.
+    "page.title": "Jeu de quiz",
+    "language.label": "Langue :",
+    "display.title": "Options d'affichage",
+    "display.highContrast": "Contraste élevé",
+    "display.reducedMotion": "Réduire les animations",
+
+    // Indicateur de connexion.
+    "connection.online": "En ligne",
+    "connection.offline": "Hors ligne : les questions viennent des parties récentes et de la banque hors ligne. Les scores sont toujours enregistrés sur cet appareil.",
+
+    // Resume prompt.
+    "resume.title": "Partie inachevée",
+    "resume.details": {
+        one: "Vous avez une partie inachevée du {date} : {answered} question sur {count} répondue.",
+        other: "Vous avez une partie inachevée du {date} : {answered} questions sur {count} répondues."
+    },
+    "resume.resume": "Reprendre la partie",
+    "resume.discard": "Nouvelle partie",
+    "resume.resumed": "Votre partie inachevée a repris.",
+
+    // Game setup.
+    "setup.title": "Configuration de la partie",
+    "setup.source": "Source des questions :",
+    "setup.importDeck": "Importer un paquet (JSON/CSV)",
+    "setup.category": "Catégorie :",
+    "setup.anyCategory": "Toutes les catégories",
+    "setup.difficulty": "Difficulté :",
+    "setup.anyDifficulty": "Toutes les difficultés",
+    "setup.amount": "Nombre de questions :",
+    "setup.type": "Type de question :",
+    "setup.anyType": "Tous les types",
+    "setup.mode": "Mode :",
+    "setup.questionTime": "Secondes par question (une à la fois, 0 = sans limite) :",
+    "setup.totalTime": "Durée totale en minutes (0 = sans limite) :",
+    "setup.scoring": "Décompte :",
+    "setup.players": "Joueurs :",
+    "setup.start": "Commencer",
+    "source.api": "Open Trivia DB (en ligne)",
+    "source.offline": "Banque de questions hors ligne",
+    "source.imported": "Paquet importé",
+    "source.mistakes": "Mes erreurs ({count} à revoir)",
+    "source.dailyNew": "Défi du jour (nouveau)",
+    "source.dailyPlayed": "Défi du jour (déjà joué)",
+    "source.deck": "Mes paquets",
+    "difficulty.easy": "Facile",
+    "difficulty.medium": "Moyenne",
+    "difficulty.hard": "Difficile",
+    "type.multiple": "Choix multiple",
+    "type.boolean": "Vrai / Faux",
+    "mode.all": "Toutes les questions d'un coup",
+    "mode.sequential": "Une question à la fois",
+    "scoring.standard": "Bonnes réponses",
+    "scoring.points": "Points (bonus de difficulté, de rapidité et de série)",
+    "players.solo": "Un joueur",
+    "players.same": "Match : tout le monde répond aux mêmes questions",
+    "players.alternate": "Match : chacun son tour, une question chacun",
+    "players.host": "Salle en direct : l'hôte ici, les joueurs sur leurs propres appareils",
+
+    // Loading questions and importing decks.
+    "loading.rateLimited": {
+        one: "Open Trivia DB est occupé. Nouvel essai dans {count} seconde…",
+        other: "Open Trivia DB est occupé. Nouvel essai dans {count} secondes…"
+    },
+    "loading.noMatches": "Aucune question ne correspond à ces réglages. Essayez une autre catégorie, difficulté ou un autre type.",
+    "loading.fellBack": "Open Trivia DB est injoignable : cette manche utilise la banque de questions hors ligne.",
+    "loading.shortRound": {
+        one: "Seulement {count} question correspond à ces réglages.",
+        other: "Seulement {count} questions correspondent à ces réglages."
+    },
+    "api.httpError": "Open Trivia DB a répondu avec le code HTTP {status}.",
+    "api.unreachable": "Impossible de joindre Open Trivia DB.",
+    "api.noResults": "Open Trivia DB n'a pas assez de questions pour ces réglages. Essayez moins de questions ou une autre catégorie.",
+    "api.invalidParameter": "Open Trivia DB n'a pas accepté ces réglages. Modifiez-les puis réessayez.",
+    "api.tokenEmpty": "Vous avez vu toutes les questions d'Open Trivia DB pour ces réglages. Essayez une autre catégorie ou difficulté.",
+    "api.rateLimit": "Open Trivia DB reçoit trop de demandes en ce moment. Patientez un instant puis réessayez.",
+    "api.unexpected": "Open Trivia DB a renvoyé une réponse inattendue.",
+    "import.noDeck": "Aucun paquet importé pour l'instant. Importez d'abord un fichier JSON ou CSV.",
+    "import.invalidJson": "Le fichier n'est pas un JSON valide.",
+    "import.noResults": "Un tableau de questions ou un objet avec un tableau « results » était attendu.",
+    "import.noRecords": "Un export de scores avec un tableau « records » était attendu.",
+    "import.failed": "Impossible d'importer {file} : {errors}",
+    "import.readFailed": "Impossible de lire {file}.",
+    "import.done": {
+        one: "{count} question importée depuis {file}.",
+        other: "{count} questions importées depuis {file}."
+    },
+    "import.skipped": "{count} ignorée(s) : {errors}",
+    "deck.questionProblem": "Question {number} : {reason}.",
+    "deck.notObject": "ce n'est pas un objet",
+    "deck.noText": "texte de la question manquant",
+    "deck.noCorrect": "correct_answer manquant",
+    "deck.noIncorrect": "il faut au moins une mauvaise réponse",
+    "deck.correctListedIncorrect": "correct_answer figure aussi parmi les mauvaises réponses",
+
+    // Playing a round.
+    "keyboard.intro": "Clavier :",
+    "keyboard.pick": "choisir une réponse,",
+    "keyboard.move": "question suivante ou précédente,",
+    "keyboard.finish": "terminer.",
+    "nav.previous": "Précédente",
+    "nav.next": "Suivante",
+    "progress.sequential": "Question {number} sur {total} ({answered} répondue(s))",
+    "progress.all": "{answered} sur {total} répondue(s)",
+    "timer.question": "Question : {time}",
+    "timer.total": "Total : {time}",
+    "announce.loading": "Chargement des questions…",
+    "announce.loaded": {
+        one: "{count} question chargée.",
+        other: "{count} questions chargées."
+    },
+    "announce.question": "Question {number} sur {total}.",
+    "announce.answered": "Question {number} répondue. {answered} sur {total} répondue(s).",
+    "announce.timeUp": "Temps écoulé pour la question {number}.",
+    "game.lockedAnswered": "Temps écoulé : votre réponse est verrouillée.",
+    "game.lockedBlank": "Temps écoulé : cette question compte comme fausse.",
+    "game.timeUpEnterName": "Temps écoulé ! Saisissez votre nom et appuyez sur Terminer pour enregistrer votre score.",
+    "game.chooseAnswer": "Veuillez choisir une réponse.",
+    "game.answerAll": "Veuillez répondre à toutes les questions avant d'envoyer ({count} sans réponse).",
+    "game.enterName": "Veuillez saisir votre nom avant de terminer la partie.",
+    "game.namePlaceholder": "Saisissez votre nom",
+    "game.nameLabel": "Votre nom",
+    "game.rememberMe": "Mémoriser mon nom sur cet appareil",
+    "game.forgetMe": "Oublier mon nom",
+    "game.finish": "Terminer",
+    "game.newPlayer": "Nouveau joueur",
+    "game.summary": "Bravo, {name} ! Votre score : {correct}/{total}.",
+    "game.pointsBreakdown": {
+        one: "{count} point : {base} de base + {speed} de bonus de rapidité + {streak} de bonus de série (meilleure série {bestStreak}).",
+        other: "{count} points : {base} de base + {speed} de bonus de rapidité + {streak} de bonus de série (meilleure série {bestStreak})."
+    },
+    "reveal.yoursCorrect": "(votre réponse, correcte)",
+    "reveal.correct": "(bonne réponse)",
+    "reveal.yoursIncorrect": "(votre réponse, incorrecte)",
+    "error.retry": "Réessayer",
+    "error.changeSettings": "Modifier les réglages",
+
+    // Answer review and the mistakes deck.
+    "review.title": "Correction",
+    "review.yourAnswer": "Votre réponse : {answer}",
+    "review.noAnswer": "Votre réponse : aucune",
+    "review.noAnswerTimeout": "Votre réponse : aucune (temps écoulé)",
+    "review.correctAnswer": "Bonne réponse : {answer}",
+    "review.mistakesAdded": {
+        one: "{count} question manquée a été ajoutée à votre paquet d'erreurs.",
+        other: "{count} questions manquées ont été ajoutées à votre paquet d'erreurs."
+    },
+    "review.mistakesPromoted": {
+        one: "{count} question revue passe à une révision plus tardive.",
+        other: "{count} questions revues passent à une révision plus tardive."
+    },
+    "review.mistakesGraduated": {
+        one: "{count} question a définitivement quitté le paquet.",
+        other: "{count} questions ont définitivement quitté le paquet."
+    },
+    "mistakes.empty": "Votre paquet d'erreurs est vide.",
+    "mistakes.emptyDeck": "Votre paquet d'erreurs est vide. Les questions manquées y sont ajoutées après chaque partie.",
+    "mistakes.summary": {
+        one: "{count} question dans votre paquet d'erreurs, dont {due} à revoir maintenant.",
+        other: "{count} questions dans votre paquet d'erreurs, dont {due} à revoir maintenant."
+    },
+    "mistakes.noneDue": "Aucune erreur à revoir pour l'instant. La prochaine sera à revoir le {date}.",
+    "mistakes.clear": "Vider le paquet d'erreurs",
+    "mistakes.confirmClear": "Retirer toutes les questions de votre paquet d'erreurs ?",
+
+    // Custom decks and the deck editor.
+    "decks.title": "Éditeur de paquets",
+    "decks.playLabel": "Paquet :",
+    "decks.editLabel": "Modifier le paquet :",
+    "decks.option": {
+        one: "{name} ({count} question)",
+        other: "{name} ({count} questions)"
+    },
+    "decks.none": "Aucun paquet : créez-en un dans l'éditeur de paquets",
+    "decks.unsaved": "Nouveau paquet (non enregistré)",
+    "decks.new": "Nouveau paquet",
+    "decks.delete": "Supprimer le paquet",
+    "decks.export": "Exporter en JSON",
+    "decks.name": "Nom du paquet :",
+    "decks.questionLegend": "Question {number}",
+    "decks.questionText": "Question :",
+    "decks.correct": "Bonne réponse :",
+    "decks.incorrect": "Mauvaise réponse {number} :",
+    "decks.category": "Catégorie :",
+    "decks.difficulty": "Difficulté :",
+    "decks.moveUp": "Monter",
+    "decks.moveDown": "Descendre",
+    "decks.remove": "Retirer la question",
+    "decks.moved": "Déplacée en question {number}.",
+    "decks.addQuestion": "Ajouter une question",
+    "decks.save": "Enregistrer le paquet",
+    "decks.noName": "Donnez un nom au paquet.",
+    "decks.noQuestions": "Ajoutez au moins une question.",
+    "decks.tooMany": "Un paquet compte au plus {count} questions.",
+    "decks.noText": "Saisissez la question.",
+    "decks.noCorrect": "Saisissez la bonne réponse.",
+    "decks.noIncorrect": "Saisissez au moins une mauvaise réponse.",
+    "decks.tooManyIncorrect": "Une question compte au plus {count} mauvaises réponses.",
+    "decks.duplicateAnswers": "Les réponses doivent toutes être différentes.",
+    "decks.badDifficulty": "Choisissez une difficulté.",
+    "decks.notSaved": {
+        one: "Le paquet n'a pas été enregistré : corrigez le problème signalé ci-dessous.",
+        other: "Le paquet n'a pas été enregistré : corrigez les {count} problèmes signalés ci-dessous."
+    },
+    "decks.saved": {
+        one: "« {name} » enregistré ({count} question).",
+        other: "« {name} » enregistré ({count} questions)."
+    },
+    "decks.confirmDelete": "Supprimer le paquet « {name} » ? Cette action est irréversible.",
+    "decks.deleted": "« {name} » supprimé.",
+    "decks.exported": "La copie enregistrée de « {name} » a été exportée.",
+    "decks.notFound": "Ce paquet est introuvable. Choisissez un paquet ou créez-en un dans l'éditeur de paquets.",
+
+    // Daily challenge.
+    "daily.title": "Défi du jour",
+    "daily.about": "Défi du jour : {count} questions, les mêmes pour tout le monde. La catégorie, la difficulté, le type et le nombre ne s'appliquent pas.",
+    "daily.played": "Votre score au défi du jour : {correct}/{total}. Un nouveau défi commence demain.",
+    "daily.started": "Le défi du jour a été commencé. Un nouveau défi commence demain.",
+    "daily.streak": {
+        one: "Série : {count} jour (record {best}).",
+        other: "Série : {count} jours (record {best})."
+    },
+    "daily.alreadyPlayed": "Vous avez déjà joué le défi du jour ({correct}/{total}). Un nouveau défi commence demain.",
+    "daily.alreadyStarted": "Vous avez déjà commencé le défi du jour, et il n'y a qu'un essai par jour. Un nouveau défi commence demain.",
+    "daily.shareTitle": "Défi quiz du jour {date}",
+    "daily.copy": "Copier le résultat",
+    "daily.copied": "Copié !",
+    "daily.copyManually": "Appuyez sur Ctrl+C (ou ⌘C) pour copier le résultat sélectionné.",
+
+    // Hot-seat matches.
+    "match.playersLegend": "Joueurs du match (2 à 8, dans l'ordre de passage)",
+    "match.addPlayer": "Ajouter un joueur",
+    "match.removePlayer": "Retirer",
+    "match.playerName": "Nom du joueur {number}",
+    "match.needsNames": "Chaque joueur doit avoir un nom.",
+    "match.playerCount": "Un match se joue de {min} à {max} joueurs.",
+    "match.uniqueNames": "Chaque joueur doit avoir un nom différent.",
+    "match.notEnoughQuestions": "Jouer chacun son tour demande au moins une question par joueur, mais seulement {count} ont été chargées.",
+    "match.yourTurn": "{name}, à vous de jouer",
+    "match.passFirst": "Passez l'appareil à {name} pour commencer le match (tour 1 sur {total}).",
+    "match.passNext": "Tour terminé. Passez l'appareil à {name} pour le tour {number} sur {total}.",
+    "match.startTurn": "Commencer mon tour",
+    "match.turnBanner": "Tour de {name} ({number} sur {total})",
+    "match.finishTurn": "Terminer le tour",
+    "match.resultsTitle": "Résultats du match",
+    "match.winner": "{name} gagne !",
+    "match.tie": "Égalité entre {names} !",
+
+    // Live rooms.
+    "room.serverHint": "Les salles en direct ont besoin du serveur de salles : lancez node server/server.js et ouvrez le jeu à l'adresse qu'il affiche.",
+    "room.joinLegend": "Rejoindre une salle en direct",
+    "room.code": "Code de la salle :",
+    "room.name": "Votre nom :",
+    "room.join": "Rejoindre",
+    "room.enterCode": "Saisissez le code de quatre lettres affiché sur l'écran de l'hôte.",
+    "room.enterName": "Saisissez le nom sous lequel vous voulez apparaître.",
+    "room.opening": "Ouverture de la salle…",
+    "room.title": "Salle {code}",
+    "room.joinHint": "Les joueurs ouvrent {address} sur leurs appareils et rejoignent avec le code {code}.",
+    "room.waitingForPlayers": "En attente des joueurs…",
+    "room.joined": "Vous êtes dans la salle {code} sous le nom {name}. En attente du lancement par l'hôte…",
+    "room.disconnected": "{name} (déconnecté)",
+    "room.noPlayers": "Aucun joueur pour l'instant",
+    "room.noPlayersYet": "Aucun joueur pour l'instant.",
+    "room.startFirst": "Lancer la première question",
+    "room.nextQuestion": "Question suivante",
+    "room.finishGame": "Terminer la partie",
+    "room.closeQuestion": "Clore la question",
+    "room.endGame": "Arrêter la partie",
+    "room.hostQuestion": "Question {number} sur {total} : {text}",
+    "room.playerBanner": "Salle {code} · Question {number} sur {total}",
+    "room.answeredCount": {
+        one: "{answered} joueur sur {count} a répondu.",
+        other: "{answered} joueurs sur {count} ont répondu."
+    },
+    "room.pickAnswer": "Choisissez une réponse.",
+    "room.answerSent": "Réponse envoyée.",
+    "room.questionClosed": "Question close.",
+    "room.correct": "Bonne réponse !",
+    "room.incorrect": "Raté. La bonne réponse est mise en évidence.",
+    "room.noAnswer": "Pas de réponse cette fois. La bonne réponse est mise en évidence.",
+    "room.leaderboard": "Classement en direct",
+    "room.gameOver": "Partie terminée.",
+    "room.close": "Fermer la salle",
+    "room.leave": "Quitter la salle",
+    "room.backToSetup": "Retour à la configuration",
+    "room.connectionLost": "La connexion au serveur de salles a été perdue.",
+    "room.unreachable": "Impossible de joindre le serveur de salles.",
+    "room.server.notForHost": "L'hôte ne peut pas faire cela.",
+    "room.server.notForPlayers": "Les joueurs ne peuvent pas faire cela.",
+    "room.server.questionClosed": "Cette question est close.",
+    "room.server.alreadyAnswered": "Vous avez déjà répondu à cette question.",
+    "room.server.badOption": "Ce n'est pas l'une des réponses.",
+    "room.server.badQuestions": "Ces questions ne peuvent pas être utilisées pour une salle.",
+    "room.server.noRoom": "Aucune salle n'a ce code.",
+    "room.server.badName": "Saisissez un nom de {max} caractères au plus.",
+    "room.server.finished": "Cette partie est déjà terminée.",
+    "room.server.nameTaken": "Quelqu'un dans la salle porte déjà ce nom.",
+    "room.server.roomFull": "Cette salle est pleine.",
+    "room.server.badMessage": "Les messages doivent être des objets JSON avec un type.",
+    "room.server.notInRoom": "Créez ou rejoignez d'abord une salle.",
+    "room.server.hostLeft": "L'hôte est parti : la salle est fermée.",
+    "room.server.shuttingDown": "Le serveur s'arrête.",
+
+    // Scoreboard.
+    "table.rank": "Rang",
+    "table.player": "Joueur",
+    "table.score": "Score",
+    "table.date": "Date",
+    "table.time": "Durée",
+    "scores.sort": "Trier les scores :",
+    "sort.newest": "Plus récents d'abord",
+    "sort.oldest": "Plus anciens d'abord",
+    "sort.highest": "Meilleur score",
+    "sort.lowest": "Moins bon score",
+    "sort.points": "Plus de points",
+    "filters.player": "Joueur :",
+    "filters.searchNames": "Rechercher un nom",
+    "filters.from": "Du :",
+    "filters.to": "Au :",
+    "filters.board": "Tableau :",
+    "filters.allGames": "Toutes les parties",
+    "filters.best": "Meilleure partie de chaque joueur seulement",
+    "filters.pageSize": "Lignes par page :",
+    "filters.reset": "Réinitialiser les filtres",
+    "board.unrecorded": "Réglages non enregistrés",
+    "board.category": "Catégorie {id}",
+    "board.anyCategory": "Toutes les catégories",
+    "board.anyDifficulty": "Toutes les difficultés",
+    "board.questions": {
+        one: "{count} question",
+        other: "{count} questions"
+    },
+    "board.unknownAmount": "? questions",
+    "scores.none": "Aucun score pour l'instant.",
+    "scores.noMatches": "Aucun score ne correspond à ces filtres.",
+    "scores.showStats": "Afficher les statistiques de ce joueur",
+    "scores.pointsShort": "{points} pts",
+    "scores.topScore": {
+        one: "Meilleur score : {percent} ({count} joueur)",
+        other: "Meilleur score : {percent} ({count} joueurs)"
+    },
+    "scores.topPoints": {
+        one: "Meilleur total de points : {points} ({count} joueur)",
+        other: "Meilleur total de points : {points} ({count} joueurs)"
+    },
+    "scores.showing": {
+        one: "Affichage de {from} à {to} sur {count} score.",
+        other: "Affichage de {from} à {to} sur {count} scores."
+    },
+    "scores.noneMatching": "Aucun score correspondant.",
+    "scores.filteredFrom": "(filtrés parmi {total})",
+    "scores.pagesLabel": "Pages de scores",
+    "scores.clear": "Effacer les scores",
+    "scores.confirmClear": "Effacer tous les scores enregistrés ? Cette action est irréversible.",
+
+    // Player statistics dashboard.
+    "dashboard.title": "Statistiques du joueur",
+    "dashboard.playerTitle": "Statistiques du joueur : {name}",
+    "dashboard.gamesPlayed": "Parties jouées",
+    "dashboard.average": "Score moyen",
+    "dashboard.best": "Meilleur score",
+    "dashboard.lastGames": {
+        one: "Dernière partie",
+        other: "{count} dernières parties"
+    },
+    "dashboard.recentChange": "{percent} ({change} par rapport aux {count} parties précédentes)",
+    "dashboard.percentPoints": {
+        one: "{count} point",
+        other: "{count} points"
+    },
+    "dashboard.trend": "Évolution des scores",
+    "dashboard.trendLabel": {
+        one: "Scores sur {count} partie, de {from} à {to}.",
+        other: "Scores sur {count} parties, de {from} à {to}."
+    },
+    "dashboard.trendPoint": "{date} : {percent}",
+    "dashboard.byCategory": "Précision par catégorie",
+    "dashboard.byDifficulty": "Précision par difficulté",
+    "dashboard.category": "Catégorie",
+    "dashboard.difficulty": "Difficulté",
+    "dashboard.correct": "Bonnes réponses",
+    "dashboard.accuracy": "Précision",
+    "dashboard.noData": "Pas encore de données.",
+    "dashboard.olderGames": {
+        one: "{count} partie ancienne a été enregistrée sans détail et ne figure pas dans les tableaux de précision.",
+        other: "{count} parties anciennes ont été enregistrées sans détail et ne figurent pas dans les tableaux de précision."
+    },
+    "dashboard.close": "Fermer",
+
+    // Score export and import.
+    "transfer.exportJson": "Exporter en JSON",
+    "transfer.exportCsv": "Exporter en CSV",
+    "transfer.importLabel": "Importer des scores (.json ou .csv) :",
+    "transfer.previewLabel": "Aperçu de l'import",
+    "transfer.summary": "{file} : {parts}.",
+    "transfer.toAdd": {
+        one: "{count} nouveau score à ajouter",
+        other: "{count} nouveaux scores à ajouter"
+    },
+    "transfer.duplicates": {
+        one: "{count} déjà enregistré (ignoré)",
+        other: "{count} déjà enregistrés (ignorés)"
+    },
+    "transfer.invalid": {
+        one: "{count} invalide (ignoré)",
+        other: "{count} invalides (ignorés)"
+    },
+    "transfer.rowProblem": "Ligne {row} : {reason}.",
+    "transfer.confirm": "Importer les scores",
+    "transfer.cancel": "Annuler",
+    "transfer.imported": {
+        one: "{count} score importé.",
+        other: "{count} scores importés."
+    },
+    "transfer.importFailed": "Les scores n'ont pas pu être importés.",
+    "record.notObject": "ce n'est pas un objet",
+    "record.noName": "nom du joueur manquant",
+    "record.badTotal": "total invalide",
+    "record.badCorrect": "nombre de bonnes réponses invalide",
+    "record.correctOverTotal": "le nombre de bonnes réponses dépasse le total",
+    "record.noTimestamp": "horodatage manquant",
+    "record.invalidJson": "les scores enregistrés n'étaient pas du JSON valide",
+    "record.unknownFormat": "les scores enregistrés utilisaient un format inconnu",
+
+    // Score storage.
+    "storage.title": "Réglages de stockage des scores",
+    "storage.maxRecords": "Garder au plus ce nombre de scores (0 = sans limite) :",
+    "storage.maxAge": "Supprimer les scores de plus de ce nombre de jours (0 = jamais) :",
+    "storage.backend": "Enregistrer les scores dans :",
+    "storage.auto": "Automatique",
+    "storage.localStorage": "Stockage local",
+    "storage.indexedDB": "IndexedDB (gros historiques)",
+    "storage.save": "Enregistrer les réglages de stockage",
+    "storage.discardQuarantine": "Supprimer les lignes illisibles",
+    "storage.loadFailed": "Les scores enregistrés n'ont pas pu être chargés : le tableau est peut-être incomplet.",
+    "storage.droppedForQuota": {
+        one: "Le stockage du navigateur était plein : le score le plus ancien a été supprimé pour faire de la place.",
+        other: "Le stockage du navigateur était plein : les {count} scores les plus anciens ont été supprimés pour faire de la place."
+    },
+    "storage.fullNotSaved": "Le stockage du navigateur est plein : ce score n'a pas pu être enregistré.",
+    "storage.notSaved": "Ce score n'a pas pu être enregistré.",
+    "storage.corrupt": "Les scores enregistrés étaient illisibles ; les données d'origine ont été mises de côté au lieu d'être supprimées.",
+    "storage.corruptNotSetAside": "Les scores enregistrés sont illisibles et le stockage du navigateur est trop plein pour les mettre de côté : ils ont été laissés tels quels et les nouveaux scores ne peuvent pas être enregistrés.",
+    "storage.notSetAside": {
+        one: "{count} ligne de score enregistrée est invalide et le stockage du navigateur est trop plein pour la mettre de côté : elle a été laissée en place et n'est pas affichée.",
+        other: "{count} lignes de score enregistrées sont invalides et le stockage du navigateur est trop plein pour les mettre de côté : elles ont été laissées en place et ne sont pas affichées."
+    },
+    "storage.quarantined": {
+        one: "{count} ligne de score enregistrée était invalide et a été mise de côté.",
+        other: "{count} lignes de score enregistrées étaient invalides et ont été mises de côté."
+    },
+    "storage.pruned": {
+        one: "{count} ancien score a été supprimé par vos réglages de stockage.",
+        other: "{count} anciens scores ont été supprimés par vos réglages de stockage."
+    },
+    "storage.quarantineInfo": {
+        one: "{count} entrée illisible est mise de côté.",
+        other: "{count} entrées illisibles sont mises de côté."
+    },
+    "storage.confirmLimits": "Appliquer ces limites maintenant ? Les scores hors limites seront supprimés.",
+    "storage.settingsSaved": "Réglages de stockage enregistrés.",
+    "storage.settingsPruned": {
+        one: "{count} score a été supprimé.",
+        other: "{count} scores ont été supprimés."
+    },
+    "storage.settingsFailed": "Les réglages de stockage n'ont pas pu être appliqués.",
+    "storage.confirmDiscard": "Supprimer les données de score illisibles mises de côté ? Cette action est irréversible."
+};
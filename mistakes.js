@@ -0,0 +1,173 @@
+// Provide a high-level description of the mistakes deck module.
+/**
+ * The player's "mistakes" deck: questions answered wrongly (or left unanswered) are saved
+ * in localStorage and come back for review on a Leitner-style spaced-repetition schedule.
+ * A miss puts a question back in the first box (due now); each correct review moves it up a
+ * box with a longer wait, and a question that clears the last box leaves the deck.
+ * The deck is registered as the "mistakes" question provider.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+import * as questions from "./questions.js";
+
+// localStorage key for the deck.
+const STORAGE_KEY = "triviaMistakes";
+// One day in milliseconds.
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Wait before the next review for each box (box 0 is due straight away).
+const BOX_INTERVALS = [0, DAY_MS, 3 * DAY_MS, 7 * DAY_MS, 14 * DAY_MS, 30 * DAY_MS];
+
+// Identify a question by its text and correct answer, so the same question from any source matches.
+function questionKey(raw) {
+    return `${String(raw.question).trim()}\n${String(raw.correct_answer).trim()}`;
+}
+
+// Document what the getItems function does in this block comment.
+/**
+ * Reads the deck from localStorage.
+ * @returns {Object[]} The saved items ({ key, question, box, dueTs, misses, lastReviewedTs }); empty when missing or unreadable.
+ */
+function getItems() {
+    // Retrieve the raw JSON string for the deck.
+    const raw = localStorage.getItem(STORAGE_KEY);
+    // If nothing is stored yet, the deck is empty.
+    if (!raw) return [];
+    // Attempt to parse the JSON and keep only well-formed items.
+    try {
+        const data = JSON.parse(raw);
+        const items = data && Array.isArray(data.items) ? data.items : [];
+        return items.filter((item) => item && item.question && typeof item.key === "string" && Number.isInteger(item.box));
+    } catch (e) {
+        // Log a warning and treat the deck as empty if parsing fails.
+        console.error("Invalid mistakes deck in storage:", e);
+        return [];
+    }
+}
+
+// Save the deck to localStorage.
+function saveItems(items) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, items: items }));
+}
+
+// Document what the recordRound function does in this block comment.
+/**
+ * Updates the deck after a graded round.
+ * Missed questions are added (or sent back to the first box); questions already in the deck
+ * that were answered correctly while due move up a box, and leave the deck after the last one.
+ * @param {Object} game - The game model from game.createGame.
+ * @param {{ results: Object[] }} grade - The result of grader.gradeGame.
+ * @returns {{ added: number, promoted: number, graduated: number }} What changed.
+ */
+function recordRound(game, grade) {
+    const now = Date.now();
+    const items = getItems();
+    // Index the deck by question key.
+    const byKey = {};
+    items.forEach((item) => {
+        byKey[item.key] = item;
+    });
+    const summary = { added: 0, promoted: 0, graduated: 0 };
+
+    // Grade results are in question order, so they line up with game.questions.
+    game.questions.forEach((question, i) => {
+        const key = questionKey(question.raw);
+        const item = byKey[key];
+        if (!grade.results[i].isCorrect) {
+            // A miss (or no answer) starts the schedule again.
+            if (item) {
+                item.box = 0;
+                item.misses += 1;
+                item.dueTs = now;
+                item.lastReviewedTs = now;
+            } else {
+                const added = { key: key, question: question.raw, box: 0, dueTs: now, misses: 1, lastReviewedTs: now };
+                items.push(added);
+                byKey[key] = added;
+                summary.added++;
+            }
+        } else if (item && item.dueTs <= now) {
+            // A correct answer only counts once the question is due, so cramming does not skip boxes.
+            item.box += 1;
+            item.lastReviewedTs = now;
+            if (item.box >= BOX_INTERVALS.length) {
+                delete byKey[key];
+                summary.graduated++;
+            } else {
+                item.dueTs = now + BOX_INTERVALS[item.box];
+                summary.promoted++;
+            }
+        }
+    });
+
+    // Save what is left (graduated items were removed from the index).
+    saveItems(items.filter((item) => byKey[item.key] === item));
+    return summary;
+}
+
+// Document what the getDueItems function does in this block comment.
+/**
+ * Lists the items due for review, most overdue (and lowest box) first.
+ * @param {number} [now] - The time to compare against; defaults to the current time.
+ * @returns {Object[]} The due items.
+ */
+function getDueItems(now) {
+    const at = typeof now === "number" ? now : Date.now();
+    return getItems()
+        .filter((item) => item.dueTs <= at)
+        .sort((a, b) => a.box - b.box || a.dueTs - b.dueTs);
+}
+
+// Document what the getSummary function does in this block comment.
+/**
+ * Describes the deck for the setup screen.
+ * @returns {{ total: number, due: number, nextDueTs: ?number }} Deck size, items due now, and when the next one falls due.
+ */
+function getSummary() {
+    const now = Date.now();
+    const items = getItems();
+    const upcoming = items.filter((item) => item.dueTs > now).map((item) => item.dueTs);
+    return {
+        total: items.length,
+        due: items.length - upcoming.length,
+        nextDueTs: upcoming.length ? Math.min.apply(null, upcoming) : null
+    };
+}
+
+// Remove every question from the deck.
+function clear() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+// Document what the loadFromMistakes function does in this block comment.
+/**
+ * Provider for the mistakes deck: plays the due questions, ignoring category/difficulty/type filters.
+ * @param {Object} options - Load options ({ amount }).
+ * @returns {Promise<Object[]>} Resolves with up to `amount` due questions, or rejects when none are due.
+ */
+function loadFromMistakes(options) {
+    const due = getDueItems();
+    // Explain why there is nothing to play.
+    if (due.length === 0) {
+        const summary = getSummary();
+        return Promise.reject(new Error(summary.total === 0
+            ? i18n.t("mistakes.emptyDeck")
+            : i18n.t("mistakes.noneDue", { date: i18n.formatDateTime(summary.nextDueTs) })));
+    }
+    // Take the most urgent questions, then shuffle their order for play.
+    const amount = parseInt(options && options.amount, 10) > 0 ? parseInt(options.amount, 10) : due.length;
+    return Promise.resolve(questions.shuffle(due.slice(0, amount).map((item) => item.question)));
+}
+
+// Register the deck as a question source.
+questions.registerProvider({ id: "mistakes", label: "My mistakes (spaced review)", load: loadFromMistakes });
+
+// Expose the public API.
+export {
+    BOX_INTERVALS,
+    getItems,
+    recordRound,
+    getDueItems,
+    getSummary,
+    clear
+};
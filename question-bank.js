@@ -0,0 +1,371 @@
+// Provide a high-level description of the offline question bank.
+/**
+ * Bundled offline question bank used when Open Trivia DB cannot be reached.
+ * Each entry uses the same shape as an item in OpenTDB's `results` array,
+ * stored as plain text so it can be shown without any decoding. The optional `explanation`
+ * field is shown on the answer review screen.
+ */
+
+// Export the bank so the question providers can read it.
+export const questionBank = [
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "General Knowledge",
+        question: "Which colour do you get when you mix blue and yellow?",
+        correct_answer: "Green",
+        incorrect_answers: ["Purple", "Orange", "Brown"],
+        explanation: "Blue and yellow are mixed to make green in the traditional paint colour wheel."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "General Knowledge",
+        question: "How many days are there in a leap year?",
+        correct_answer: "366",
+        incorrect_answers: ["365", "364", "367"],
+        explanation: "A leap year adds 29 February, giving 366 days instead of 365."
+    },
+    {
+        type: "boolean",
+        difficulty: "easy",
+        category: "General Knowledge",
+        question: "A dozen is equal to twelve.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "A dozen is a group of twelve; a \"baker's dozen\" is thirteen."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "General Knowledge",
+        question: "Which chess piece can only move diagonally?",
+        correct_answer: "Bishop",
+        incorrect_answers: ["Rook", "Knight", "King"],
+        explanation: "Bishops move any number of squares diagonally, so each stays on one colour all game."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Science & Nature",
+        question: "What is the chemical symbol for water?",
+        correct_answer: "H2O",
+        incorrect_answers: ["O2", "CO2", "HO"],
+        explanation: "Each water molecule has two hydrogen atoms and one oxygen atom."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Science & Nature",
+        question: "Which planet is known as the Red Planet?",
+        correct_answer: "Mars",
+        incorrect_answers: ["Venus", "Jupiter", "Mercury"],
+        explanation: "Iron oxide (rust) in its surface dust gives Mars its reddish colour."
+    },
+    {
+        type: "boolean",
+        difficulty: "medium",
+        category: "Science & Nature",
+        question: "Sound travels faster in air than in water.",
+        correct_answer: "False",
+        incorrect_answers: ["True"],
+        explanation: "Sound travels about four times faster in water (around 1,480 m/s) than in air (around 343 m/s)."
+    },
+    {
+        type: "multiple",
+        difficulty: "hard",
+        category: "Science & Nature",
+        question: "What is the most abundant gas in Earth's atmosphere?",
+        correct_answer: "Nitrogen",
+        incorrect_answers: ["Oxygen", "Argon", "Carbon dioxide"],
+        explanation: "Nitrogen makes up about 78% of the atmosphere; oxygen is about 21%."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Science: Computers",
+        question: "What does \"CPU\" stand for?",
+        correct_answer: "Central Processing Unit",
+        incorrect_answers: ["Computer Personal Unit", "Central Program Utility", "Core Processing Unit"],
+        explanation: "The CPU is the Central Processing Unit, the part of a computer that runs instructions."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Science: Computers",
+        question: "Which language is used to style web pages?",
+        correct_answer: "CSS",
+        incorrect_answers: ["HTML", "SQL", "Python"],
+        explanation: "CSS (Cascading Style Sheets) controls layout, colours and fonts; HTML gives the structure."
+    },
+    {
+        type: "boolean",
+        difficulty: "easy",
+        category: "Science: Computers",
+        question: "A byte is made up of 8 bits.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "A byte is 8 bits, which is enough to store 256 different values."
+    },
+    {
+        type: "multiple",
+        difficulty: "hard",
+        category: "Science: Computers",
+        question: "In what year was the first version of JavaScript released?",
+        correct_answer: "1995",
+        incorrect_answers: ["1991", "1998", "2001"],
+        explanation: "Brendan Eich created JavaScript at Netscape in 1995, in about ten days."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Science: Mathematics",
+        question: "What is the square root of 81?",
+        correct_answer: "9",
+        incorrect_answers: ["8", "7", "11"],
+        explanation: "9 × 9 = 81, so the square root of 81 is 9."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Science: Mathematics",
+        question: "How many sides does a hexagon have?",
+        correct_answer: "6",
+        incorrect_answers: ["5", "7", "8"],
+        explanation: "\"Hexa\" means six: a hexagon has six sides, like a honeycomb cell."
+    },
+    {
+        type: "boolean",
+        difficulty: "hard",
+        category: "Science: Mathematics",
+        question: "The number 1 is a prime number.",
+        correct_answer: "False",
+        incorrect_answers: ["True"],
+        explanation: "A prime has exactly two divisors, 1 and itself; 1 has only one divisor, so it is not prime."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Geography",
+        question: "What is the capital city of Canada?",
+        correct_answer: "Ottawa",
+        incorrect_answers: ["Toronto", "Vancouver", "Montreal"],
+        explanation: "Ottawa has been Canada's capital since 1857; Toronto is the largest city."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Geography",
+        question: "Which is the longest river in South America?",
+        correct_answer: "Amazon",
+        incorrect_answers: ["Paraná", "Orinoco", "São Francisco"],
+        explanation: "The Amazon is the longest river in South America and carries more water than any other river."
+    },
+    {
+        type: "boolean",
+        difficulty: "easy",
+        category: "Geography",
+        question: "Australia is both a country and a continent.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "Australia is the only country that covers a whole continent (the Australian mainland)."
+    },
+    {
+        type: "multiple",
+        difficulty: "hard",
+        category: "Geography",
+        question: "Which country has the most natural lakes?",
+        correct_answer: "Canada",
+        incorrect_answers: ["Finland", "Russia", "United States"],
+        explanation: "Canada has more lakes than the rest of the world combined, by most estimates."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "History",
+        question: "Who was the first President of the United States?",
+        correct_answer: "George Washington",
+        incorrect_answers: ["Abraham Lincoln", "Thomas Jefferson", "John Adams"],
+        explanation: "George Washington served as the first President from 1789 to 1797."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "History",
+        question: "In which year did the Berlin Wall fall?",
+        correct_answer: "1989",
+        incorrect_answers: ["1991", "1985", "1979"],
+        explanation: "The Berlin Wall was opened on 9 November 1989, less than a year before German reunification."
+    },
+    {
+        type: "boolean",
+        difficulty: "medium",
+        category: "History",
+        question: "The Great Fire of London happened in 1666.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "The Great Fire of London burned from 2 to 6 September 1666."
+    },
+    {
+        type: "multiple",
+        difficulty: "hard",
+        category: "History",
+        question: "Which empire was ruled by Mansa Musa?",
+        correct_answer: "Mali Empire",
+        incorrect_answers: ["Songhai Empire", "Ghana Empire", "Ottoman Empire"],
+        explanation: "Mansa Musa ruled the Mali Empire in the 14th century and is remembered for his great wealth."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Entertainment: Film",
+        question: "Which film features a clownfish searching for his son?",
+        correct_answer: "Finding Nemo",
+        incorrect_answers: ["Shark Tale", "The Little Mermaid", "Moana"],
+        explanation: "In \"Finding Nemo\" (2003), Marlin the clownfish crosses the ocean to find his son Nemo."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Entertainment: Film",
+        question: "Who directed the 1993 film \"Jurassic Park\"?",
+        correct_answer: "Steven Spielberg",
+        incorrect_answers: ["James Cameron", "George Lucas", "Ridley Scott"],
+        explanation: "Steven Spielberg directed \"Jurassic Park\", based on the novel by Michael Crichton."
+    },
+    {
+        type: "boolean",
+        difficulty: "easy",
+        category: "Entertainment: Film",
+        question: "\"Toy Story\" was the first fully computer-animated feature film.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "Pixar's \"Toy Story\" (1995) was the first feature film made entirely with computer animation."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Entertainment: Music",
+        question: "How many strings does a standard guitar have?",
+        correct_answer: "6",
+        incorrect_answers: ["4", "5", "8"],
+        explanation: "A standard guitar has six strings, usually tuned E A D G B E."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Entertainment: Music",
+        question: "Which composer wrote the \"Moonlight Sonata\"?",
+        correct_answer: "Ludwig van Beethoven",
+        incorrect_answers: ["Wolfgang Amadeus Mozart", "Frédéric Chopin", "Johann Sebastian Bach"],
+        explanation: "Beethoven wrote the Piano Sonata No. 14, later nicknamed the \"Moonlight Sonata\", in 1801."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Entertainment: Books",
+        question: "Who wrote \"Romeo and Juliet\"?",
+        correct_answer: "William Shakespeare",
+        incorrect_answers: ["Charles Dickens", "Jane Austen", "Christopher Marlowe"],
+        explanation: "Shakespeare wrote \"Romeo and Juliet\" in the 1590s."
+    },
+    {
+        type: "boolean",
+        difficulty: "medium",
+        category: "Entertainment: Books",
+        question: "Sherlock Holmes was created by Agatha Christie.",
+        correct_answer: "False",
+        incorrect_answers: ["True"],
+        explanation: "Sherlock Holmes was created by Sir Arthur Conan Doyle; Agatha Christie created Hercule Poirot."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Sports",
+        question: "How many players are on the ice for one hockey team during normal play?",
+        correct_answer: "6",
+        incorrect_answers: ["5", "7", "11"],
+        explanation: "Each team plays five skaters and one goaltender, six players in all."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Sports",
+        question: "In which city were the 2012 Summer Olympics held?",
+        correct_answer: "London",
+        incorrect_answers: ["Beijing", "Rio de Janeiro", "Tokyo"],
+        explanation: "London hosted the Summer Olympics in 2012, its third time after 1908 and 1948."
+    },
+    {
+        type: "boolean",
+        difficulty: "hard",
+        category: "Sports",
+        question: "A marathon is exactly 42.195 kilometres long.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "The marathon distance was fixed at 42.195 km (26.2 miles) in 1921."
+    },
+    {
+        type: "multiple",
+        difficulty: "easy",
+        category: "Animals",
+        question: "What is the largest mammal on Earth?",
+        correct_answer: "Blue whale",
+        incorrect_answers: ["African elephant", "Giraffe", "Hippopotamus"],
+        explanation: "The blue whale can grow to about 30 metres long and is the largest animal known to have lived."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Animals",
+        question: "What is a group of crows called?",
+        correct_answer: "A murder",
+        incorrect_answers: ["A pride", "A parliament", "A gaggle"],
+        explanation: "A group of crows is called a murder, a name that dates back to the 15th century."
+    },
+    {
+        type: "boolean",
+        difficulty: "easy",
+        category: "Animals",
+        question: "Bats are mammals.",
+        correct_answer: "True",
+        incorrect_answers: ["False"],
+        explanation: "Bats are mammals: they are warm-blooded, have fur and feed their young milk. They are the only mammals that truly fly."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Mythology",
+        question: "Who is the Greek god of the sea?",
+        correct_answer: "Poseidon",
+        incorrect_answers: ["Hades", "Apollo", "Hermes"],
+        explanation: "Poseidon is the Greek god of the sea; the Roman equivalent is Neptune."
+    },
+    {
+        type: "multiple",
+        difficulty: "hard",
+        category: "Mythology",
+        question: "In Norse mythology, what is the name of Thor's hammer?",
+        correct_answer: "Mjölnir",
+        incorrect_answers: ["Gungnir", "Gram", "Skofnung"],
+        explanation: "Thor's hammer is Mjölnir, which returns to his hand after it is thrown."
+    },
+    {
+        type: "multiple",
+        difficulty: "medium",
+        category: "Art",
+        question: "Who painted the \"Mona Lisa\"?",
+        correct_answer: "Leonardo da Vinci",
+        incorrect_answers: ["Michelangelo", "Raphael", "Vincent van Gogh"],
+        explanation: "Leonardo da Vinci painted the \"Mona Lisa\" in the early 1500s; it hangs in the Louvre."
+    },
+    {
+        type: "boolean",
+        difficulty: "hard",
+        category: "Art",
+        question: "Vincent van Gogh sold hundreds of paintings during his lifetime.",
+        correct_answer: "False",
+        incorrect_answers: ["True"],
+        explanation: "Van Gogh is believed to have sold very few paintings while he was alive; his fame came after his death."
+    }
+];
@@ -0,0 +1,665 @@
+// Provide a high-level description of the question provider layer.
+/**
+ * Question providers for the Trivia Game.
+ * Each provider loads an array of questions in OpenTDB `results` shape:
+ * - "api": the live Open Trivia DB API.
+ * - "offline": the bundled offline question bank (question-bank.js).
+ * - "imported": a JSON/CSV deck the player imported, kept in localStorage.
+ * `loadQuestions` falls back to the offline bank when the network request fails.
+ * The API provider keeps a session token so later rounds do not repeat questions.
+ * Providers always return plain text: API and imported text is decoded here, so the
+ * UI can render it with textContent and never as markup.
+ * Every provider honours the same options: amount, category (OpenTDB id),
+ * categoryName, difficulty and type ("multiple"/"boolean"); empty values mean "any".
+ */
+
+// Import the modules this one builds on.
+import { questionBank } from "./question-bank.js";
+import * as i18n from "./i18n.js";
+import * as csv from "./csv.js";
+
+// Base URL of the Open Trivia DB question endpoint.
+const API_URL = "https://opentdb.com/api.php";
+// URL of the Open Trivia DB session token endpoint.
+const TOKEN_URL = "https://opentdb.com/api_token.php";
+// sessionStorage key that holds the current session token.
+const TOKEN_KEY = "triviaSessionToken";
+// Encoding requested from the API; "url3986" and "base64" avoid HTML entities entirely.
+const API_ENCODING = "url3986";
+// How many times to retry after a rate-limit response before giving up.
+const MAX_RATE_LIMIT_RETRIES = 3;
+// First backoff delay; Open Trivia DB allows one request per IP every 5 seconds.
+const RATE_LIMIT_BASE_DELAY_MS = 5000;
+// URL of the Open Trivia DB category list.
+const CATEGORY_URL = "https://opentdb.com/api_category.php";
+// localStorage key that caches the last category list we downloaded.
+const CATEGORY_CACHE_KEY = "triviaCategories";
+// localStorage key that holds the imported deck.
+const IMPORTED_DECK_KEY = "triviaImportedDeck";
+// Number of questions to serve when the caller does not ask for a specific amount.
+const DEFAULT_AMOUNT = 10;
+
+// Bundled copy of the OpenTDB category list, used when the list cannot be downloaded or cached.
+const FALLBACK_CATEGORIES = [
+    { id: 9, name: "General Knowledge" },
+    { id: 10, name: "Entertainment: Books" },
+    { id: 11, name: "Entertainment: Film" },
+    { id: 12, name: "Entertainment: Music" },
+    { id: 13, name: "Entertainment: Musicals & Theatres" },
+    { id: 14, name: "Entertainment: Television" },
+    { id: 15, name: "Entertainment: Video Games" },
+    { id: 16, name: "Entertainment: Board Games" },
+    { id: 17, name: "Science & Nature" },
+    { id: 18, name: "Science: Computers" },
+    { id: 19, name: "Science: Mathematics" },
+    { id: 20, name: "Mythology" },
+    { id: 21, name: "Sports" },
+    { id: 22, name: "Geography" },
+    { id: 23, name: "History" },
+    { id: 24, name: "Politics" },
+    { id: 25, name: "Art" },
+    { id: 26, name: "Celebrities" },
+    { id: 27, name: "Animals" },
+    { id: 28, name: "Vehicles" },
+    { id: 29, name: "Entertainment: Comics" },
+    { id: 30, name: "Science: Gadgets" },
+    { id: 31, name: "Entertainment: Japanese Anime & Manga" },
+    { id: 32, name: "Entertainment: Cartoon & Animations" }
+];
+
+// Open Trivia DB `response_code` values.
+const RESPONSE_CODES = {
+    SUCCESS: 0,
+    NO_RESULTS: 1,
+    INVALID_PARAMETER: 2,
+    TOKEN_NOT_FOUND: 3,
+    TOKEN_EMPTY: 4,
+    RATE_LIMIT: 5
+};
+
+// Keep every provider in one registry so the UI can list them and new ones can plug in.
+const providers = {};
+
+// Document what the NetworkError class represents.
+/**
+ * Raised when the live API cannot be reached or returns an unusable response.
+ * `loadQuestions` treats this error as the signal to fall back to the offline bank.
+ */
+class NetworkError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = "NetworkError";
+        this.cause = cause;
+    }
+}
+
+// Document what the ApiError class represents.
+/**
+ * Raised when Open Trivia DB answers but refuses the request (non-zero `response_code`).
+ * Unlike NetworkError this does not trigger the offline fallback, because the
+ * API is reachable and the message explains what to change.
+ */
+class ApiError extends Error {
+    constructor(message, responseCode) {
+        super(message);
+        this.name = "ApiError";
+        this.responseCode = responseCode;
+    }
+}
+
+// Document what the registerProvider function does in this block comment.
+/**
+ * Adds (or replaces) a question provider in the registry.
+ * @param {{ id: string, label: string, load: function(Object, Object): Promise<Object[]> }} provider - The provider to register.
+ */
+function registerProvider(provider) {
+    // Store the provider under its id so it can be looked up by the source select.
+    providers[provider.id] = provider;
+}
+
+// Return every registered provider in registration order.
+function getProviders() {
+    return Object.keys(providers).map((id) => providers[id]);
+}
+
+// Document what the shuffle function does in this block comment.
+/**
+ * Returns a shuffled copy of a list using Fisher–Yates.
+ * @param {Array} list - The list to shuffle; it is left untouched.
+ * @param {function(): number} [random] - Source of numbers in [0, 1); a seeded one makes the order reproducible. Defaults to Math.random.
+ * @returns {Array} The shuffled copy.
+ */
+function shuffle(list, random) {
+    const next = random || Math.random;
+    // Copy so the caller's array (e.g. the offline bank) is never reordered.
+    const copy = list.slice();
+    // Swap each position with a random earlier (or same) position.
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        const tmp = copy[i];
+        copy[i] = copy[j];
+        copy[j] = tmp;
+    }
+    return copy;
+}
+
+// Read the requested amount, falling back to the default.
+function getAmount(options) {
+    // Parse whatever was passed in as a whole number.
+    const amount = parseInt(options && options.amount, 10);
+    // Use the default for missing or non-positive values.
+    return amount > 0 ? amount : DEFAULT_AMOUNT;
+}
+
+// Keep only the questions that match the chosen category, difficulty and type.
+function filterQuestions(questions, options) {
+    // Read the filters; empty values mean "any".
+    const categoryName = (options && options.categoryName) || "";
+    const difficulty = (options && options.difficulty) || "";
+    const type = (options && options.type) || "";
+    // Drop every question that fails one of the active filters.
+    return questions.filter((q) =>
+        (!categoryName || q.category === categoryName) &&
+        (!difficulty || q.difficulty === difficulty) &&
+        (!type || q.type === type)
+    );
+}
+
+// Build the Open Trivia DB query string from the load options.
+function buildApiUrl(options, token) {
+    // Always send the amount.
+    const params = [`amount=${getAmount(options)}`];
+    // Only send the optional filters when the player picked one.
+    if (options.category) params.push(`category=${encodeURIComponent(options.category)}`);
+    if (options.difficulty) params.push(`difficulty=${encodeURIComponent(options.difficulty)}`);
+    if (options.type) params.push(`type=${encodeURIComponent(options.type)}`);
+    // Ask for an encoding that cannot smuggle markup.
+    params.push(`encode=${options.encoding || API_ENCODING}`);
+    // Send the session token so the API skips questions we have already served.
+    if (token) params.push(`token=${encodeURIComponent(token)}`);
+    // Join everything into the request URL.
+    return `${API_URL}?${params.join("&")}`;
+}
+
+// Document what the decodeText function does in this block comment.
+/**
+ * Decodes one text field from Open Trivia DB (or an imported deck) into plain text.
+ * - "url3986": percent-encoded UTF-8 (`encode=url3986`).
+ * - "base64": base64 of UTF-8 bytes (`encode=base64`).
+ * - anything else: the API default, where only HTML entities are encoded.
+ * HTML entities are decoded inside a <textarea> of an inert document, so markup in the
+ * text is kept as literal characters and nothing is ever parsed into elements or run.
+ * @param {string} value - The encoded text.
+ * @param {string} [encoding] - "url3986", "base64" or "html" (default).
+ * @returns {string} The decoded plain text.
+ * @throws {NetworkError} When url3986 or base64 text is malformed, so the round can fall back like any other bad response.
+ */
+function decodeText(value, encoding) {
+    // Leave non-strings alone so validation can reject them later.
+    if (typeof value !== "string") return value;
+    try {
+        // Percent-decoding handles the RFC 3986 mode.
+        if (encoding === "url3986") {
+            return decodeURIComponent(value);
+        }
+        // Base64 gives bytes, which must be read as UTF-8 to keep accents and symbols intact.
+        if (encoding === "base64") {
+            const binary = atob(value);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return new TextDecoder("utf-8").decode(bytes);
+        }
+    } catch (error) {
+        // decodeURIComponent throws URIError and atob a DOMException on text the API should never send.
+        throw new NetworkError(i18n.t("api.unexpected"), error);
+    }
+    // Skip the parser when there is no entity to decode.
+    if (value.indexOf("&") === -1) return value;
+    // Decode entities with a textarea from a document that is never rendered.
+    const textarea = getInertDocument().createElement("textarea");
+    textarea.innerHTML = value;
+    return textarea.value;
+}
+
+// Lazily create one inert document for entity decoding.
+let inertDocument = null;
+function getInertDocument() {
+    // Documents created this way have no browsing context, so nothing in them loads or runs.
+    if (!inertDocument) inertDocument = document.implementation.createHTMLDocument("");
+    return inertDocument;
+}
+
+// Decode every text field of a question into plain text.
+function decodeQuestion(raw, encoding) {
+    // Copy so the original response object is left untouched.
+    return Object.assign({}, raw, {
+        type: decodeText(raw.type, encoding),
+        difficulty: decodeText(raw.difficulty, encoding),
+        category: decodeText(raw.category, encoding),
+        question: decodeText(raw.question, encoding),
+        correct_answer: decodeText(raw.correct_answer, encoding),
+        incorrect_answers: Array.isArray(raw.incorrect_answers)
+            ? raw.incorrect_answers.map((a) => decodeText(a, encoding))
+            : raw.incorrect_answers
+    }, typeof raw.explanation === "string" ? { explanation: decodeText(raw.explanation, encoding) } : {});
+}
+
+// Return a promise that resolves after the given delay.
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Fetch a URL and parse JSON, turning any transport failure into a NetworkError.
+function fetchJson(url) {
+    return fetch(url)
+        // Reject on HTTP errors so we do not try to parse an error page.
+        .then((response) => {
+            if (!response.ok) {
+                throw new NetworkError(i18n.t("api.httpError", { status: String(response.status) }));
+            }
+            return response.json();
+        })
+        // Wrap fetch/parse failures so callers can recognise them.
+        .catch((error) => {
+            if (error instanceof NetworkError) throw error;
+            throw new NetworkError(i18n.t("api.unreachable"), error);
+        });
+}
+
+// Document what the requestSessionToken function does in this block comment.
+/**
+ * Asks Open Trivia DB for a new session token and stores it for this browser session.
+ * @returns {Promise<?string>} The new token, or null when none could be obtained.
+ */
+function requestSessionToken() {
+    return fetchJson(`${TOKEN_URL}?command=request`)
+        .then((data) => {
+            // Anything but success means we play without a token.
+            if (!data || data.response_code !== RESPONSE_CODES.SUCCESS || !data.token) return null;
+            // Keep the token for the rest of the browser session.
+            sessionStorage.setItem(TOKEN_KEY, data.token);
+            return data.token;
+        })
+        // A missing token only means repeats are possible, so never fail the round over it.
+        .catch((error) => {
+            console.warn("Could not get a session token:", error);
+            return null;
+        });
+}
+
+// Document what the resetSessionToken function does in this block comment.
+/**
+ * Resets the stored session token so Open Trivia DB can serve every question again.
+ * @returns {Promise<?string>} The token after the reset, or null when the reset failed.
+ */
+function resetSessionToken() {
+    // Read the token we want to reset.
+    const token = sessionStorage.getItem(TOKEN_KEY);
+    // Without a token there is nothing to reset; request a fresh one instead.
+    if (!token) return requestSessionToken();
+    // Ask the API to reset it.
+    return fetchJson(`${TOKEN_URL}?command=reset&token=${encodeURIComponent(token)}`)
+        .then((data) => {
+            // A token the API no longer knows has to be replaced.
+            if (!data || data.response_code !== RESPONSE_CODES.SUCCESS) {
+                sessionStorage.removeItem(TOKEN_KEY);
+                return requestSessionToken();
+            }
+            return token;
+        })
+        // Keep playing without a token if the reset itself fails.
+        .catch((error) => {
+            console.warn("Could not reset the session token:", error);
+            return null;
+        });
+}
+
+// Return the stored session token, requesting one the first time.
+function getSessionToken() {
+    // Reuse the token for the whole browser session so new rounds avoid repeats.
+    const stored = sessionStorage.getItem(TOKEN_KEY);
+    return stored ? Promise.resolve(stored) : requestSessionToken();
+}
+
+// Document what the loadFromApi function does in this block comment.
+/**
+ * Fetches questions from Open Trivia DB using a session token, handling every `response_code`:
+ * - 1 (no results) and 2 (invalid parameter) reject with an ApiError.
+ * - 3 (token not found) requests a new token and retries once.
+ * - 4 (token empty) resets the token and retries once.
+ * - 5 (rate limit) retries with exponential backoff, up to MAX_RATE_LIMIT_RETRIES times.
+ * @param {Object} options - Load options ({ amount, category, difficulty, type, encoding }).
+ * @param {Object} [hooks] - Optional callbacks; `onRateLimit(delayMs, attempt)` runs before each backoff wait.
+ * @returns {Promise<Object[]>} Resolves with the API's `results` array, decoded to plain text.
+ */
+function loadFromApi(options, hooks) {
+    // Get (or create) the session token, then run the first request.
+    return getSessionToken().then((token) => requestApiQuestions(options, hooks || {}, token, 0, false));
+}
+
+// Run one API request and react to its response code (see loadFromApi).
+function requestApiQuestions(options, hooks, token, attempt, tokenRefreshed) {
+    return fetchJson(buildApiUrl(options, token)).then((data) => {
+        // Make sure we actually received a response code.
+        const code = data ? data.response_code : undefined;
+        // Success: hand back the results as plain text.
+        if (code === RESPONSE_CODES.SUCCESS && Array.isArray(data.results)) {
+            const encoding = options.encoding || API_ENCODING;
+            return data.results.map((q) => decodeQuestion(q, encoding));
+        }
+        // Not enough questions exist for this combination of settings.
+        if (code === RESPONSE_CODES.NO_RESULTS) {
+            throw new ApiError(i18n.t("api.noResults"), code);
+        }
+        // The API did not accept one of the settings.
+        if (code === RESPONSE_CODES.INVALID_PARAMETER) {
+            throw new ApiError(i18n.t("api.invalidParameter"), code);
+        }
+        // The token expired or was never valid: get a new one and retry once.
+        if (code === RESPONSE_CODES.TOKEN_NOT_FOUND && !tokenRefreshed) {
+            sessionStorage.removeItem(TOKEN_KEY);
+            return requestSessionToken().then((fresh) => requestApiQuestions(options, hooks, fresh, attempt, true));
+        }
+        // Every question for these settings has been served this session: reset and retry once.
+        if (code === RESPONSE_CODES.TOKEN_EMPTY && !tokenRefreshed) {
+            return resetSessionToken().then((fresh) => requestApiQuestions(options, hooks, fresh, attempt, true));
+        }
+        // A token problem that survived a refresh means the settings are exhausted.
+        if (code === RESPONSE_CODES.TOKEN_NOT_FOUND || code === RESPONSE_CODES.TOKEN_EMPTY) {
+            throw new ApiError(i18n.t("api.tokenEmpty"), code);
+        }
+        // Too many requests: wait longer each time, then retry.
+        if (code === RESPONSE_CODES.RATE_LIMIT) {
+            if (attempt >= MAX_RATE_LIMIT_RETRIES) {
+                throw new ApiError(i18n.t("api.rateLimit"), code);
+            }
+            // Double the delay on every attempt: 5s, 10s, 20s.
+            const delay = RATE_LIMIT_BASE_DELAY_MS * Math.pow(2, attempt);
+            // Let the UI explain the pause.
+            if (hooks.onRateLimit) hooks.onRateLimit(delay, attempt + 1);
+            return wait(delay).then(() => requestApiQuestions(options, hooks, token, attempt + 1, tokenRefreshed));
+        }
+        // Anything else is a response we do not understand.
+        throw new NetworkError(i18n.t("api.unexpected"));
+    });
+}
+
+// Document what the loadFromOfflineBank function does in this block comment.
+/**
+ * Picks random questions from the bundled offline bank.
+ * @param {Object} options - Load options ({ amount, categoryName, difficulty, type }).
+ * @returns {Promise<Object[]>} Resolves with up to `amount` matching questions.
+ */
+function loadFromOfflineBank(options) {
+    // Shuffle the matching part of the bank and take the first `amount` entries.
+    const picked = shuffle(filterQuestions(questionBank, options)).slice(0, getAmount(options));
+    // Resolve asynchronously so every provider has the same contract.
+    return Promise.resolve(picked);
+}
+
+// Document what the loadFromImportedDeck function does in this block comment.
+/**
+ * Picks random questions from the player's imported deck.
+ * @param {Object} options - Load options ({ amount, categoryName, difficulty, type }).
+ * @returns {Promise<Object[]>} Resolves with up to `amount` matching questions, or rejects when no deck exists.
+ */
+function loadFromImportedDeck(options) {
+    // Read the deck saved by importDeck.
+    const deck = getImportedDeck();
+    // Without a deck there is nothing to play.
+    if (!deck || deck.questions.length === 0) {
+        return Promise.reject(new Error(i18n.t("import.noDeck")));
+    }
+    // Shuffle the matching part of the deck and take the first `amount` entries.
+    return Promise.resolve(shuffle(filterQuestions(deck.questions, options)).slice(0, getAmount(options)));
+}
+
+// Document what the loadQuestions function does in this block comment.
+/**
+ * Loads questions from the chosen provider, falling back to the offline bank on network failure.
+ * @param {string} sourceId - Id of the provider to use ("api", "offline", "imported", ...).
+ * @param {Object} [options] - Load options passed through to the provider.
+ * @param {Object} [hooks] - Optional progress callbacks passed through to the provider.
+ * @returns {Promise<{ questions: Object[], source: string, fellBack: boolean }>} The loaded questions and where they came from.
+ */
+function loadQuestions(sourceId, options, hooks) {
+    // Use the requested provider, or the live API if the id is unknown.
+    const provider = providers[sourceId] || providers.api;
+    // Ask the provider for questions.
+    return provider.load(options || {}, hooks || {})
+        // Report which provider served them.
+        .then((questions) => ({ questions: questions, source: provider.id, fellBack: false }))
+        // On network failure, retry with the offline bank instead of leaving the form empty.
+        .catch((error) => {
+            if (!(error instanceof NetworkError)) throw error;
+            // Keep the original problem visible for debugging.
+            console.warn("Falling back to the offline question bank:", error);
+            return loadFromOfflineBank(options || {})
+                .then((questions) => ({ questions: questions, source: "offline", fellBack: true }));
+        });
+}
+
+// Document what the loadCategories function does in this block comment.
+/**
+ * Loads the Open Trivia DB category list.
+ * Successful downloads are cached in localStorage; when the request fails the cached copy
+ * is used, and without a cache the bundled list is returned.
+ * @returns {Promise<{ categories: {id: number, name: string}[], fromCache: boolean }>} The category list and whether it is a fallback.
+ */
+function loadCategories() {
+    // Request the live category list.
+    return fetch(CATEGORY_URL)
+        // Reject on HTTP errors so we use the fallback.
+        .then((response) => {
+            if (!response.ok) throw new NetworkError(`Category list responded with HTTP ${response.status}.`);
+            return response.json();
+        })
+        // Cache and return the list.
+        .then((data) => {
+            // Make sure we received a usable list.
+            if (!data || !Array.isArray(data.trivia_categories) || data.trivia_categories.length === 0) {
+                throw new NetworkError("Category list was empty.");
+            }
+            // Save it for offline sessions.
+            localStorage.setItem(CATEGORY_CACHE_KEY, JSON.stringify(data.trivia_categories));
+            return { categories: data.trivia_categories, fromCache: false };
+        })
+        // Fall back to the cached list, then the bundled one.
+        .catch((error) => {
+            console.warn("Using cached category list:", error);
+            return { categories: getCachedCategories() || FALLBACK_CATEGORIES, fromCache: true };
+        });
+}
+
+// Safely read the cached category list from localStorage.
+function getCachedCategories() {
+    // Retrieve the raw JSON string for the cached list.
+    const raw = localStorage.getItem(CATEGORY_CACHE_KEY);
+    // If nothing is stored yet, there is no cache.
+    if (!raw) return null;
+    // Attempt to parse the JSON into an array.
+    try {
+        const list = JSON.parse(raw);
+        return Array.isArray(list) && list.length > 0 ? list : null;
+    } catch (e) {
+        // Log a warning and ignore the cache if parsing fails.
+        console.error("Invalid category cache in storage:", e);
+        return null;
+    }
+}
+
+// Document what the validateQuestion function does in this block comment.
+/**
+ * Checks a raw question object and normalizes it to OpenTDB shape.
+ * @param {Object} raw - A candidate question.
+ * @returns {{ question: ?Object, error: ?string }} The normalized question, or a reason it was rejected.
+ */
+function validateQuestion(raw) {
+    // Reject anything that is not an object.
+    if (!raw || typeof raw !== "object") {
+        return { question: null, error: i18n.t("deck.notObject") };
+    }
+    // Trim the question text and correct answer.
+    const text = typeof raw.question === "string" ? raw.question.trim() : "";
+    const correct = typeof raw.correct_answer === "string" ? raw.correct_answer.trim() : "";
+    // Keep only non-empty string wrong answers.
+    const incorrect = Array.isArray(raw.incorrect_answers)
+        ? raw.incorrect_answers
+              .filter((a) => typeof a === "string")
+              .map((a) => a.trim())
+              .filter((a) => a !== "")
+        : [];
+    // Require question text, a correct answer, and at least one wrong answer.
+    if (!text) return { question: null, error: i18n.t("deck.noText") };
+    if (!correct) return { question: null, error: i18n.t("deck.noCorrect") };
+    if (incorrect.length === 0) return { question: null, error: i18n.t("deck.noIncorrect") };
+    // Reject decks where the correct answer is also listed as wrong.
+    if (incorrect.indexOf(correct) !== -1) {
+        return { question: null, error: i18n.t("deck.correctListedIncorrect") };
+    }
+    // Work out the type from the answers when it is not given.
+    const isBoolean = incorrect.length === 1 && /^(true|false)$/i.test(correct);
+    // Build the normalized question.
+    const question = {
+        type: raw.type === "boolean" || raw.type === "multiple" ? raw.type : isBoolean ? "boolean" : "multiple",
+        difficulty: typeof raw.difficulty === "string" && raw.difficulty ? raw.difficulty : "medium",
+        category: typeof raw.category === "string" && raw.category ? raw.category : "Imported",
+        question: text,
+        correct_answer: correct,
+        incorrect_answers: incorrect
+    };
+    // Keep an optional explanation for the review screen.
+    if (typeof raw.explanation === "string" && raw.explanation.trim()) question.explanation = raw.explanation.trim();
+    return { question: question, error: null };
+}
+
+// Turn CSV rows into question objects using the header row for column names.
+function questionsFromCsv(text) {
+    // Parse the CSV into rows of cells.
+    const rows = csv.parseCsv(text);
+    // The first row names the columns.
+    const header = (rows.shift() || []).map((h) => h.trim().toLowerCase());
+    // Map each data row to an object in OpenTDB shape.
+    return rows.map((cells) => {
+        // Start with empty fields.
+        const item = { incorrect_answers: [] };
+        // Copy each cell into the matching field.
+        header.forEach((column, i) => {
+            const value = cells[i] || "";
+            if (column === "incorrect_answers") {
+                // A single column can hold every wrong answer separated by "|".
+                item.incorrect_answers = item.incorrect_answers.concat(value.split("|"));
+            } else if (column.indexOf("incorrect_answer") === 0) {
+                // Numbered columns (incorrect_answer_1, incorrect_answer_2, ...) hold one each.
+                item.incorrect_answers.push(value);
+            } else {
+                item[column] = value;
+            }
+        });
+        return item;
+    });
+}
+
+// Document what the parseDeck function does in this block comment.
+/**
+ * Parses an imported deck file.
+ * JSON may be an OpenTDB response (`{ results: [...] }`) or a bare array.
+ * CSV needs a header row with `question`, `correct_answer` and either `incorrect_answers`
+ * (values separated by "|") or numbered `incorrect_answer_1`, `incorrect_answer_2`, ... columns.
+ * Text may contain HTML entities, as in OpenTDB's default output; they are decoded to plain text.
+ * @param {string} text - File contents.
+ * @param {string} fileName - File name, used to tell CSV from JSON.
+ * @returns {{ questions: Object[], errors: string[] }} Valid questions plus a message per rejected row.
+ */
+function parseDeck(text, fileName) {
+    // Hold the raw candidates before validation.
+    let items;
+    // Pick the parser from the file extension.
+    if (/\.csv$/i.test(fileName || "")) {
+        items = questionsFromCsv(text);
+    } else {
+        // Parse JSON and report syntax errors as a single deck-level error.
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { questions: [], errors: [i18n.t("import.invalidJson")] };
+        }
+        // Accept both the OpenTDB envelope and a plain array.
+        items = Array.isArray(data) ? data : data && Array.isArray(data.results) ? data.results : null;
+        if (!items) {
+            return { questions: [], errors: [i18n.t("import.noResults")] };
+        }
+    }
+    // Validate each candidate and split good from bad.
+    const questions = [];
+    const errors = [];
+    items.forEach((item, i) => {
+        // Decode entities first so validation sees the text the player will read.
+        const result = validateQuestion(item && typeof item === "object" ? decodeQuestion(item, "html") : item);
+        if (result.question) {
+            questions.push(result.question);
+        } else {
+            errors.push(i18n.t("deck.questionProblem", { number: i + 1, reason: result.error }));
+        }
+    });
+    return { questions: questions, errors: errors };
+}
+
+// Document what the importDeck function does in this block comment.
+/**
+ * Parses a deck file and saves its valid questions as the imported deck.
+ * @param {string} text - File contents.
+ * @param {string} fileName - File name, used to tell CSV from JSON.
+ * @returns {{ questions: Object[], errors: string[] }} The parse result; nothing is saved when no question is valid.
+ */
+function importDeck(text, fileName) {
+    // Parse and validate the file.
+    const result = parseDeck(text, fileName);
+    // Only replace the stored deck when the file had something playable.
+    if (result.questions.length > 0) {
+        const deck = { name: fileName, questions: result.questions, importedTs: Date.now() };
+        localStorage.setItem(IMPORTED_DECK_KEY, JSON.stringify(deck));
+    }
+    return result;
+}
+
+// Safely read the imported deck from localStorage.
+function getImportedDeck() {
+    // Retrieve the raw JSON string for the deck.
+    const raw = localStorage.getItem(IMPORTED_DECK_KEY);
+    // If nothing is stored yet, there is no deck.
+    if (!raw) return null;
+    // Attempt to parse the JSON into a deck object.
+    try {
+        const deck = JSON.parse(raw);
+        return deck && Array.isArray(deck.questions) ? deck : null;
+    } catch (e) {
+        // Log a warning and treat the deck as missing if parsing fails.
+        console.error("Invalid imported deck in storage:", e);
+        return null;
+    }
+}
+
+// Register the built-in providers.
+registerProvider({ id: "api", label: "Open Trivia DB (online)", load: loadFromApi });
+registerProvider({ id: "offline", label: "Offline question bank", load: loadFromOfflineBank });
+registerProvider({ id: "imported", label: "Imported deck", load: loadFromImportedDeck });
+
+// Expose the public API.
+export {
+    NetworkError,
+    ApiError,
+    RESPONSE_CODES,
+    registerProvider,
+    getProviders,
+    loadQuestions,
+    loadCategories,
+    resetSessionToken,
+    validateQuestion,
+    parseDeck,
+    importDeck,
+    getImportedDeck,
+    shuffle,
+    decodeText
+};
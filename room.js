@@ -0,0 +1,124 @@
+// Provide a high-level description of the live room client.
+/**
+ * Browser side of live rooms: a thin wrapper around the WebSocket connection to the
+ * room server (server/server.js), plus the conversions between the page's game model
+ * and the messages the server understands.
+ * The host's question set keeps its correct option ids for the server; players only
+ * ever receive questions without them, and grade results once a question closes.
+ */
+
+// Path of the room server's WebSocket endpoint.
+const SOCKET_PATH = "/ws";
+// Room codes are four letters.
+const CODE_PATTERN = /^[A-Za-z]{4}$/;
+
+// Check whether the page was served over HTTP(S), where the room server can be reached.
+function isAvailable() {
+    return (location.protocol === "http:" || location.protocol === "https:") && typeof WebSocket === "function";
+}
+
+// Check that a typed room code looks like one.
+function isValidCode(code) {
+    return CODE_PATTERN.test(String(code || "").trim());
+}
+
+// Document what the connect function does in this block comment.
+/**
+ * Opens a connection to the room server that served the page.
+ * @param {{ onOpen: function(), onMessage: function(Object), onClose: function(boolean) }} handlers - Called once connected,
+ *     for every message, and once when the connection ends (with whether it had opened).
+ * @returns {{ send: function(Object), close: function() }} The connection controls.
+ */
+function connect(handlers) {
+    const protocol = location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(`${protocol}//${location.host}${SOCKET_PATH}`);
+    let opened = false;
+    // Closing on purpose should not be reported as a lost connection.
+    let closedByUs = false;
+    socket.addEventListener("open", () => {
+        opened = true;
+        handlers.onOpen();
+    });
+    socket.addEventListener("message", (event) => {
+        // Ignore anything that is not a JSON message object.
+        let message = null;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            console.error("Invalid message from the room server:", e);
+        }
+        if (message && typeof message.type === "string") handlers.onMessage(message);
+    });
+    socket.addEventListener("close", () => {
+        if (!closedByUs) handlers.onClose(opened);
+    });
+    return {
+        // Send a message object, if the connection is open.
+        send: function (message) {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        },
+        // Close the connection without reporting it as lost.
+        close: function () {
+            closedByUs = true;
+            socket.close(1000);
+        }
+    };
+}
+
+// Document what the toRoomQuestions function does in this block comment.
+/**
+ * Turns the host's game model into the question set sent to the server.
+ * @param {Object} game - The game model from game.createGame.
+ * @returns {Object[]} Questions with their options in display order and the correct option id.
+ */
+function toRoomQuestions(game) {
+    return game.questions.map((question) => ({
+        id: question.id,
+        type: question.type,
+        category: question.category,
+        difficulty: question.difficulty,
+        text: question.text,
+        options: question.options,
+        correctOptionId: question.correctOptionId
+    }));
+}
+
+// Document what the createRoomGame function does in this block comment.
+/**
+ * Builds a one-question game model for a question pushed to a player, so the normal
+ * answer handling works on it. It has no correct option: the server grades the answer.
+ * @param {Object} question - The question from the server.
+ * @returns {Object} A game model shaped like game.createGame's.
+ */
+function createRoomGame(question) {
+    return {
+        questions: [{
+            id: question.id,
+            index: question.index,
+            type: question.type,
+            difficulty: question.difficulty,
+            category: question.category,
+            text: question.text,
+            options: question.options,
+            correctOptionId: null
+        }],
+        settings: null,
+        startedTs: Date.now(),
+        currentIndex: 0,
+        locked: {},
+        answerTimes: {},
+        lastAnswerTs: Date.now(),
+        timeSpent: {},
+        questionRemaining: {},
+        timeUp: false
+    };
+}
+
+// Expose the public helpers.
+export {
+    isAvailable,
+    isValidCode,
+    connect,
+    toRoomQuestions,
+    createRoomGame
+};
@@ -0,0 +1,142 @@
+// Provide a high-level description of the saved game module.
+/**
+ * Keeps the round in progress in localStorage so it survives a reload.
+ * The snapshot holds the settings, the game model (questions with their shuffled option order),
+ * the selections and the clock state. Elapsed and remaining times are stored as durations,
+ * so the clocks pause while the page is closed and carry on from where they were on resume.
+ * The answers (each question's correct option id and its original text) are kept apart from
+ * the questions in a base64 field, so a glance at the snapshot does not give them away.
+ * That is only obfuscation; the answers are not secret from a player who decodes it.
+ */
+
+// localStorage key for the snapshot.
+const STORAGE_KEY = "triviaSavedGame";
+// Version of the snapshot layout; older or newer snapshots are discarded (version 1 kept the answers in the questions).
+const SNAPSHOT_VERSION = 2;
+
+// Encode the answers as base64 of their UTF-8 JSON. This is obfuscation, not protection:
+// anyone can decode it, but the answers no longer read off the snapshot at a glance in devtools.
+function encodeAnswers(answers) {
+    const bytes = new TextEncoder().encode(JSON.stringify(answers));
+    let binary = "";
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+// Undo encodeAnswers; throws when the text is not valid.
+function decodeAnswers(text) {
+    const bytes = Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Put the encoded answers back into the stored questions; returns null when they do not match.
+function restoreAnswers(snapshot) {
+    let answers;
+    try {
+        answers = decodeAnswers(snapshot.answers);
+    } catch (e) {
+        console.error("Invalid answers in the saved game:", e);
+        return null;
+    }
+    const game = snapshot.game;
+    if (!game || !Array.isArray(game.questions) || !Array.isArray(answers) || answers.length !== game.questions.length) return null;
+    const questions = game.questions.map((question, i) => Object.assign({}, question, {
+        correctOptionId: answers[i] && answers[i].correctOptionId,
+        raw: answers[i] && answers[i].raw
+    }));
+    const restored = Object.assign({}, snapshot, { game: Object.assign({}, game, { questions: questions }) });
+    delete restored.answers;
+    return restored;
+}
+
+// Check that a stored question model has what rendering and grading need.
+function isValidQuestion(question) {
+    return !!question && typeof question.id === "string" && typeof question.text === "string" &&
+        Array.isArray(question.options) && question.options.length > 0 &&
+        question.options.every((option) => option && typeof option.id === "string" && typeof option.text === "string") &&
+        question.options.some((option) => option.id === question.correctOptionId) &&
+        !!question.raw && typeof question.raw === "object";
+}
+
+// Document what the isValidSnapshot function does in this block comment.
+/**
+ * Checks that a parsed snapshot can be resumed.
+ * @param {*} snapshot - The parsed value from storage.
+ * @returns {boolean} True when every part needed to resume is present and well-formed.
+ */
+function isValidSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return false;
+    const game = snapshot.game;
+    return !!snapshot.settings && typeof snapshot.settings === "object" &&
+        !!game && Array.isArray(game.questions) && game.questions.length > 0 && game.questions.every(isValidQuestion) &&
+        Number.isInteger(game.currentIndex) && game.currentIndex >= 0 && game.currentIndex < game.questions.length &&
+        ["locked", "answerTimes", "timeSpent", "questionRemaining"].every((field) => game[field] && typeof game[field] === "object") &&
+        !!snapshot.selections && typeof snapshot.selections === "object" &&
+        typeof snapshot.elapsedMs === "number" && snapshot.elapsedMs >= 0;
+}
+
+// Document what the save function does in this block comment.
+/**
+ * Stores a snapshot of the round in progress, replacing any earlier one.
+ * @param {Object} snapshot - The snapshot built by the game page (without version or savedTs).
+ */
+function save(snapshot) {
+    // Take the answers out of the questions and store them encoded.
+    const questions = snapshot.game.questions.map((question) => {
+        const copy = Object.assign({}, question);
+        delete copy.correctOptionId;
+        delete copy.raw;
+        return copy;
+    });
+    const answers = snapshot.game.questions.map((question) => ({ correctOptionId: question.correctOptionId, raw: question.raw }));
+    const stored = Object.assign({ version: SNAPSHOT_VERSION, savedTs: Date.now() }, snapshot, {
+        game: Object.assign({}, snapshot.game, { questions: questions }),
+        answers: encodeAnswers(answers)
+    });
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+        // A full storage only costs the ability to resume; the round itself carries on.
+        console.error("Could not save the game in progress:", e);
+    }
+}
+
+// Document what the load function does in this block comment.
+/**
+ * Reads the saved snapshot, with the answers put back into its questions.
+ * @returns {?Object} The snapshot, or null when there is none; unreadable snapshots are removed.
+ */
+function load() {
+    // Retrieve the raw JSON string for the snapshot.
+    const raw = localStorage.getItem(STORAGE_KEY);
+    // If nothing is stored, there is no game to resume.
+    if (!raw) return null;
+    // Attempt to parse and check the snapshot.
+    let snapshot = null;
+    try {
+        snapshot = JSON.parse(raw);
+    } catch (e) {
+        // Log a warning; the snapshot is discarded below.
+        console.error("Invalid saved game in storage:", e);
+    }
+    if (snapshot && snapshot.version === SNAPSHOT_VERSION) snapshot = restoreAnswers(snapshot);
+    if (!isValidSnapshot(snapshot)) {
+        clear();
+        return null;
+    }
+    return snapshot;
+}
+
+// Remove the saved snapshot.
+function clear() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+// Expose the public helpers.
+export {
+    save,
+    load,
+    clear
+};
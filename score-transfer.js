@@ -0,0 +1,278 @@
+// Provide a high-level description of the score export/import helpers.
+/**
+ * Export and import of the score history.
+ * Exports are JSON (the full records) or CSV (one flat row per record). Imports accept
+ * either format, validate every row with the storage module's rules, and split the
+ * rows into new, duplicate (same name and timestamp) and invalid before anything is written.
+ * The optional details of a row (settings, points, breakdown and timings) are checked too;
+ * any part of them that is not in the shape the game writes is left out of the stored copy.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+import * as csv from "./csv.js";
+import * as storage from "./storage.js";
+
+// Format marker written into JSON exports.
+const EXPORT_FORMAT = "trivia-scores";
+// Top-level CSV columns, in export order.
+const CSV_COLUMNS = ["name", "correct", "total", "ts", "date", "durationMs", "points"];
+// Settings fields flattened into "settings.<field>" CSV columns.
+const SETTINGS_COLUMNS = ["source", "category", "categoryName", "difficulty", "amount", "type", "mode", "questionSeconds", "totalMinutes", "scoring"];
+// Settings fields that hold numbers.
+const NUMERIC_SETTINGS = ["amount", "questionSeconds", "totalMinutes"];
+// Points fields besides the total, all numbers.
+const POINTS_FIELDS = ["base", "speedBonus", "streakBonus", "bestStreak"];
+// Optional record fields that hold an id string.
+const ID_FIELDS = ["matchId", "roomCode"];
+// Characters that make spreadsheet apps treat a cell as a formula.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Document what the toJson function does in this block comment.
+/**
+ * Serializes records as a JSON export.
+ * @param {Object[]} records - The records to export.
+ * @returns {string} Pretty-printed JSON.
+ */
+function toJson(records) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: storage.SCHEMA_VERSION,
+        exportedTs: Date.now(),
+        records: records
+    }, null, 2);
+}
+
+// Stop spreadsheet apps from running text as a formula by prefixing an apostrophe.
+function protectCell(value) {
+    return typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+// Undo protectCell on import.
+function unprotectCell(value) {
+    return typeof value === "string" && value[0] === "'" && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+// Document what the toCsv function does in this block comment.
+/**
+ * Serializes records as CSV, with settings flattened into "settings.<field>" columns.
+ * @param {Object[]} records - The records to export.
+ * @returns {string} The CSV text.
+ */
+function toCsv(records) {
+    // Header row first.
+    const header = CSV_COLUMNS.concat(SETTINGS_COLUMNS.map((field) => `settings.${field}`));
+    // One row per record.
+    const rows = records.map((record) => {
+        const settings = record.settings || {};
+        return [
+            protectCell(record.name),
+            record.correct,
+            record.total,
+            record.ts,
+            // A readable date column for spreadsheets; import uses ts.
+            typeof record.ts === "number" ? new Date(record.ts).toISOString() : "",
+            record.durationMs,
+            record.points ? record.points.total : ""
+        ].concat(SETTINGS_COLUMNS.map((field) => protectCell(settings[field])));
+    });
+    return csv.toCsv([header].concat(rows));
+}
+
+// Parse a CSV number cell; empty cells become undefined.
+function parseNumber(value) {
+    if (value === undefined || String(value).trim() === "") return undefined;
+    const number = Number(value);
+    return isFinite(number) ? number : NaN;
+}
+
+// Turn CSV text into candidate records.
+function recordsFromCsv(text) {
+    // Parse the CSV into rows of cells.
+    const rows = csv.parseCsv(text);
+    // The first row names the columns.
+    const header = (rows.shift() || []).map((h) => h.trim());
+    // Map each data row back to the record shape.
+    return rows.map((cells) => {
+        // Look up a cell by column name.
+        const cell = (column) => {
+            const i = header.indexOf(column);
+            return i === -1 ? undefined : cells[i];
+        };
+        // Rebuild the top-level fields.
+        const record = {
+            name: unprotectCell(cell("name")),
+            correct: parseNumber(cell("correct")),
+            total: parseNumber(cell("total")),
+            ts: parseNumber(cell("ts"))
+        };
+        // Fall back to the readable date when ts is missing.
+        if (record.ts === undefined && cell("date")) record.ts = Date.parse(cell("date"));
+        // Optional fields are only set when present.
+        const duration = parseNumber(cell("durationMs"));
+        if (duration !== undefined) record.durationMs = duration;
+        const points = parseNumber(cell("points"));
+        if (points !== undefined) record.points = { total: points };
+        // Rebuild the settings object from the flattened columns.
+        const settings = {};
+        SETTINGS_COLUMNS.forEach((field) => {
+            const value = cell(`settings.${field}`);
+            if (value === undefined || value === "") return;
+            settings[field] = NUMERIC_SETTINGS.indexOf(field) !== -1 ? parseNumber(value) : unprotectCell(value);
+        });
+        if (Object.keys(settings).length > 0) record.settings = settings;
+        return record;
+    });
+}
+
+// Document what the parseScoreFile function does in this block comment.
+/**
+ * Reads candidate records from an exported file.
+ * JSON may be an export (`{ records: [...] }`), a storage envelope, or a bare array.
+ * @param {string} text - File contents.
+ * @param {string} fileName - File name, used to tell CSV from JSON.
+ * @returns {{ records: Object[], error: ?string }} The candidates, or a file-level error.
+ */
+function parseScoreFile(text, fileName) {
+    // CSV files are parsed row by row.
+    if (/\.csv$/i.test(fileName || "")) {
+        return { records: recordsFromCsv(text), error: null };
+    }
+    // Parse JSON and report syntax errors as a file-level error.
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { records: [], error: i18n.t("import.invalidJson") };
+    }
+    // Accept an export, a storage envelope, or a bare array.
+    const records = Array.isArray(data) ? data : data && Array.isArray(data.records) ? data.records : null;
+    if (!records) {
+        return { records: [], error: i18n.t("import.noRecords") };
+    }
+    return { records: records, error: null };
+}
+
+// Return true for a plain (non-array) object.
+function isObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Return true for a finite number.
+function isNumber(value) {
+    return typeof value === "number" && isFinite(value);
+}
+
+// Keep the settings values of the expected kind: numbers (or numeric text) for the numeric fields, text for the rest.
+function cleanSettings(settings) {
+    const cleaned = {};
+    Object.keys(settings).forEach((field) => {
+        const value = settings[field];
+        if (NUMERIC_SETTINGS.indexOf(field) !== -1) {
+            const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+            if (isNumber(number)) cleaned[field] = number;
+        } else if (typeof value === "string") {
+            cleaned[field] = value;
+        }
+    });
+    return cleaned;
+}
+
+// Keep a points breakdown only when its total is a number, with the other fields that are numbers.
+function cleanPoints(points) {
+    if (!isNumber(points.total)) return undefined;
+    const cleaned = { total: points.total };
+    POINTS_FIELDS.forEach((field) => {
+        if (isNumber(points[field])) cleaned[field] = points[field];
+    });
+    return cleaned;
+}
+
+// Keep the breakdown tallies made of whole, non-negative counts (correct no more than total).
+function cleanTallies(tallies) {
+    const cleaned = {};
+    Object.keys(isObject(tallies) ? tallies : {}).forEach((label) => {
+        const entry = tallies[label];
+        if (!isObject(entry) || !Number.isInteger(entry.correct) || !Number.isInteger(entry.total)) return;
+        if (entry.correct < 0 || entry.correct > entry.total) return;
+        cleaned[label] = { correct: entry.correct, total: entry.total };
+    });
+    return cleaned;
+}
+
+// Document what the cleanRecord function does in this block comment.
+/**
+ * Copies a valid record, keeping only the optional details that are in the shape the game writes.
+ * @param {Object} record - A record that passed storage.validateRecord.
+ * @returns {Object} The record to store, with its name trimmed.
+ */
+function cleanRecord(record) {
+    // The fields validateRecord has already checked.
+    const cleaned = { name: record.name.trim(), correct: record.correct, total: record.total, ts: record.ts };
+    if (isObject(record.settings)) cleaned.settings = cleanSettings(record.settings);
+    if (isObject(record.points)) {
+        const points = cleanPoints(record.points);
+        if (points) cleaned.points = points;
+    }
+    if (isObject(record.breakdown)) {
+        cleaned.breakdown = { byCategory: cleanTallies(record.breakdown.byCategory), byDifficulty: cleanTallies(record.breakdown.byDifficulty) };
+    }
+    if (isNumber(record.durationMs) && record.durationMs >= 0) cleaned.durationMs = record.durationMs;
+    // Answer times are milliseconds, or null for a question left unanswered.
+    if (Array.isArray(record.answerTimes) && record.answerTimes.every((ms) => ms === null || isNumber(ms))) {
+        cleaned.answerTimes = record.answerTimes.slice();
+    }
+    ID_FIELDS.forEach((field) => {
+        if (typeof record[field] === "string") cleaned[field] = record[field];
+    });
+    return cleaned;
+}
+
+// Build the duplicate-detection key for a record.
+function recordKey(record) {
+    return `${String(record.name).trim()}|${record.ts}`;
+}
+
+// Document what the previewImport function does in this block comment.
+/**
+ * Sorts candidate records into what an import would do with them.
+ * @param {Object[]} candidates - Records read from the file.
+ * @param {Object[]} existing - Records already stored.
+ * @returns {{ toAdd: Object[], duplicates: Object[], invalid: {row: number, reason: string}[] }} The preview;
+ *     each invalid row's reason is a code from storage.validateRecord.
+ */
+function previewImport(candidates, existing) {
+    // Index the stored records by name + timestamp.
+    const seen = {};
+    existing.forEach((record) => {
+        seen[recordKey(record)] = true;
+    });
+    // Sort each candidate into a bucket.
+    const preview = { toAdd: [], duplicates: [], invalid: [] };
+    candidates.forEach((record, i) => {
+        // Rows that fail validation are reported with their 1-based row number.
+        const reason = storage.validateRecord(record);
+        if (reason) {
+            preview.invalid.push({ row: i + 1, reason: reason });
+            return;
+        }
+        // Rows already stored (or repeated in the file) are duplicates.
+        const key = recordKey(record);
+        if (seen[key]) {
+            preview.duplicates.push(record);
+            return;
+        }
+        seen[key] = true;
+        // Store a clean copy, so malformed details cannot break the table or dashboard later.
+        preview.toAdd.push(cleanRecord(record));
+    });
+    return preview;
+}
+
+// Expose the public helpers.
+export {
+    toJson,
+    toCsv,
+    parseScoreFile,
+    previewImport
+};
@@ -0,0 +1,79 @@
+// Provide a high-level description of the points scoring engine.
+/**
+ * Optional points-based scoring.
+ * Each correct answer earns base points by difficulty, a bonus for answering quickly,
+ * and a multiplier for consecutive correct answers. Wrong or unanswered questions earn
+ * nothing and reset the streak.
+ */
+
+// Base points per difficulty; unknown difficulties score as medium.
+const DIFFICULTY_POINTS = { easy: 100, medium: 200, hard: 300 };
+// Answers faster than this earn a speed bonus.
+const SPEED_WINDOW_MS = 10000;
+// An instant answer earns this share of the base points as a bonus, falling to 0 at the window's end.
+const MAX_SPEED_BONUS_RATIO = 0.5;
+// Each extra answer in a streak adds this much to the multiplier.
+const STREAK_STEP = 0.1;
+// The streak multiplier never goes above this.
+const MAX_STREAK_MULTIPLIER = 2;
+
+// Return the base points for a difficulty.
+function basePointsFor(difficulty) {
+    return DIFFICULTY_POINTS[difficulty] || DIFFICULTY_POINTS.medium;
+}
+
+// Return the speed bonus for an answer time (unknown times earn none).
+function speedBonusFor(base, timeMs) {
+    if (typeof timeMs !== "number" || timeMs >= SPEED_WINDOW_MS) return 0;
+    return Math.round(base * MAX_SPEED_BONUS_RATIO * (1 - Math.max(0, timeMs) / SPEED_WINDOW_MS));
+}
+
+// Return the multiplier for the nth correct answer in a row.
+function streakMultiplierFor(streak) {
+    return Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_STEP * Math.max(0, streak - 1));
+}
+
+// Document what the computePoints function does in this block comment.
+/**
+ * Computes the points breakdown for a graded round.
+ * @param {Object} game - The game model (question difficulties and answer times).
+ * @param {Object} grade - The result of grader.gradeGame for that game.
+ * @returns {{ total: number, base: number, speedBonus: number, streakBonus: number, bestStreak: number, perQuestion: Object[] }} The breakdown.
+ */
+function computePoints(game, grade) {
+    // Running totals for the breakdown.
+    const breakdown = { total: 0, base: 0, speedBonus: 0, streakBonus: 0, bestStreak: 0, perQuestion: [] };
+    // Current run of correct answers.
+    let streak = 0;
+    // Score each question in the order it was asked.
+    grade.results.forEach((result, i) => {
+        const question = game.questions[i];
+        // Wrong or unanswered: no points and the streak resets.
+        if (!result.isCorrect) {
+            streak = 0;
+            breakdown.perQuestion.push({ questionId: result.questionId, points: 0, base: 0, speed: 0, streakBonus: 0, streak: 0 });
+            return;
+        }
+        // Extend the streak and remember the longest one.
+        streak++;
+        breakdown.bestStreak = Math.max(breakdown.bestStreak, streak);
+        // Work out each part of this answer's points.
+        const base = basePointsFor(question.difficulty);
+        const speed = speedBonusFor(base, game.answerTimes[question.id]);
+        const streakBonus = Math.round((base + speed) * (streakMultiplierFor(streak) - 1));
+        const points = base + speed + streakBonus;
+        // Add them to the totals.
+        breakdown.base += base;
+        breakdown.speedBonus += speed;
+        breakdown.streakBonus += streakBonus;
+        breakdown.total += points;
+        breakdown.perQuestion.push({ questionId: result.questionId, points: points, base: base, speed: speed, streakBonus: streakBonus, streak: streak });
+    });
+    return breakdown;
+}
+
+// Expose the public helpers.
+export {
+    DIFFICULTY_POINTS,
+    computePoints
+};
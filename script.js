@@ -1,543 +1,3053 @@
 // Provide a high-level description of the script’s purpose.
 /**
- * Initializes the Trivia Game when the DOM is fully loaded.
- * Final commit adds: consent-based "Remember my name" + "Forget me" and an aria-live summary.
- */
-
-// Attach a listener so code runs after the initial HTML has been parsed.
-document.addEventListener("DOMContentLoaded", function () {
-    // Cache a reference to the trivia form for submission handling.
-    const form = document.getElementById("trivia-form");
-    // Cache the container where questions will be injected dynamically.
-    const questionContainer = document.getElementById("question-container");
-    // Cache a reference to the "New Player" button for starting a fresh round.
-    const newPlayerButton = document.getElementById("new-player");
-    // Cache a reference to the "Clear Scores" button for wiping stored scores.
-    const clearScoresButton = document.getElementById("clear-scores");
-    // Cache a reference to the username input for auto-save/prefill behavior.
-    const usernameInput = document.getElementById("username");
-    // Cache a reference to the result summary box shown after submission.
-    const resultSummary = document.getElementById("result-summary");
-    // Cache a reference to the sort select control for the scoreboard.
-    const sortSelect = document.getElementById("sort-scores");
-    // Cache a reference to the top score summary box.
-    const topScoreBox = document.getElementById("top-score");
-    // Cache a reference to the privacy controls (final commit).
-    const rememberCheckbox = document.getElementById("remember-me");
-    // Cache a reference to the "Forget me" button (final commit).
-    const forgetButton = document.getElementById("forget-me");
-
-    // Prefill the username and sync consent controls from storage.
-    checkUsername();
-    // Apply the saved sort preference to the select control.
-    applySavedSortPreference();
-    // Fetch questions from the API and render them with a loading state.
-    fetchQuestions();
-    // Render any saved scores immediately (sorting + top score + empty state).
-    displayScores();
+ * Entry module of the Trivia Game: caches the page's elements, wires up its controls and
+ * runs the round, leaving the work to the modules it imports (question service, grader,
+ * score repository, leaderboard sorter, view helpers and the game-state store).
+ * Module scripts run once the document has been parsed, so the elements already exist.
+ * The handlers the tests drive (handleFormSubmit, displayScores) are exported along with the
+ * store and `ready`, which settles once the saved scores have been loaded and shown.
+ */
 
-    // Listen for typing in the username field so we conditionally persist it.
-    usernameInput.addEventListener("input", function () {
-        // Read and trim the current value to avoid saving stray spaces.
-        const value = (usernameInput.value || "").trim();
-        // If user opted in and a value exists, store it; otherwise remove the stored name.
-        if (rememberCheckbox.checked && value) {
-            // Save the name to localStorage so it can be restored later.
-            localStorage.setItem("triviaCurrentUser", value);
-            // Show the Forget Me button when a name is stored.
-            forgetButton.classList.remove("hidden");
-        } else {
-            // Remove the stored name when not opted-in or value is empty.
-            localStorage.removeItem("triviaCurrentUser");
-            // Hide the Forget Me button accordingly.
-            forgetButton.classList.add("hidden");
-        }
-    });
+// Import the modules the page is built from.
+// Translation helpers (message lookup, plurals, locale formatting).
+import * as i18n from "./i18n.js";
+// Question providers (API, offline bank, imported deck).
+import * as questions from "./questions.js";
+// Countdown timers used by timed rounds.
+import * as timer from "./timer.js";
+// In-memory game model that keeps the answers out of the page.
+import * as game from "./game.js";
+// Grading.
+import * as grader from "./grader.js";
+// Optional points scoring engine.
+import * as scoring from "./scoring.js";
+// Versioned score storage (the score repository).
+import * as storage from "./storage.js";
+// Score export/import helpers.
+import * as scoreTransfer from "./score-transfer.js";
+// Per-player statistics helpers.
+import * as stats from "./stats.js";
+// Leaderboard sorting, filtering and paging helpers.
+import * as leaderboard from "./leaderboard.js";
+// Saved-game helpers used to resume a round after a reload.
+import * as savedGame from "./saved-game.js";
+// Hot-seat match helpers.
+import * as match from "./match.js";
+// Mistakes deck (registers the "mistakes" question source).
+import * as mistakes from "./mistakes.js";
+// Daily challenge (registers the "daily" provider).
+import * as daily from "./daily.js";
+// Custom decks written in the deck editor (registers the "deck" provider).
+import * as decks from "./decks.js";
+// Live room client.
+import * as room from "./room.js";
+// DOM rendering helpers.
+import * as view from "./view.js";
+// Game-state store for the round being played.
+import { createStore } from "./store.js";
 
-    // When the Remember checkbox changes, update storage to match consent.
-    rememberCheckbox.addEventListener("change", function () {
-        // Read and trim the current name value.
-        const value = (usernameInput.value || "").trim();
-        // If checked and there's a name, store it; otherwise clear it.
-        if (rememberCheckbox.checked && value) {
-            // Persist the name with user consent.
-            localStorage.setItem("triviaCurrentUser", value);
-            // Reveal the Forget Me button to allow opting out later.
-            forgetButton.classList.remove("hidden");
-        } else {
-            // Remove the stored name when not opted-in or field is empty.
-            localStorage.removeItem("triviaCurrentUser");
-            // Hide the Forget Me button in this case.
-            forgetButton.classList.add("hidden");
-        }
-    });
+// Cache a reference to the trivia form for submission handling.
+const form = document.getElementById("trivia-form");
+// Cache the container where questions will be injected dynamically.
+const questionContainer = document.getElementById("question-container");
+// Cache a reference to the "New Player" button for starting a fresh round.
+const newPlayerButton = document.getElementById("new-player");
+// Cache a reference to the "Clear Scores" button for wiping stored scores.
+const clearScoresButton = document.getElementById("clear-scores");
+// Cache a reference to the username input for auto-save/prefill behavior.
+const usernameInput = document.getElementById("username");
+// Cache a reference to the result summary box shown after submission.
+const resultSummary = document.getElementById("result-summary");
+// Cache a reference to the sort select control for the scoreboard.
+const sortSelect = document.getElementById("sort-scores");
+// Cache references to the prompt offering to resume an unfinished game.
+const resumePrompt = document.getElementById("resume-prompt");
+const resumeDetails = document.getElementById("resume-details");
+// Cache references to the answer review and the mistakes deck controls.
+const reviewScreen = document.getElementById("review-screen");
+const reviewList = document.getElementById("review-list");
+const reviewMistakes = document.getElementById("review-mistakes");
+const mistakesInfo = document.getElementById("mistakes-info");
+const clearMistakesButton = document.getElementById("clear-mistakes");
+// Grab the daily challenge line on the setup step and the shareable result.
+const dailyInfo = document.getElementById("daily-info");
+const dailyResult = document.getElementById("daily-result");
+const dailyStreak = document.getElementById("daily-streak");
+const dailyShare = document.getElementById("daily-share");
+const copyStatus = document.getElementById("copy-status");
+// Cache references to the leaderboard filters and pager.
+const filterName = document.getElementById("filter-name");
+const filterFrom = document.getElementById("filter-from");
+const filterTo = document.getElementById("filter-to");
+const filterBoard = document.getElementById("filter-board");
+const filterBest = document.getElementById("filter-best");
+const pageSizeSelect = document.getElementById("page-size");
+const scorePager = document.getElementById("score-pager");
+const pageInfo = document.getElementById("page-info");
+const prevPageButton = document.getElementById("prev-page");
+const nextPageButton = document.getElementById("next-page");
+// Cache a reference to the top score summary box.
+const topScoreBox = document.getElementById("top-score");
+// Cache a reference to the privacy controls (final commit).
+const rememberCheckbox = document.getElementById("remember-me");
+// Cache a reference to the "Forget me" button (final commit).
+const forgetButton = document.getElementById("forget-me");
+// Cache a reference to the question source select.
+const sourceSelect = document.getElementById("question-source");
+// Cache a reference to the deck import file input.
+const importInput = document.getElementById("import-deck");
+// Cache a reference to the notice box for fallback and import messages.
+const sourceNotice = document.getElementById("source-notice");
+// Cache a reference to the setup form shown before each round.
+const setupForm = document.getElementById("setup-form");
+// Cache references to the setup controls.
+const categorySelect = document.getElementById("setup-category");
+const difficultySelect = document.getElementById("setup-difficulty");
+const amountInput = document.getElementById("setup-amount");
+const typeSelect = document.getElementById("setup-type");
+const modeSelect = document.getElementById("setup-mode");
+const questionTimeInput = document.getElementById("setup-question-time");
+const totalTimeInput = document.getElementById("setup-total-time");
+const scoringSelect = document.getElementById("setup-scoring");
+// Cache references to the match setup controls.
+const matchSelect = document.getElementById("setup-match");
+const matchPlayersFieldset = document.getElementById("match-players");
+const matchPlayerList = document.getElementById("match-player-list");
+const addPlayerButton = document.getElementById("add-player");
+const matchError = document.getElementById("match-error");
+// Cache references to the match turn banner, hand-off screen and results.
+const turnBanner = document.getElementById("turn-banner");
+const rememberRow = document.getElementById("remember-row");
+const matchHandoff = document.getElementById("match-handoff");
+const handoffTitle = document.getElementById("handoff-title");
+const handoffText = document.getElementById("handoff-text");
+const matchResults = document.getElementById("match-results");
+const matchWinner = document.getElementById("match-winner");
+// Grab the live room controls: joining, the host's view and the shared leaderboard.
+const roomCodeInput = document.getElementById("room-code");
+const roomNameInput = document.getElementById("room-name");
+const roomError = document.getElementById("room-error");
+const roomHost = document.getElementById("room-host");
+const roomHostTitle = document.getElementById("room-host-title");
+const roomJoinHint = document.getElementById("room-join-hint");
+const roomPlayers = document.getElementById("room-players");
+const roomQuestion = document.getElementById("room-question");
+const roomQuestionText = document.getElementById("room-question-text");
+const roomAnswerCounts = document.getElementById("room-answer-counts");
+const roomAnswerStatus = document.getElementById("room-answer-status");
+const roomNextButton = document.getElementById("room-next");
+const roomCloseButton = document.getElementById("room-close-question");
+const roomEndButton = document.getElementById("room-end");
+const roomLive = document.getElementById("room-live");
+const roomMessage = document.getElementById("room-message");
+const leaveRoomButton = document.getElementById("leave-room");
+// Cache references to the storage notice and storage settings.
+const storageNotice = document.getElementById("storage-notice");
+const retentionMaxRecords = document.getElementById("retention-max-records");
+const retentionMaxAge = document.getElementById("retention-max-age");
+const retentionBackend = document.getElementById("retention-backend");
+const quarantineInfo = document.getElementById("quarantine-info");
+const discardQuarantineButton = document.getElementById("discard-quarantine");
+// Cache references to the score export/import controls and the import preview.
+const exportJsonButton = document.getElementById("export-json");
+const exportCsvButton = document.getElementById("export-csv");
+const importScoresInput = document.getElementById("import-scores");
+const importPreview = document.getElementById("import-preview");
+const importSummary = document.getElementById("import-summary");
+const importProblems = document.getElementById("import-problems");
+const confirmImportButton = document.getElementById("confirm-import");
+// Cache references to the player statistics dashboard.
+const playerDashboard = document.getElementById("player-dashboard");
+const dashboardTitle = document.getElementById("dashboard-title");
+const dashboardPlayerSelect = document.getElementById("dashboard-player");
+const dashboardSummary = document.getElementById("dashboard-summary");
+const dashboardTrend = document.getElementById("dashboard-trend");
+const dashboardNote = document.getElementById("dashboard-note");
+// Cache references to the progress bar, timers and navigation used during a round.
+const quizStatus = document.getElementById("quiz-status");
+const progressLabel = document.getElementById("progress-label");
+const progressBar = document.getElementById("quiz-progress");
+const questionTimerEl = document.getElementById("question-timer");
+const totalTimerEl = document.getElementById("total-timer");
+const quizNav = document.getElementById("quiz-nav");
+const prevButton = document.getElementById("prev-question");
+const nextButton = document.getElementById("next-question");
+// Cache references to the error state shown when questions fail to load.
+const errorContainer = document.getElementById("error-container");
+const errorMessage = document.getElementById("error-message");
+// Cache a reference to the status line shown while waiting out a rate limit.
+const loadingStatus = document.getElementById("loading-status");
+// Cache references to the screen reader announcer, the shortcut hint and the inline form errors.
+const announcer = document.getElementById("announcer");
+const keyboardHint = document.getElementById("keyboard-hint");
+const usernameError = document.getElementById("username-error");
+const formError = document.getElementById("form-error");
+// Cache references to the deck picker on the setup step and the deck editor.
+const deckRow = document.getElementById("deck-row");
+const deckSelect = document.getElementById("deck-select");
+const deckEditorSelect = document.getElementById("deck-editor-select");
+const deckNameInput = document.getElementById("deck-name");
+const deckQuestionList = document.getElementById("deck-question-list");
+const addDeckQuestionButton = document.getElementById("add-deck-question");
+const deckError = document.getElementById("deck-error");
+const deckStatus = document.getElementById("deck-status");
+// Cache a reference to the language picker.
+const languageSelect = document.getElementById("language-select");
+// Cache references to the display options.
+const highContrastCheckbox = document.getElementById("high-contrast");
+const reducedMotionCheckbox = document.getElementById("reduced-motion");
+// Cache a reference to the online/offline indicator.
+const connectionStatus = document.getElementById("connection-status");
 
-    // When "Forget me" is clicked, clear any stored name and reset controls.
-    forgetButton.addEventListener("click", function () {
-        // Remove the persisted name from localStorage.
-        localStorage.removeItem("triviaCurrentUser");
-        // Clear the visible input field value.
-        usernameInput.value = "";
-        // Uncheck the consent checkbox.
-        rememberCheckbox.checked = false;
-        // Hide the Forget Me button to reflect the cleared state.
-        forgetButton.classList.add("hidden");
-        // Place focus back in the name field for convenience.
-        usernameInput.focus();
-    });
+// Translate interface text into the chosen language (see i18n.js).
+const t = i18n.t;
 
-    // When the sort selection changes, save the preference and re-render the table.
-    sortSelect.addEventListener("change", function () {
-        // Save the chosen sort option to localStorage.
-        localStorage.setItem("scoreSort", sortSelect.value);
-        // Repaint the scoreboard to reflect the new order.
+// Hold the round being played in the game-state store (see store.js); read it through `state`, change it with setState.
+const store = createStore({
+    // The settings of the round in progress, saved with the score.
+    settings: null,
+    // The in-memory game model (questions, option ids and correct answers) for the round.
+    game: null,
+    // True while a round is on screen and not yet submitted, so its progress is saved.
+    roundInProgress: false,
+    // The players and mode of a match that is waiting for its questions to load.
+    pendingMatch: null,
+    // The hot-seat match being played (null for a single-player game).
+    match: null,
+    // The live room this page is hosting or playing in (null when not in one).
+    room: null
+});
+const state = store.getState();
+// Hold the countdown for the question on screen (sequential mode with a per-question limit).
+let questionCountdown = null;
+// Hold the countdown for the whole-game time limit.
+let totalCountdown = null;
+// Remember when the question on screen appeared, to measure time spent on it (0 = none).
+let questionShownTs = 0;
+// Hold the records an import preview would add, until it is confirmed or cancelled.
+let pendingImport = null;
+// Hold the normalized name of the player whose dashboard is open (null when closed).
+let dashboardPlayerKey = null;
+// Hold the page of the score table on screen (1-based; clamped when rendering).
+let scorePage = 1;
+// Hold the deck open in the deck editor (its questions are read back from the editor when saved).
+let editingDeck = null;
+// Number the deck editor's fields so every label has a unique id to point at.
+let deckFieldCount = 0;
+// Hold messages waiting to be read out together by the announcer.
+let pendingAnnouncements = [];
+
+// Translate the page into the saved (or browser) language and fill the language picker.
+i18n.translatePage();
+fillLanguageOptions();
+// Apply the saved contrast and motion options before anything else is shown.
+applyDisplaySettings();
+// Show whether the device is online, and install the service worker for offline play.
+showConnectionStatus();
+registerServiceWorker();
+// Prefill the username and sync consent controls from storage.
+checkUsername();
+// Offer the same name for joining a live room.
+roomNameInput.value = usernameInput.value;
+// Apply the saved sort preference to the select control.
+applySavedSortPreference();
+// Apply the saved leaderboard filters to the filter controls.
+applySavedFilterPreference();
+// List the saved custom decks, then apply the saved game settings to the setup controls.
+updateDeckOptions();
+applySavedSettings();
+// Open the most recent deck (or a new one) in the deck editor.
+openDeckInEditor(decks.getDecks()[0] || decks.createDeck());
+// Fill the category select from Open Trivia DB (or the cached list).
+loadCategoryOptions();
+// Show how many mistakes are due for review.
+updateMistakesSummary();
+// Show whether today's challenge has been played, and the streak.
+updateDailySummary();
+// Offer to resume a round left unfinished by a reload.
+offerSavedGame();
+// Load, migrate and validate the saved scores, then render them (sorting + top score + empty state).
+const ready = storage
+    .init()
+    .then(reportStorageLoad)
+    .catch((error) => {
+        // Log the error and explain that the table may be incomplete (or that storage is full).
+        console.error("Could not load saved scores:", error);
+        showStorageNotice(error instanceof storage.StorageQuotaError ? error.message : t("storage.loadFailed"));
+    })
+    .then(function () {
         displayScores();
+        applyRetentionSettings();
     });
 
-    // Document what the fetchQuestions function does in this block comment.
-    /**
-     * Fetches trivia questions from the API and displays them.
-     */
-    function fetchQuestions() {
-        // Show the skeleton loader and hide questions during network fetch.
-        showLoading(true);
-
-        // Request 10 multiple-choice questions from Open Trivia DB.
-        fetch("https://opentdb.com/api.php?amount=10&type=multiple")
-            // Parse the network response as JSON so we can read `results`.
-            .then((response) => response.json())
-            // Handle the parsed data and render the question blocks.
-            .then((data) => {
-                // Render the questions into the #question-container.
-                displayQuestions(data.results);
-                // Hide the loader now that content is ready.
-                showLoading(false);
-            })
-            // Catch any errors (network or parsing) and fail gracefully.
-            .catch((error) => {
-                // Log the error for debugging in the console.
-                console.error("Error fetching questions:", error);
-                // Hide the loader even when an error occurs.
-                showLoading(false);
-            });
-    }
-
-    // Helper that flips visibility between loader and questions.
-    /**
-     * Toggles the display of the loading state and question container.
-     *
-     * @param {boolean} isLoading - Indicates whether the loading state should be shown.
-     */
-    function showLoading(isLoading) {
-        // Grab the loader container element by ID.
-        const loadingEl = document.getElementById("loading-container");
-        // Grab the questions container element by ID.
-        const questionsEl = document.getElementById("question-container");
-        // If we are loading, show the loader and hide the questions.
-        if (isLoading) {
-            // Remove the 'hidden' class from the loader to show it.
-            loadingEl.classList.remove("hidden");
-            // Add the 'hidden' class to the questions to hide them.
-            questionsEl.classList.add("hidden");
-        } else {
-            // Add the 'hidden' class to the loader to hide it.
-            loadingEl.classList.add("hidden");
-            // Remove the 'hidden' class from the questions to show them.
-            questionsEl.classList.remove("hidden");
-        }
+// Listen for typing in the username field so we conditionally persist it.
+usernameInput.addEventListener("input", function () {
+    // A name is being entered, so the "name missing" message no longer applies.
+    view.clearFieldError(usernameInput, usernameError);
+    // Read and trim the current value to avoid saving stray spaces.
+    const value = (usernameInput.value || "").trim();
+    // If user opted in and a value exists, store it; otherwise remove the stored name.
+    if (rememberCheckbox.checked && value) {
+        // Save the name to localStorage so it can be restored later.
+        localStorage.setItem("triviaCurrentUser", value);
+        // Show the Forget Me button when a name is stored.
+        forgetButton.classList.remove("hidden");
+    } else {
+        // Remove the stored name when not opted-in or value is empty.
+        localStorage.removeItem("triviaCurrentUser");
+        // Hide the Forget Me button accordingly.
+        forgetButton.classList.add("hidden");
     }
+});
 
-    // Render the fetched questions into the DOM.
-    /**
-     * Displays fetched trivia questions.
-     * @param {Object[]} questions - Array of trivia questions.
-     */
-    function displayQuestions(questions) {
-        // Clear any existing question blocks so we start fresh.
-        questionContainer.innerHTML = "";
-        // Loop over the array of question objects and render each one.
-        questions.forEach((question, index) => {
-            // Create a container <div> for the question block.
-            const questionDiv = document.createElement("div");
-            // Insert the prompt and randomized answers.
-            questionDiv.innerHTML = `
-                <p>${question.question}</p>
-                ${createAnswerOptions(
-                    question.correct_answer,
-                    question.incorrect_answers,
-                    index
-                )}
-            `;
-            // Append the question block to the overall container.
-            questionContainer.appendChild(questionDiv);
-        });
+// When the Remember checkbox changes, update storage to match consent.
+rememberCheckbox.addEventListener("change", function () {
+    // Read and trim the current name value.
+    const value = (usernameInput.value || "").trim();
+    // If checked and there's a name, store it; otherwise clear it.
+    if (rememberCheckbox.checked && value) {
+        // Persist the name with user consent.
+        localStorage.setItem("triviaCurrentUser", value);
+        // Reveal the Forget Me button to allow opting out later.
+        forgetButton.classList.remove("hidden");
+    } else {
+        // Remove the stored name when not opted-in or field is empty.
+        localStorage.removeItem("triviaCurrentUser");
+        // Hide the Forget Me button in this case.
+        forgetButton.classList.add("hidden");
     }
+});
 
-    // Build the set of radio options for a given question.
-    /**
-     * Creates HTML for answer options.
-     * @param {string} correctAnswer - The correct answer for the question.
-     * @param {string[]} incorrectAnswers - Array of incorrect answers.
-     * @param {number} questionIndex - The index of the current question.
-     * @returns {string} HTML string of answer options.
-     */
-    function createAnswerOptions(
-        correctAnswer,
-        incorrectAnswers,
-        questionIndex
-    ) {
-        // Merge and shuffle the answer list for random order.
-        const allAnswers = [correctAnswer, ...incorrectAnswers].sort(
-            () => Math.random() - 0.5
-        );
-        // Map answers to label+radio markup, marking the correct one with data attribute.
-        return allAnswers
-            .map(
-                (answer) => `
-            <label>
-                <input type="radio" name="answer${questionIndex}" value="${answer}" ${
-                    answer === correctAnswer ? 'data-correct="true"' : ""
-                }>
-                ${answer}
-            </label>
-        `
-            )
-            // Combine all option strings into one HTML snippet.
-            .join("");
-    }
-
-    // Wire up form submit, new player, and clear scores buttons.
-    form.addEventListener("submit", handleFormSubmit);
-    newPlayerButton.addEventListener("click", newPlayer);
-    clearScoresButton.addEventListener("click", clearScores);
-
-    // Handle the form submission: validate, score, persist, and update UI.
-    /**
-     * Handles the trivia form submission.
-     * @param {Event} event - The submit event.
-     */
-    function handleFormSubmit(event) {
-        // Prevent normal form submission (page reload).
+// When "Forget me" is clicked, clear any stored name and reset controls.
+forgetButton.addEventListener("click", function () {
+    // Remove the persisted name from localStorage.
+    localStorage.removeItem("triviaCurrentUser");
+    // Clear the visible input field value.
+    usernameInput.value = "";
+    // Uncheck the consent checkbox.
+    rememberCheckbox.checked = false;
+    // Hide the Forget Me button to reflect the cleared state.
+    forgetButton.classList.add("hidden");
+    // Place focus back in the name field for convenience.
+    usernameInput.focus();
+});
+
+// Switch the interface language.
+languageSelect.addEventListener("change", changeLanguage);
+// Save and apply the display options when they change.
+highContrastCheckbox.addEventListener("change", saveDisplaySettings);
+reducedMotionCheckbox.addEventListener("change", saveDisplaySettings);
+// Keep the connection indicator in step with the network.
+window.addEventListener("online", showConnectionStatus);
+window.addEventListener("offline", showConnectionStatus);
+// Answer, move and finish with the keyboard during a round.
+document.addEventListener("keydown", handleShortcut);
+
+// When the sort selection changes, save the preference and re-render the table.
+sortSelect.addEventListener("change", function () {
+    // Save the chosen sort option to localStorage.
+    localStorage.setItem("scoreSort", sortSelect.value);
+    // Repaint the scoreboard to reflect the new order, starting from the first page.
+    scorePage = 1;
+    displayScores();
+});
+
+// When any leaderboard filter changes, save the filters and re-render the table.
+filterName.addEventListener("input", handleFilterChange);
+[filterFrom, filterTo, filterBoard, filterBest, pageSizeSelect].forEach((control) => {
+    control.addEventListener("change", handleFilterChange);
+});
+document.getElementById("reset-filters").addEventListener("click", resetFilters);
+// Page through the score table.
+prevPageButton.addEventListener("click", () => changeScorePage(-1));
+nextPageButton.addEventListener("click", () => changeScorePage(1));
+
+// When a deck file is chosen, import it.
+importInput.addEventListener("change", handleDeckImport);
+// Describe the daily challenge when it is picked, and copy its result.
+sourceSelect.addEventListener("change", updateDailySummary);
+// Offer the deck picker when "My decks" is picked.
+sourceSelect.addEventListener("change", updateDeckOptions);
+// Wire up the deck editor.
+deckEditorSelect.addEventListener("change", () => {
+    const deck = decks.getDeck(deckEditorSelect.value);
+    openDeckInEditor(deck || decks.createDeck());
+});
+document.getElementById("new-deck").addEventListener("click", () => openDeckInEditor(decks.createDeck()));
+document.getElementById("delete-deck").addEventListener("click", deleteEditedDeck);
+document.getElementById("export-deck").addEventListener("click", exportEditedDeck);
+document.getElementById("save-deck").addEventListener("click", saveEditedDeck);
+addDeckQuestionButton.addEventListener("click", () => {
+    const item = addDeckQuestionItem(decks.createQuestion());
+    renumberDeckQuestions();
+    item.querySelector("input").focus();
+});
+deckQuestionList.addEventListener("click", handleDeckQuestionAction);
+document.getElementById("copy-daily").addEventListener("click", copyDailyResult);
+
+// When the setup form is submitted, start a round with the chosen settings.
+setupForm.addEventListener("submit", startGame);
+
+// Retry the same request from the error state.
+document.getElementById("retry-fetch").addEventListener("click", fetchQuestions);
+// Go back to the setup step from the error state so settings can be changed.
+document.getElementById("back-to-setup").addEventListener("click", showSetup);
+// Show the player list for matches, and wire up adding, removing and turn hand-offs.
+matchSelect.addEventListener("change", () => {
+    matchPlayersFieldset.classList.toggle("hidden", !isHotSeatMatch(matchSelect.value));
+});
+addPlayerButton.addEventListener("click", () => {
+    addMatchPlayerInput("");
+    matchPlayerList.lastElementChild.querySelector("input").focus();
+});
+matchPlayerList.addEventListener("click", (event) => {
+    const remove = event.target.closest(".remove-player");
+    if (!remove) return;
+    remove.closest("li").remove();
+    updateMatchPlayerControls();
+});
+document.getElementById("start-turn").addEventListener("click", startTurn);
+document.getElementById("end-match").addEventListener("click", () => {
+    showSetup();
+    window.scrollTo(0, 0);
+});
+// Join a live room (Enter in its inputs joins rather than starting a game), and wire up the host's controls.
+document.getElementById("join-room-button").addEventListener("click", joinRoom);
+[roomCodeInput, roomNameInput].forEach((input) => {
+    input.addEventListener("keydown", (event) => {
+        if (event.key !== "Enter") return;
         event.preventDefault();
+        joinRoom();
+    });
+});
+roomNextButton.addEventListener("click", () => state.room.connection.send({ type: "next" }));
+roomCloseButton.addEventListener("click", () => state.room.connection.send({ type: "close" }));
+roomEndButton.addEventListener("click", () => state.room.connection.send({ type: "end" }));
+leaveRoomButton.addEventListener("click", () => {
+    showSetup();
+    window.scrollTo(0, 0);
+});
 
-        // Grab every question block so we can check if each is answered.
-        const blocks = document.querySelectorAll("#question-container > div");
-        // Track the first unanswered block to guide the user.
-        let firstUnanswered = null;
-        // Check each block for a checked radio input.
-        blocks.forEach((_, i) => {
-            // Build a selector for the checked radio in this group.
-            const sel = `input[name="answer${i}"]:checked`;
-            // Find the selected input (if any).
-            const selected = document.querySelector(sel);
-            // Grab the block to toggle error styling.
-            const blockEl = blocks[i];
-            // If nothing is checked, mark this block invalid and remember it.
-            if (!selected) {
-                blockEl.classList.add("invalid");
-                if (!firstUnanswered) firstUnanswered = blockEl;
+// Record answer times and progress whenever an answer is picked.
+questionContainer.addEventListener("change", handleAnswerChange);
+// Move between questions in one-question-at-a-time mode.
+prevButton.addEventListener("click", function () {
+    if (state.game && state.game.currentIndex > 0) showQuestion(state.game.currentIndex - 1);
+});
+nextButton.addEventListener("click", function () {
+    if (state.game && state.game.currentIndex < state.game.questions.length - 1) {
+        showQuestion(state.game.currentIndex + 1);
+    }
+});
+
+// Document what the fetchQuestions function does in this block comment.
+/**
+ * Loads trivia questions from the chosen source and displays them.
+ * Falls back to the offline question bank when the network request fails,
+ * and shows the error state with a retry button for anything else.
+ */
+function fetchQuestions() {
+    // Hide any previous error and show the skeleton loader while loading.
+    hideError();
+    showLoading(true);
+    // Stop any timers and hide the round controls from a previous attempt.
+    stopRoundTimers();
+    quizStatus.classList.add("hidden");
+    quizNav.classList.add("hidden");
+    keyboardHint.classList.add("hidden");
+    // Clear any notice left over from the previous round.
+    hideSourceNotice();
+    // Keep Finish Game disabled until there is something to answer.
+    document.getElementById("submit-game").disabled = true;
+    // Whether this load used up the day's daily challenge attempt (given back if loading then fails).
+    let dailyStarted = false;
+
+    // Ask the provider layer for questions matching the current settings.
+    questions
+        .loadQuestions(state.settings.source, state.settings, {
+            // Explain the pause while the API rate limit is waited out.
+            onRateLimit: function (delayMs) {
+                setLoadingStatus(t("loading.rateLimited", { count: Math.round(delayMs / 1000) }));
+            }
+        })
+        // Render the questions and explain any fallback.
+        .then((result) => {
+            // A filter combination with no matches cannot be played.
+            if (result.questions.length === 0) {
+                throw new Error(t("loading.noMatches"));
+            }
+            // Remember where the questions really came from for the score record.
+            store.setState({ settings: Object.assign({}, state.settings, { source: result.source }) });
+            if (state.pendingMatch) {
+                // In a match, deal the questions into turns; each turn builds its own game model.
+                store.setState({ match: match.createMatch(state.pendingMatch.players, result.questions, state.pendingMatch.mode), pendingMatch: null });
+            } else if (state.settings.match === "host") {
+                // A live room builds one game model; the questions go to the players one at a time.
+                store.setState({ game: createRoundGame(result.questions) });
             } else {
-                // If answered, make sure any previous invalid style is removed.
-                blockEl.classList.remove("invalid");
+                // Build the game model so the correct answers stay in memory only.
+                store.setState({ game: createRoundGame(result.questions) });
+                // Render the questions into the #question-container.
+                displayQuestions(state.game.questions);
+            }
+            // Once the daily challenge's questions are on screen, the day's one attempt is used.
+            if (state.settings.source === "daily") {
+                daily.markStarted(state.settings.dailyDate);
+                dailyStarted = true;
+                updateDailySummary();
+            }
+            // Let the player know when we had to switch to the offline bank.
+            if (result.fellBack) {
+                showSourceNotice(t("loading.fellBack"));
+            } else if (state.settings.source !== "daily" && result.questions.length < state.settings.amount) {
+                // Explain a short round when the local source ran out of matching questions (the daily challenge has a fixed size).
+                showSourceNotice(t("loading.shortRound", { count: result.questions.length }));
+            }
+            // Hide the loader now that content is ready.
+            showLoading(false);
+            // A match starts by handing the device to the first player.
+            if (state.match) {
+                showHandoff();
+                return;
+            }
+            // A live room opens on the room server and waits for players.
+            if (state.settings.match === "host") {
+                openHostRoom();
+                return;
+            }
+            // Allow submitting now that questions are on screen.
+            document.getElementById("submit-game").disabled = false;
+            announce(t("announce.loaded", { count: state.game.questions.length }));
+            // Start the progress display, navigation and timers for the chosen mode.
+            startRound();
+        })
+        // Catch errors the provider could not recover from and explain them.
+        .catch((error) => {
+            // Log the error for debugging in the console.
+            console.error("Error fetching questions:", error);
+            // A daily round that never got going does not use up the day.
+            if (dailyStarted) {
+                daily.releaseAttempt(state.settings.dailyDate);
+                updateDailySummary();
             }
+            // Replace the loader with the error state instead of an empty form.
+            showError(error.message);
         });
+}
 
-        // If we found an unanswered question, help the user and abort submit.
-        if (firstUnanswered) {
-            // Alert the user to complete all questions.
-            alert("Please answer all questions before submitting.");
-            // Focus the first radio in that block for convenience.
-            const firstRadio = firstUnanswered.querySelector('input[type="radio"]');
-            // Focus it if found.
-            if (firstRadio) firstRadio.focus();
-            // Scroll the block into view to make it obvious.
-            firstUnanswered.scrollIntoView({ behavior: "smooth", block: "center" });
-            // Stop here until all questions are answered.
-            return;
-        }
+// Build the game model for a round; the daily challenge orders its answers from the day's seed.
+function createRoundGame(rawQuestions) {
+    const random = state.settings.source === "daily" ? daily.createOptionRandom(state.settings.dailyDate) : undefined;
+    return game.createGame(rawQuestions, state.settings, random);
+}
+
+// Show or hide the status line inside the loader.
+function setLoadingStatus(message) {
+    // Put the message into the status line.
+    loadingStatus.textContent = message || "";
+    // Only show the line when there is something to say.
+    loadingStatus.classList.toggle("hidden", !message);
+}
+
+// Document what the showError function does in this block comment.
+/**
+ * Shows the error state with a message, hiding the loader and the (empty) question list.
+ * @param {string} message - What went wrong, in words the player can act on.
+ */
+function showError(message) {
+    // Hide the loader and its status line.
+    document.getElementById("loading-container").classList.add("hidden");
+    setLoadingStatus("");
+    // Keep the empty question container hidden.
+    questionContainer.classList.add("hidden");
+    // Fill in and reveal the error box.
+    errorMessage.textContent = message;
+    errorContainer.classList.remove("hidden");
+}
+
+// Hide the error state.
+function hideError() {
+    // Hide the error box and empty its message.
+    errorContainer.classList.add("hidden");
+    errorMessage.textContent = "";
+}
+
+// Safely read the saved game settings from localStorage, filling in defaults.
+function getSavedSettings() {
+    // Start from the defaults used by a first-time player.
+    const defaults = {
+        source: "api",
+        category: "",
+        difficulty: "",
+        amount: 10,
+        type: "",
+        mode: "all",
+        questionSeconds: 0,
+        totalMinutes: 0,
+        scoring: "standard",
+        match: "solo",
+        matchPlayers: [],
+        deckId: ""
+    };
+    // Retrieve the raw JSON string for the settings.
+    const raw = localStorage.getItem("gameSettings");
+    // If nothing is stored yet, use the defaults.
+    if (!raw) return defaults;
+    // Attempt to parse the JSON and merge it over the defaults.
+    try {
+        return Object.assign(defaults, JSON.parse(raw));
+    } catch (e) {
+        // Log a warning and use the defaults if parsing fails.
+        console.error("Invalid game settings in storage:", e);
+        return defaults;
+    }
+}
+
+// Apply the saved settings to the setup controls on load.
+function applySavedSettings() {
+    // Read the saved (or default) settings.
+    const saved = getSavedSettings();
+    // Mirror each setting in its control.
+    sourceSelect.value = saved.source;
+    difficultySelect.value = saved.difficulty;
+    amountInput.value = saved.amount;
+    typeSelect.value = saved.type;
+    modeSelect.value = saved.mode;
+    questionTimeInput.value = saved.questionSeconds;
+    totalTimeInput.value = saved.totalMinutes;
+    scoringSelect.value = saved.scoring;
+    matchSelect.value = saved.match;
+    if (saved.deckId && decks.getDeck(saved.deckId)) deckSelect.value = saved.deckId;
+    updateDeckOptions();
+    matchPlayersFieldset.classList.toggle("hidden", !isHotSeatMatch(saved.match));
+    // Rebuild the match player list, with at least the minimum number of rows.
+    const names = Array.isArray(saved.matchPlayers) ? saved.matchPlayers.slice(0, match.MAX_PLAYERS) : [];
+    while (names.length < match.MIN_PLAYERS) names.push("");
+    names.forEach(addMatchPlayerInput);
+    // Keep the saved category so it can be selected once the list has loaded.
+    categorySelect.dataset.saved = saved.category;
+}
+
+// Read the setup controls into a settings object.
+function readSettingsFromForm() {
+    // Clamp the amount to what Open Trivia DB allows per request.
+    const amount = Math.min(50, Math.max(1, parseInt(amountInput.value, 10) || 10));
+    // Read the category option so we can store its name as well as its id.
+    const categoryOption = categorySelect.options[categorySelect.selectedIndex];
+    // Build the settings object.
+    return {
+        source: sourceSelect.value,
+        category: categorySelect.value,
+        categoryName: categorySelect.value && categoryOption ? categoryOption.textContent : "",
+        difficulty: difficultySelect.value,
+        amount: amount,
+        type: typeSelect.value,
+        mode: modeSelect.value,
+        // Negative or blank limits mean "no limit".
+        questionSeconds: Math.max(0, parseInt(questionTimeInput.value, 10) || 0),
+        totalMinutes: Math.max(0, parseFloat(totalTimeInput.value) || 0),
+        scoring: scoringSelect.value,
+        match: matchSelect.value,
+        // The custom deck to play when "My decks" is the source.
+        deckId: deckSelect.value
+    };
+}
+
+// Add a name row to the match player list.
+function addMatchPlayerInput(name) {
+    const item = document.createElement("li");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "match-player-name";
+    input.maxLength = 40;
+    input.value = name || "";
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "remove-player";
+    remove.dataset.i18n = "match.removePlayer";
+    remove.textContent = t("match.removePlayer");
+    item.appendChild(input);
+    item.appendChild(remove);
+    matchPlayerList.appendChild(item);
+    updateMatchPlayerControls();
+}
+
+// Number the player rows for screen readers and keep the list within 2–8 players.
+function updateMatchPlayerControls() {
+    const items = Array.from(matchPlayerList.children);
+    items.forEach((item, i) => {
+        item.querySelector("input").setAttribute("aria-label", t("match.playerName", { number: i + 1 }));
+        item.querySelector(".remove-player").disabled = items.length <= match.MIN_PLAYERS;
+    });
+    addPlayerButton.disabled = items.length >= match.MAX_PLAYERS;
+}
+
+// Check whether a Players choice is a hot-seat match (rather than one player or a live room).
+function isHotSeatMatch(value) {
+    return value === "same" || value === "alternate";
+}
+
+// Read the match player names in turn order.
+function readMatchPlayers() {
+    return Array.from(matchPlayerList.querySelectorAll(".match-player-name")).map((input) => input.value.trim());
+}
+
+// Document what the loadCategoryOptions function does in this block comment.
+/**
+ * Fills the category select from Open Trivia DB, the cached list, or the bundled list.
+ */
+function loadCategoryOptions() {
+    // Ask the provider layer for the category list (it handles the fallbacks).
+    questions.loadCategories().then((result) => {
+        // Keep only the "Any category" option before adding the list.
+        categorySelect.length = 1;
+        // Add one option per category.
+        result.categories.forEach((category) => {
+            const option = document.createElement("option");
+            option.value = String(category.id);
+            option.textContent = category.name;
+            categorySelect.appendChild(option);
+        });
+        // Restore the saved category now that its option exists.
+        categorySelect.value = categorySelect.dataset.saved || "";
+    });
+}
 
-        // Read and trim the player’s name from the input.
-        const trimmed = (usernameInput.value || "").trim();
-        // Require a non-empty name before scoring.
-        if (!trimmed) {
-            // Ask the user to enter their name first.
-            alert("Please enter your name before finishing the game.");
-            // Put focus back in the name box.
-            usernameInput.focus();
-            // Abort submission due to missing name.
+// Document what the startGame function does in this block comment.
+/**
+ * Saves the setup choices and starts a round with them.
+ * @param {Event} event - The setup form submit event.
+ */
+function startGame(event) {
+    // Prevent normal form submission (page reload).
+    event.preventDefault();
+    // A match needs a usable player list before anything loads.
+    const players = readMatchPlayers();
+    const playersError = isHotSeatMatch(matchSelect.value) ? match.validatePlayers(players) : null;
+    matchError.textContent = playersError || "";
+    matchError.classList.toggle("hidden", !playersError);
+    if (playersError) {
+        matchPlayerList.querySelector("input").focus();
+        return;
+    }
+    // Hosting a live room needs the page to come from the room server.
+    if (matchSelect.value === "host" && !room.isAvailable()) {
+        showRoomError(t("room.serverHint"));
+        return;
+    }
+    // Capture the chosen settings for this round.
+    store.setState({ settings: readSettingsFromForm() });
+    // Fix the challenge's day now, so a round that runs past midnight stays on the same quiz.
+    if (state.settings.source === "daily") store.setState({ settings: Object.assign({}, state.settings, { dailyDate: daily.getDateKey() }) });
+    store.setState({ pendingMatch: isHotSeatMatch(state.settings.match) ? { players: players, mode: state.settings.match } : null });
+    // Remember the choices and player names for next time (the category name is derived, so skip it).
+    const toSave = Object.assign({ matchPlayers: players }, state.settings);
+    delete toSave.categoryName;
+    delete toSave.dailyDate;
+    localStorage.setItem("gameSettings", JSON.stringify(toSave));
+    categorySelect.dataset.saved = state.settings.category;
+    // Swap the setup step for the game form.
+    setupForm.classList.add("hidden");
+    form.classList.remove("hidden");
+    // Clear the previous round's questions.
+    questionContainer.innerHTML = "";
+    // Load the questions for this round.
+    fetchQuestions();
+}
+
+// Show a message in the source notice box.
+function showSourceNotice(message) {
+    // Put the message into the notice box.
+    sourceNotice.textContent = message;
+    // Make sure the notice box is visible.
+    sourceNotice.classList.remove("hidden");
+}
+
+// Hide and empty the source notice box.
+function hideSourceNotice() {
+    // Hide the notice box.
+    sourceNotice.classList.add("hidden");
+    // Remove the old message.
+    sourceNotice.textContent = "";
+}
+
+// Document what the handleDeckImport function does in this block comment.
+/**
+ * Reads the chosen JSON/CSV file, saves it as the imported deck and starts a round with it.
+ */
+function handleDeckImport() {
+    // Grab the first selected file (if any).
+    const file = importInput.files && importInput.files[0];
+    // Nothing to do when the picker was cancelled.
+    if (!file) return;
+    // Read the file as text.
+    const reader = new FileReader();
+    // Once loaded, parse and save the deck.
+    reader.onload = function () {
+        // Parse, validate and store the deck.
+        const result = questions.importDeck(String(reader.result), file.name);
+        // Reset the input so the same file can be imported again later.
+        importInput.value = "";
+        // Without any valid question, report the problems and keep the current round.
+        if (result.questions.length === 0) {
+            showSourceNotice(t("import.failed", { file: file.name, errors: result.errors.join(" ") }));
             return;
         }
+        // Switch the source select to the imported deck so Start uses it.
+        sourceSelect.value = "imported";
+        // Report how many questions were imported and how many were skipped.
+        const skipped = result.errors.length ? ` ${t("import.skipped", { count: result.errors.length, errors: result.errors.join(" ") })}` : "";
+        showSourceNotice(t("import.done", { count: result.questions.length, file: file.name }) + skipped);
+    };
+    // Report read failures instead of failing silently.
+    reader.onerror = function () {
+        showSourceNotice(t("import.readFailed", { file: file.name }));
+    };
+    // Start reading.
+    reader.readAsText(file);
+}
 
-        // Count how many questions we had on screen.
-        const totalQuestions = blocks.length;
-        // Count the number of correct answers selected.
-        const correctSelections = document.querySelectorAll(
-            'input[type="radio"][data-correct="true"]:checked'
-        ).length;
-
-        // Walk through questions to visually mark correct and selected-incorrect labels.
-        for (let i = 0; i < totalQuestions; i++) {
-            // Find the correct input for this question.
-            const correctInput = document.querySelector(
-                `input[name="answer${i}"][data-correct="true"]`
-            );
-            // If found, mark its label as correct.
-            if (correctInput && correctInput.parentElement) {
-                correctInput.parentElement.classList.add("correct");
-            }
-            // Look up the selected input for this question.
-            const selected = document.querySelector(`input[name="answer${i}"]:checked`);
-            // If selected exists and is wrong, mark its label as incorrect.
-            if (selected && selected !== correctInput && selected.parentElement) {
-                selected.parentElement.classList.add("incorrect");
-            }
-        }
+// Helper that flips visibility between loader and questions.
+/**
+ * Toggles the display of the loading state and question container.
+ *
+ * @param {boolean} isLoading - Indicates whether the loading state should be shown.
+ */
+function showLoading(isLoading) {
+    // Grab the loader container element by ID.
+    const loadingEl = document.getElementById("loading-container");
+    // Grab the questions container element by ID.
+    const questionsEl = document.getElementById("question-container");
+    // If we are loading, show the loader and hide the questions.
+    if (isLoading) {
+        // Remove the 'hidden' class from the loader to show it.
+        loadingEl.classList.remove("hidden");
+        // Tell screen reader users that questions are on their way.
+        announce(t("announce.loading"));
+        // Add the 'hidden' class to the questions to hide them.
+        questionsEl.classList.add("hidden");
+    } else {
+        // Add the 'hidden' class to the loader to hide it.
+        loadingEl.classList.add("hidden");
+        // Clear any rate-limit status left on the loader.
+        setLoadingStatus("");
+        // Remove the 'hidden' class from the questions to show them.
+        questionsEl.classList.remove("hidden");
+    }
+}
 
-        // Build a human-friendly score message.
-        const summaryText = `Nice job, ${trimmed}! You scored ${correctSelections}/${totalQuestions}.`;
-        // Put the summary into the aria-live box so assistive tech announces it.
-        resultSummary.textContent = summaryText;
-        // Make sure the summary box is visible.
-        resultSummary.classList.remove("hidden");
-
-        // Capture the current timestamp for this attempt.
-        const nowTs = Date.now();
-
-        // Add a quick, immediate row to the table for continuity.
-        const tbody = document.querySelector("#score-table tbody");
-        // Build a new table row element.
-        const row = document.createElement("tr");
-        // Create and fill a cell for the name.
-        const nameCell = document.createElement("td");
-        nameCell.textContent = trimmed;
-        // Create and fill a cell for the score.
-        const scoreCell = document.createElement("td");
-        scoreCell.textContent = `${correctSelections}/${totalQuestions}`;
-        // Create and fill a cell for the date/time.
-        const dateCell = document.createElement("td");
-        dateCell.textContent = new Date(nowTs).toLocaleString();
-        // Append the cells to the row in order.
-        row.appendChild(nameCell);
-        row.appendChild(scoreCell);
-        row.appendChild(dateCell);
-        // Append the row to the table body.
-        tbody.appendChild(row);
-
-        // Persist the score to localStorage so it remains across reloads.
-        saveScoreToStorage(trimmed, correctSelections, totalQuestions);
-        // Respect consent: if Remember is checked, store the name; otherwise remove it.
-        if (rememberCheckbox.checked) {
-            localStorage.setItem("triviaCurrentUser", trimmed);
-            forgetButton.classList.remove("hidden");
+// Document what the displayQuestions function does in this block comment.
+/**
+ * Displays the questions of the current game, clearing the previous round's messages.
+ * @param {Object[]} questionModels - Question models from game.createGame.
+ */
+function displayQuestions(questionModels) {
+    // Clear any messages left from the last attempt, then draw the questions.
+    clearFormErrors();
+    view.renderQuestions(questionContainer, questionModels);
+}
+
+// Collect the selected option id for every question in the current game.
+function getSelections() {
+    return view.readSelections(questionContainer, state.game.questions);
+}
+
+// Document what the showHandoff function does in this block comment.
+/**
+ * Shows the screen between match turns: the round is cleared from the page so the next
+ * player sees neither the questions nor the previous answers until they start.
+ */
+function showHandoff() {
+    const turn = match.getCurrentTurn(state.match);
+    // Take the finished turn off the page.
+    form.classList.add("hidden");
+    questionContainer.replaceChildren();
+    // Name the next player and explain the hand-off.
+    handoffTitle.textContent = t("match.yourTurn", { name: turn.player.name });
+    handoffText.textContent = turn.number === 1
+        ? t("match.passFirst", { name: turn.player.name, total: turn.total })
+        : t("match.passNext", { name: turn.player.name, number: turn.number, total: turn.total });
+    matchHandoff.classList.remove("hidden");
+    handoffTitle.focus();
+}
+
+// Document what the startTurn function does in this block comment.
+/**
+ * Starts the current match turn as a normal round for the player whose turn it is.
+ */
+function startTurn() {
+    const turn = match.getCurrentTurn(state.match);
+    matchHandoff.classList.add("hidden");
+    // Build a fresh game model for this turn's questions.
+    store.setState({ game: createRoundGame(turn.questions) });
+    displayQuestions(state.game.questions);
+    // Say whose turn it is; the name box is not needed in a match.
+    turnBanner.textContent = t("match.turnBanner", { name: turn.player.name, number: turn.number, total: turn.total });
+    turnBanner.classList.remove("hidden");
+    usernameInput.classList.add("hidden");
+    rememberRow.classList.add("hidden");
+    const submitButton = document.getElementById("submit-game");
+    view.setTranslatedText(submitButton, "match.finishTurn");
+    submitButton.disabled = false;
+    // Show the round and start its clocks.
+    form.classList.remove("hidden");
+    showLoading(false);
+    startRound();
+}
+
+// Document what the finishTurn function does in this block comment.
+/**
+ * Records a graded match turn, then hands over to the next player or shows the results.
+ * @param {{ results: Object[] }} grade - The turn's graded result.
+ * @param {number} durationMs - How long the turn took.
+ * @param {Array<?number>} answerTimes - Time to each answer, in question order.
+ */
+function finishTurn(grade, durationMs, answerTimes) {
+    // Score the turn with points when the match uses them.
+    const points = state.settings.scoring === "points" ? scoring.computePoints(state.game, grade) : null;
+    match.recordTurn(state.match, {
+        questions: state.game.questions,
+        results: grade.results,
+        durationMs: durationMs,
+        answerTimes: answerTimes,
+        points: points
+    });
+    store.setState({ game: null });
+    if (match.isFinished(state.match)) {
+        showMatchResults();
+    } else {
+        showHandoff();
+    }
+}
+
+// Document what the showMatchResults function does in this block comment.
+/**
+ * Shows the match scoreboard and winner, and saves each player's result tagged with the match id.
+ */
+function showMatchResults() {
+    const byPoints = state.settings.scoring === "points";
+    const result = match.getStandings(state.match, byPoints);
+    // Take the last turn off the page.
+    form.classList.add("hidden");
+    questionContainer.replaceChildren();
+    turnBanner.classList.add("hidden");
+    // One row per player, best first.
+    const tbody = document.querySelector("#match-table tbody");
+    tbody.innerHTML = "";
+    result.standings.forEach((s) => {
+        const tr = document.createElement("tr");
+        if (s.rank === 1) tr.classList.add("top");
+        [String(s.rank), s.name, view.formatScore(s), timer.formatDuration(s.durationMs)].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    // Announce the winner, or everyone sharing first place.
+    matchWinner.textContent = `🏆 ${describeWinners(result.winners)}`;
+    matchResults.classList.remove("hidden");
+    document.getElementById("match-results-title").focus();
+    // Save each player's result one after another, then refresh the scoreboard.
+    const matchId = state.match.id;
+    const settings = state.settings;
+    result.standings
+        .reduce((saving, s) => saving.then(() => saveScoreToStorage(s.name, s.correct, s.total, settings, {
+            matchId: matchId,
+            durationMs: s.durationMs,
+            answerTimes: s.answerTimes,
+            breakdown: s.breakdown,
+            points: s.points || undefined
+        })), Promise.resolve())
+        .then(displayScores);
+}
+
+// Forget any match and put the single-player controls back.
+function resetMatch() {
+    store.setState({ match: null, pendingMatch: null });
+    matchHandoff.classList.add("hidden");
+    matchResults.classList.add("hidden");
+    turnBanner.classList.add("hidden");
+    turnBanner.textContent = "";
+    usernameInput.classList.remove("hidden");
+    rememberRow.classList.remove("hidden");
+    view.setTranslatedText(document.getElementById("submit-game"), "game.finish");
+}
+
+// Name the winner, or everyone sharing first place.
+function describeWinners(winners) {
+    return winners.length === 1
+        ? t("match.winner", { name: winners[0] })
+        : t("match.tie", { names: i18n.formatList(winners) });
+}
+
+// Show a problem with joining or hosting a live room on the setup step.
+function showRoomError(message) {
+    roomError.textContent = message;
+    roomError.classList.toggle("hidden", !message);
+}
+
+// Document what the openRoomConnection function does in this block comment.
+/**
+ * Connects to the room server for the live room being hosted or joined.
+ * @param {Object} firstMessage - The host or join message sent once connected.
+ */
+function openRoomConnection(firstMessage) {
+    state.room.connection = room.connect({
+        onOpen: () => state.room.connection.send(firstMessage),
+        onMessage: handleRoomMessage,
+        onClose: handleRoomDisconnect
+    });
+}
+
+// Document what the openHostRoom function does in this block comment.
+/**
+ * Opens a live room for the loaded questions and shows the host's view.
+ */
+function openHostRoom() {
+    store.setState({ room: { role: "host", code: null, finished: false, connection: null } });
+    // The host runs the room from its own view rather than the question form.
+    form.classList.add("hidden");
+    roomHostTitle.textContent = t("room.opening");
+    roomJoinHint.textContent = "";
+    roomPlayers.replaceChildren();
+    roomQuestion.classList.add("hidden");
+    roomAnswerStatus.textContent = "";
+    view.setTranslatedText(roomNextButton, "room.startFirst");
+    roomNextButton.disabled = true;
+    roomCloseButton.disabled = true;
+    roomEndButton.disabled = false;
+    roomHost.classList.remove("hidden");
+    openRoomConnection({ type: "host", questions: room.toRoomQuestions(state.game), settings: state.settings });
+}
+
+// Document what the joinRoom function does in this block comment.
+/**
+ * Joins the live room whose code was typed on the setup step.
+ */
+function joinRoom() {
+    const code = roomCodeInput.value.trim().toUpperCase();
+    const name = roomNameInput.value.trim();
+    // Check the inputs and the connection before going anywhere.
+    if (!room.isAvailable()) {
+        showRoomError(t("room.serverHint"));
+        return;
+    }
+    if (!room.isValidCode(code)) {
+        showRoomError(t("room.enterCode"));
+        roomCodeInput.focus();
+        return;
+    }
+    if (!name) {
+        showRoomError(t("room.enterName"));
+        roomNameInput.focus();
+        return;
+    }
+    if (state.room) state.room.connection.close();
+    showRoomError("");
+    store.setState({ room: { role: "player", code: code, name: name, joined: false, finished: false, connection: null, settings: null, answered: false } });
+    openRoomConnection({ type: "join", code: code, name: name });
+}
+
+// Document what the handleRoomMessage function does in this block comment.
+/**
+ * Handles a message from the room server.
+ * @param {Object} message - The parsed message.
+ */
+function handleRoomMessage(message) {
+    if (!state.room) return;
+    const isHost = state.room.role === "host";
+    if (message.type === "hosted") {
+        showHostedRoom(message.code);
+    } else if (message.type === "joined") {
+        showJoinedRoom(message);
+    } else if (message.type === "players") {
+        renderRoomPlayers(message.players);
+    } else if (message.type === "question") {
+        if (isHost) {
+            showHostQuestion(message.question);
         } else {
-            localStorage.removeItem("triviaCurrentUser");
-            forgetButton.classList.add("hidden");
+            showRoomQuestion(message.question);
         }
-        // Re-render the scoreboard from storage for consistent sorting/formatting.
-        displayScores();
-
-        // Reveal the New Player button so another attempt can be made.
-        newPlayerButton.classList.remove("hidden");
-        // Disable the submit button to prevent duplicate submissions for the same attempt.
-        document.getElementById("submit-game").disabled = true;
-    }
-
-    // Return the current sort preference from localStorage or a default.
-    function getSortPreference() {
-        // Pull the saved preference (if any).
-        const pref = localStorage.getItem("scoreSort");
-        // Default to "newest" when nothing saved.
-        return pref || "newest";
-    }
-
-    // Apply the saved sort preference to the select control on load.
-    function applySavedSortPreference() {
-        // Read the preference value.
-        const pref = getSortPreference();
-        // Set the select’s value to mirror stored preference.
-        sortSelect.value = pref;
-    }
-
-    // Safely read and parse the scores array from localStorage.
-    function getScoresFromStorage() {
-        // Retrieve the raw JSON string for "scores".
-        const raw = localStorage.getItem("scores");
-        // If nothing is stored yet, return an empty array.
-        if (!raw) return [];
-        // Attempt to parse the JSON into an array.
-        try {
-            return JSON.parse(raw);
-        } catch (e) {
-            // Log a warning and return empty if parsing fails.
-            console.error("Invalid scores in storage:", e);
-            return [];
+    } else if (message.type === "answers") {
+        renderAnswerCounts(message.counts, null);
+        roomAnswerStatus.textContent = t("room.answeredCount", { answered: message.answered, count: message.players });
+    } else if (message.type === "progress" || message.type === "answered") {
+        if (message.type === "answered") state.room.answered = true;
+        if (typeof message.answered === "number") state.room.progress = t("room.answeredCount", { answered: message.answered, count: message.players });
+        roomMessage.textContent = [state.room.answered ? t("room.answerSent") : "", state.room.progress || ""].filter(Boolean).join(" ");
+    } else if (message.type === "closed") {
+        renderAnswerCounts(message.counts, message.correctOptionId);
+        roomAnswerStatus.textContent = t("room.questionClosed");
+        roomCloseButton.disabled = true;
+    } else if (message.type === "result") {
+        showRoomResult(message.result);
+    } else if (message.type === "leaderboard") {
+        renderRoomLeaderboard(message.standings);
+    } else if (message.type === "finished") {
+        finishRoom(message);
+    } else if (message.type === "roomClosed") {
+        // After the game is over, the host leaving is expected; keep the final result on screen.
+        if (!state.room.finished) endRoom(translateRoomMessage(message));
+    } else if (message.type === "error") {
+        // Before joining, the problem belongs on the setup step; afterwards, in the room.
+        if (!isHost && !state.room.joined) {
+            state.room.connection.close();
+            store.setState({ room: null });
+            showRoomError(translateRoomMessage(message));
+        } else {
+            roomMessage.textContent = translateRoomMessage(message);
         }
     }
+}
 
-    // Save a scores array back into localStorage.
-    function setScoresInStorage(scoresArray) {
-        // Convert the array to text.
-        const text = JSON.stringify(scoresArray);
-        // Store it under the "scores" key.
-        localStorage.setItem("scores", text);
-    }
-
-    // Append a single score record (with timestamp) into persistent storage.
-    function saveScoreToStorage(name, correct, total) {
-        // Read the existing scores array (or an empty array).
-        const scores = getScoresFromStorage();
-        // Construct a record object for this attempt.
-        const record = { name: name, correct: correct, total: total, ts: Date.now() };
-        // Push the new record into the array.
-        scores.push(record);
-        // Store the updated array back to localStorage.
-        setScoresInStorage(scores);
-    }
-
-    // Render the scoreboard rows from storage, apply sorting, and update the top-score/empty-state UI.
-    function displayScores() {
-        // Grab the <tbody> we will populate.
-        const tbody = document.querySelector("#score-table tbody");
-        // Clear any old rows.
-        tbody.innerHTML = "";
-        // Read stored scores and sort preference.
-        const scores = getScoresFromStorage();
-        const pref = getSortPreference();
-
-        // If there are no scores, render a placeholder and disable Clear.
-        if (scores.length === 0) {
-            // Build a single-row placeholder to explain there is no data.
-            const emptyTr = document.createElement("tr");
-            emptyTr.className = "empty";
-            const emptyTd = document.createElement("td");
-            emptyTd.setAttribute("colspan", "3");
-            emptyTd.textContent = "No scores yet.";
-            emptyTr.appendChild(emptyTd);
-            tbody.appendChild(emptyTr);
-            // Disable Clear button because there is nothing to remove.
-            clearScoresButton.disabled = true;
-            // Hide the top-score summary in this state.
-            topScoreBox.textContent = "";
-            topScoreBox.classList.add("hidden");
-            // Stop here—nothing else to render.
-            return;
+// Translate a problem reported by the room server from its code, keeping the server's English text for unknown codes.
+function translateRoomMessage(message) {
+    const key = `room.server.${message.code}`;
+    return message.code && i18n.has(key) ? t(key, { max: message.maxLength }) : message.message;
+}
+
+// Explain a connection to the room server that failed or dropped.
+function handleRoomDisconnect(wasOpen) {
+    if (!state.room || state.room.finished) return;
+    const message = wasOpen ? t("room.connectionLost") : `${t("room.unreachable")} ${t("room.serverHint")}`;
+    if (state.room.role === "player" && !state.room.joined) {
+        store.setState({ room: null });
+        showRoomError(message);
+    } else {
+        endRoom(message);
+    }
+}
+
+// Document what the showHostedRoom function does in this block comment.
+/**
+ * Shows the new room's code and how to join it, with the live leaderboard below.
+ * @param {string} code - The room code.
+ */
+function showHostedRoom(code) {
+    state.room.code = code;
+    roomHostTitle.textContent = t("room.title", { code: code });
+    roomJoinHint.textContent = t("room.joinHint", { address: `${location.origin}/`, code: code });
+    roomNextButton.disabled = false;
+    roomMessage.textContent = t("room.waitingForPlayers");
+    view.setTranslatedText(leaveRoomButton, "room.close");
+    roomLive.classList.remove("hidden");
+    roomHostTitle.focus();
+}
+
+// Document what the showJoinedRoom function does in this block comment.
+/**
+ * Swaps the setup step for the room once the server has let the player in.
+ * @param {{ code: string, name: string, settings: Object }} message - The joined message.
+ */
+function showJoinedRoom(message) {
+    state.room.joined = true;
+    state.room.name = message.name;
+    state.room.settings = message.settings;
+    // Answers are sent one at a time, so the form runs in its simplest mode with no clocks of its own.
+    store.setState({ settings: Object.assign({}, message.settings, { mode: "all", questionSeconds: 0, totalMinutes: 0, match: "room" }) });
+    setupForm.classList.add("hidden");
+    hideSourceNotice();
+    roomMessage.textContent = t("room.joined", { code: message.code, name: message.name });
+    view.setTranslatedText(leaveRoomButton, "room.leave");
+    roomLive.classList.remove("hidden");
+    document.getElementById("room-live-title").focus();
+}
+
+// List the players in the room on the host's screen.
+function renderRoomPlayers(players) {
+    roomPlayers.replaceChildren();
+    players.forEach((player) => {
+        const item = document.createElement("li");
+        item.textContent = player.connected ? player.name : t("room.disconnected", { name: player.name });
+        if (!player.connected) item.classList.add("disconnected");
+        roomPlayers.appendChild(item);
+    });
+    if (players.length === 0) {
+        const item = document.createElement("li");
+        item.textContent = t("room.noPlayers");
+        item.classList.add("disconnected");
+        roomPlayers.appendChild(item);
+    }
+}
+
+// Document what the showHostQuestion function does in this block comment.
+/**
+ * Shows the question just pushed to the players, with empty answer counts.
+ * @param {{ id: string, index: number, total: number }} question - The question as sent to the players.
+ */
+function showHostQuestion(question) {
+    state.room.question = state.game.questions.find((q) => q.id === question.id);
+    roomQuestionText.textContent = t("room.hostQuestion", { number: question.index + 1, total: question.total, text: state.room.question.text });
+    renderAnswerCounts({}, null);
+    roomQuestion.classList.remove("hidden");
+    roomCloseButton.disabled = false;
+    view.setTranslatedText(roomNextButton, question.index + 1 < question.total ? "room.nextQuestion" : "room.finishGame");
+    roomMessage.textContent = "";
+}
+
+// Document what the renderAnswerCounts function does in this block comment.
+/**
+ * Draws how many players picked each answer of the open question as a bar.
+ * @param {Object<string, number>} counts - Number of answers per option id.
+ * @param {?string} correctOptionId - The correct option, once the question has closed.
+ */
+function renderAnswerCounts(counts, correctOptionId) {
+    if (!state.room.question) return;
+    const total = Object.keys(counts).reduce((sum, id) => sum + counts[id], 0);
+    roomAnswerCounts.replaceChildren();
+    state.room.question.options.forEach((option) => {
+        const count = counts[option.id] || 0;
+        const item = document.createElement("li");
+        item.className = "answer-count";
+        if (option.id === correctOptionId) item.classList.add("correct");
+        item.style.setProperty("--share", `${total ? Math.round((count / total) * 100) : 0}%`);
+        item.textContent = `${option.text} — ${count}`;
+        roomAnswerCounts.appendChild(item);
+    });
+}
+
+// Document what the showRoomQuestion function does in this block comment.
+/**
+ * Shows a question pushed by the host on a player's device, with its countdown.
+ * @param {Object} question - The question from the server (without its answer).
+ */
+function showRoomQuestion(question) {
+    stopRoundTimers();
+    state.room.answered = false;
+    state.room.progress = "";
+    // A one-question game model lets the normal rendering and answer handling work on it.
+    store.setState({ game: room.createRoomGame(question) });
+    displayQuestions(state.game.questions);
+    turnBanner.textContent = t("room.playerBanner", { code: state.room.code, number: question.index + 1, total: question.total });
+    turnBanner.classList.remove("hidden");
+    // Answers go out as they are picked, so the name box and Finish button are not needed.
+    usernameInput.classList.add("hidden");
+    rememberRow.classList.add("hidden");
+    const submitButton = document.getElementById("submit-game");
+    submitButton.classList.add("hidden");
+    submitButton.disabled = true;
+    form.classList.remove("hidden");
+    showLoading(false);
+    roomMessage.textContent = t("room.pickAnswer");
+    // Count down the time the host allowed; the server closes the question when it runs out.
+    if (question.timeLimitMs > 0) {
+        quizStatus.classList.remove("hidden");
+        questionCountdown = timer.createCountdown(question.timeLimitMs, {
+            onTick: (ms) => view.renderTimer(questionTimerEl, "timer.question", ms),
+            onExpire: () => {
+                questionCountdown = null;
+                lockQuestion(state.game.questions[0]);
+            }
+        });
+        questionCountdown.start();
+    }
+}
+
+// Send a player's answer to the open question and stop it from changing.
+function sendRoomAnswer(questionId, optionId) {
+    state.room.connection.send({ type: "answer", questionId: questionId, optionId: optionId });
+    questionContainer.querySelectorAll('input[type="radio"]').forEach((input) => {
+        input.disabled = true;
+    });
+}
+
+// Document what the showRoomResult function does in this block comment.
+/**
+ * Reveals the answer to the question that just closed, on a player's device.
+ * @param {Object} result - The graded result, shaped like grader.gradeQuestion's.
+ */
+function showRoomResult(result) {
+    stopRoundTimers();
+    quizStatus.classList.add("hidden");
+    questionContainer.querySelectorAll('input[type="radio"]').forEach((input) => {
+        input.disabled = true;
+    });
+    view.revealAnswers(questionContainer, [result]);
+    roomMessage.textContent = t(result.isCorrect ? "room.correct" : result.selectedOptionId ? "room.incorrect" : "room.noAnswer");
+}
+
+// Document what the renderRoomLeaderboard function does in this block comment.
+/**
+ * Fills the live leaderboard; on a player's device their own row is outlined.
+ * @param {Object[]} standings - Standings from the server, best first.
+ */
+function renderRoomLeaderboard(standings) {
+    const tbody = document.querySelector("#room-table tbody");
+    tbody.innerHTML = "";
+    const me = state.room.role === "player" ? stats.normalizeName(state.room.name) : null;
+    standings.forEach((s) => {
+        const tr = document.createElement("tr");
+        if (s.rank === 1 && s.correct > 0) tr.classList.add("top");
+        if (me && stats.normalizeName(s.name) === me) tr.classList.add("me");
+        const name = s.connected ? s.name : t("room.disconnected", { name: s.name });
+        [String(s.rank), name, view.formatScore(s), timer.formatDuration(s.timeMs)].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    if (standings.length === 0) {
+        const tr = document.createElement("tr");
+        tr.className = "empty";
+        const td = document.createElement("td");
+        td.setAttribute("colspan", "4");
+        td.textContent = t("room.noPlayersYet");
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
+
+// Document what the finishRoom function does in this block comment.
+/**
+ * Shows the final standings and saves the results to the score table: the host saves
+ * every player's score tagged with the room code, a player saves their own.
+ * @param {{ standings: Object[], you: ?Object }} message - The finished message.
+ */
+function finishRoom(message) {
+    state.room.finished = true;
+    stopRoundTimers();
+    renderRoomLeaderboard(message.standings);
+    const winners = message.standings.filter((s) => s.rank === 1 && s.correct > 0).map((s) => s.name);
+    roomMessage.textContent = winners.length === 0 ? t("room.gameOver") : `${t("room.gameOver")} 🏆 ${describeWinners(winners)}`;
+    view.setTranslatedText(leaveRoomButton, "room.backToSetup");
+    document.getElementById("room-live-title").focus();
+    const roomCode = state.room.code;
+    if (state.room.role === "host") {
+        [roomNextButton, roomCloseButton, roomEndButton].forEach((button) => {
+            button.disabled = true;
+        });
+        // Save each player's result one after another, then refresh the scoreboard.
+        const settings = state.settings;
+        message.standings
+            .reduce((saving, s) => saving.then(() => saveScoreToStorage(s.name, s.correct, s.total, settings, {
+                roomCode: roomCode
+            })), Promise.resolve())
+            .then(displayScores);
+        return;
+    }
+    // A player's last question makes way for the final standings.
+    form.classList.add("hidden");
+    if (message.you && message.you.results.length > 0) {
+        const you = message.you;
+        saveScoreToStorage(you.name, you.results.filter((r) => r.isCorrect).length, you.results.length, state.room.settings, {
+            roomCode: roomCode,
+            durationMs: you.durationMs,
+            answerTimes: you.answerTimes,
+            breakdown: stats.buildBreakdown({ questions: you.questions }, { results: you.results })
+        }).then(displayScores);
+    }
+}
+
+// Stop playing in a room that closed or lost its connection, keeping the leaderboard on screen.
+function endRoom(message) {
+    state.room.finished = true;
+    stopRoundTimers();
+    form.classList.add("hidden");
+    [roomNextButton, roomCloseButton, roomEndButton].forEach((button) => {
+        button.disabled = true;
+    });
+    roomMessage.textContent = message;
+    view.setTranslatedText(leaveRoomButton, "room.backToSetup");
+    roomLive.classList.remove("hidden");
+}
+
+// Leave any live room and put the room views and single-player controls back.
+function resetRoom() {
+    if (state.room && state.room.connection) state.room.connection.close();
+    store.setState({ room: null });
+    roomHost.classList.add("hidden");
+    roomLive.classList.add("hidden");
+    roomQuestion.classList.add("hidden");
+    roomMessage.textContent = "";
+    document.querySelector("#room-table tbody").innerHTML = "";
+    document.getElementById("submit-game").classList.remove("hidden");
+    quizStatus.classList.add("hidden");
+}
+
+// Document what the saveRoundProgress function does in this block comment.
+/**
+ * Saves the round on screen (questions, option order, selections and clocks) so a reload can resume it.
+ * Does nothing when no round is in progress.
+ */
+function saveRoundProgress() {
+    // Match turns are not saved: a resumed turn could not rebuild the other players' results.
+    if (!state.roundInProgress || !state.game || state.match) return;
+    const now = Date.now();
+    // Copy the timing maps and add the live figures for the question on screen, without banking them.
+    const timeSpent = Object.assign({}, state.game.timeSpent);
+    const questionRemaining = Object.assign({}, state.game.questionRemaining);
+    if (questionShownTs) {
+        const question = state.game.questions[state.game.currentIndex];
+        timeSpent[question.id] = (timeSpent[question.id] || 0) + (now - questionShownTs);
+        if (questionCountdown) questionRemaining[question.id] = questionCountdown.getRemaining();
+    }
+    // Wall-clock times become durations so the clocks pause while the page is closed.
+    const model = Object.assign({}, state.game, { timeSpent: timeSpent, questionRemaining: questionRemaining });
+    delete model.startedTs;
+    delete model.lastAnswerTs;
+    savedGame.save({
+        settings: state.settings,
+        game: model,
+        selections: getSelections(),
+        elapsedMs: now - state.game.startedTs,
+        sinceLastAnswerMs: now - state.game.lastAnswerTs,
+        totalRemainingMs: totalCountdown ? totalCountdown.getRemaining() : null
+    });
+}
+
+// Show the resume prompt instead of the setup step when an unfinished round is saved.
+function offerSavedGame() {
+    const snapshot = savedGame.load();
+    if (!snapshot) return;
+    // Describe the round so the player knows which game this is.
+    const total = snapshot.game.questions.length;
+    const answered = Object.keys(snapshot.selections).length;
+    resumeDetails.textContent = t("resume.details", {
+        date: i18n.formatDateTime(snapshot.savedTs),
+        answered: answered,
+        count: total
+    });
+    setupForm.classList.add("hidden");
+    resumePrompt.classList.remove("hidden");
+    document.getElementById("resume-game").focus();
+}
+
+// Hide the resume prompt.
+function hideResumePrompt() {
+    resumePrompt.classList.add("hidden");
+    resumeDetails.textContent = "";
+}
+
+// Discard the saved round and go to the setup step.
+function discardSavedGame() {
+    savedGame.clear();
+    hideResumePrompt();
+    setupForm.classList.remove("hidden");
+    sourceSelect.focus();
+}
+
+// Document what the resumeSavedGame function does in this block comment.
+/**
+ * Rebuilds the saved round: same questions and option order, selections, locks, position and clocks.
+ */
+function resumeSavedGame() {
+    const snapshot = savedGame.load();
+    hideResumePrompt();
+    // The snapshot may have been removed in another tab.
+    if (!snapshot) {
+        setupForm.classList.remove("hidden");
+        return;
+    }
+    // Restore the settings and game model, turning the saved durations back into times.
+    const now = Date.now();
+    store.setState({
+        settings: snapshot.settings,
+        game: Object.assign({}, snapshot.game, {
+            startedTs: now - snapshot.elapsedMs,
+            lastAnswerTs: now - (snapshot.sinceLastAnswerMs || 0)
+        })
+    });
+    // Show the game form with the same questions.
+    setupForm.classList.add("hidden");
+    form.classList.remove("hidden");
+    hideError();
+    hideSourceNotice();
+    displayQuestions(state.game.questions);
+    // Re-check the saved selections.
+    Object.keys(snapshot.selections).forEach((questionId) => {
+        const block = questionContainer.querySelector(`[data-question-id="${questionId}"]`);
+        const input = block && block.querySelector(`input[value="${snapshot.selections[questionId]}"]`);
+        if (input) input.checked = true;
+    });
+    // Re-apply the locks from questions whose time ran out.
+    state.game.questions.forEach((question) => {
+        if (state.game.locked[question.id]) view.renderLock(questionContainer, question);
+    });
+    showLoading(false);
+    document.getElementById("submit-game").disabled = false;
+    // Carry on with the clocks where they stopped (a round already out of time replaces this notice).
+    showSourceNotice(t("resume.resumed"));
+    startRound(typeof snapshot.totalRemainingMs === "number" ? snapshot.totalRemainingMs : undefined);
+}
+
+// Document what the renderReview function does in this block comment.
+/**
+ * Fills the answer review: each question with the player's answer, the correct answer
+ * and any explanation, plus a line about what changed in the mistakes deck.
+ * @param {Object[]} results - Graded results from grader.gradeGame.
+ * @param {{ added: number, promoted: number, graduated: number }} mistakeChanges - The result of mistakes.recordRound.
+ */
+function renderReview(results, mistakeChanges) {
+    reviewList.innerHTML = "";
+    // Results are in question order, so they line up with the game's questions.
+    state.game.questions.forEach((question, i) => {
+        const result = results[i];
+        // Look up the option texts for the chosen and correct answers.
+        const textOf = (optionId) => {
+            const option = question.options.find((o) => o.id === optionId);
+            return option ? option.text : "";
+        };
+        const item = document.createElement("li");
+        item.className = `review-item ${result.isCorrect ? "correct" : "incorrect"}`;
+        // The question itself.
+        const questionText = document.createElement("p");
+        questionText.className = "review-question";
+        questionText.textContent = question.text;
+        item.appendChild(questionText);
+        // The player's answer, or why there was none.
+        const yours = document.createElement("p");
+        yours.textContent = result.selectedOptionId
+            ? `${t("review.yourAnswer", { answer: textOf(result.selectedOptionId) })} ${result.isCorrect ? "✓" : "✗"}`
+            : `${t(state.game.locked[question.id] === "timeout" ? "review.noAnswerTimeout" : "review.noAnswer")} ✗`;
+        item.appendChild(yours);
+        // The correct answer, when the player missed it.
+        if (!result.isCorrect) {
+            const correct = document.createElement("p");
+            correct.textContent = t("review.correctAnswer", { answer: textOf(result.correctOptionId) });
+            item.appendChild(correct);
         }
+        // The explanation, when the question has one.
+        if (question.raw.explanation) {
+            const explanation = document.createElement("p");
+            explanation.className = "review-explanation";
+            explanation.textContent = question.raw.explanation;
+            item.appendChild(explanation);
+        }
+        reviewList.appendChild(item);
+    });
+
+    // Describe what happened to the mistakes deck.
+    const changes = [];
+    if (mistakeChanges.added > 0) changes.push(t("review.mistakesAdded", { count: mistakeChanges.added }));
+    if (mistakeChanges.promoted > 0) changes.push(t("review.mistakesPromoted", { count: mistakeChanges.promoted }));
+    if (mistakeChanges.graduated > 0) changes.push(t("review.mistakesGraduated", { count: mistakeChanges.graduated }));
+    reviewMistakes.textContent = changes.join(" ");
+    reviewMistakes.classList.toggle("hidden", changes.length === 0);
+    reviewScreen.classList.remove("hidden");
+}
+
+// Show the mistakes deck size in the source select and the storage settings.
+function updateMistakesSummary() {
+    const summary = mistakes.getSummary();
+    // Put the number due next to the source option.
+    sourceSelect.querySelector('option[value="mistakes"]').textContent = t("source.mistakes", { count: summary.due });
+    // Describe the deck in the storage settings.
+    mistakesInfo.textContent = summary.total === 0
+        ? t("mistakes.empty")
+        : t("mistakes.summary", { count: summary.total, due: summary.due });
+    clearMistakesButton.disabled = summary.total === 0;
+}
+
+// Document what the updateDailySummary function does in this block comment.
+/**
+ * Labels the daily challenge option with today's status, and describes the challenge
+ * and the streak while it is the chosen source.
+ */
+function updateDailySummary() {
+    const attempt = daily.getAttempt(daily.getDateKey());
+    const streak = daily.getStreak();
+    sourceSelect.querySelector('option[value="daily"]').textContent = t(attempt ? "source.dailyPlayed" : "source.dailyNew");
+    const today = attempt
+        ? typeof attempt.finishedTs === "number"
+            ? t("daily.played", { correct: attempt.correct, total: attempt.total })
+            : t("daily.started")
+        : t("daily.about", { count: daily.DAILY_SIZE });
+    dailyInfo.textContent = `${today} ${t("daily.streak", { count: streak.current, best: streak.best })}`;
+    dailyInfo.classList.toggle("hidden", sourceSelect.value !== "daily");
+}
+
+// Document what the showDailyResult function does in this block comment.
+/**
+ * Records the finished daily challenge and shows the streak and the copyable emoji grid.
+ * @param {{ correct: number, total: number, results: Object[] }} grade - The round's graded result.
+ */
+function showDailyResult(grade) {
+    const dateKey = state.settings.dailyDate;
+    const attempt = daily.recordResult(dateKey, grade);
+    const streak = daily.getStreak();
+    dailyStreak.textContent = `🔥 ${t("daily.streak", { count: streak.current, best: streak.best })}`;
+    dailyShare.textContent = daily.buildShareText(dateKey, attempt, streak);
+    copyStatus.textContent = "";
+    dailyResult.classList.remove("hidden");
+}
+
+// Copy the daily challenge result to the clipboard, selecting it for a manual copy when that is not allowed.
+function copyDailyResult() {
+    const text = dailyShare.textContent;
+    const copying = navigator.clipboard && navigator.clipboard.writeText
+        ? navigator.clipboard.writeText(text)
+        : Promise.reject(new Error("Clipboard not available"));
+    copying
+        .then(() => {
+            copyStatus.textContent = t("daily.copied");
+        })
+        .catch(() => {
+            // Select the text so Ctrl+C / Cmd+C copies it.
+            const range = document.createRange();
+            range.selectNodeContents(dailyShare);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            copyStatus.textContent = t("daily.copyManually");
+        });
+}
+
+// Empty the mistakes deck, after confirmation.
+function clearMistakes() {
+    // Confirm the destructive action with the user.
+    if (!window.confirm(t("mistakes.confirmClear"))) return;
+    mistakes.clear();
+    updateMistakesSummary();
+}
 
-        // We do have data: enable the Clear button.
-        clearScoresButton.disabled = false;
-
-        // Sort the scores according to the chosen preference.
-        if (pref === "newest") {
-            scores.sort((a, b) => (b.ts || 0) - (a.ts || 0));
-        } else if (pref === "oldest") {
-            scores.sort((a, b) => (a.ts || 0) - (b.ts || 0));
-        } else if (pref === "highest") {
-            scores.sort((a, b) => {
-                const ra = a.total ? a.correct / a.total : 0;
-                const rb = b.total ? b.correct / b.total : 0;
-                if (rb !== ra) return rb - ra;
-                return (b.ts || 0) - (a.ts || 0);
-            });
-        } else if (pref === "lowest") {
-            scores.sort((a, b) => {
-                const ra = a.total ? a.correct / a.total : 0;
-                const rb = b.total ? b.correct / b.total : 0;
-                if (ra !== rb) return ra - rb;
-                return (a.ts || 0) - (b.ts || 0);
-            });
+// Document what the updateDeckOptions function does in this block comment.
+/**
+ * Lists the saved custom decks in the setup step's deck picker and the editor's deck select,
+ * keeping the current choices, and shows the deck picker only when "My decks" is the source.
+ */
+function updateDeckOptions() {
+    const savedDecks = decks.getDecks();
+    // The setup picker offers saved decks only.
+    const chosen = deckSelect.value;
+    deckSelect.innerHTML = "";
+    savedDecks.forEach((deck) => {
+        const option = document.createElement("option");
+        option.value = deck.id;
+        option.textContent = t("decks.option", { name: deck.name, count: deck.questions.length });
+        deckSelect.appendChild(option);
+    });
+    if (savedDecks.length === 0) {
+        const option = document.createElement("option");
+        option.value = "";
+        option.disabled = true;
+        option.textContent = t("decks.none");
+        deckSelect.appendChild(option);
+    }
+    if (savedDecks.some((deck) => deck.id === chosen)) deckSelect.value = chosen;
+    deckRow.classList.toggle("hidden", sourceSelect.value !== "deck");
+    // The editor select also has an entry for a deck that has not been saved yet.
+    deckEditorSelect.innerHTML = "";
+    const newOption = document.createElement("option");
+    newOption.value = "";
+    newOption.textContent = t("decks.unsaved");
+    deckEditorSelect.appendChild(newOption);
+    savedDecks.forEach((deck) => {
+        const option = document.createElement("option");
+        option.value = deck.id;
+        option.textContent = deck.name;
+        deckEditorSelect.appendChild(option);
+    });
+    deckEditorSelect.value = editingDeck && savedDecks.some((deck) => deck.id === editingDeck.id) ? editingDeck.id : "";
+}
+
+// Document what the openDeckInEditor function does in this block comment.
+/**
+ * Shows a deck in the deck editor, one fieldset per question.
+ * @param {Object} deck - A saved deck, or a new one from decks.createDeck.
+ */
+function openDeckInEditor(deck) {
+    editingDeck = deck;
+    deckNameInput.value = deck.name;
+    deckQuestionList.innerHTML = "";
+    deck.questions.forEach(addDeckQuestionItem);
+    renumberDeckQuestions();
+    deckError.classList.add("hidden");
+    deckStatus.textContent = "";
+    // Only a saved deck can be deleted or exported.
+    const saved = !!decks.getDeck(deck.id);
+    document.getElementById("delete-deck").disabled = !saved;
+    document.getElementById("export-deck").disabled = !saved;
+    updateDeckOptions();
+}
+
+// Build one labelled text input for the deck editor (the label is set later when labelKey is null).
+function createDeckField(labelKey, className, value) {
+    const row = document.createElement("div");
+    row.className = "setup-row";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.id = `deck-field-${++deckFieldCount}`;
+    input.className = className;
+    input.value = value || "";
+    const label = document.createElement("label");
+    label.htmlFor = input.id;
+    if (labelKey) view.setTranslatedText(label, labelKey);
+    row.appendChild(label);
+    row.appendChild(input);
+    return row;
+}
+
+// Document what the addDeckQuestionItem function does in this block comment.
+/**
+ * Adds a question to the end of the deck editor: its text, correct answer, incorrect answers,
+ * category and difficulty, with buttons that move it up or down or remove it.
+ * Call renumberDeckQuestions afterwards to label it.
+ * @param {Object} question - A deck question (see decks.createQuestion).
+ * @returns {HTMLLIElement} The new list item.
+ */
+function addDeckQuestionItem(question) {
+    const item = document.createElement("li");
+    item.dataset.questionId = question.id;
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "deck-question";
+    fieldset.appendChild(document.createElement("legend"));
+    fieldset.appendChild(createDeckField("decks.questionText", "deck-q-text", question.question));
+    fieldset.appendChild(createDeckField("decks.correct", "deck-q-correct", question.correct_answer));
+    // Blank incorrect answers are ignored when the deck is saved.
+    for (let i = 0; i < decks.MAX_INCORRECT; i++) {
+        fieldset.appendChild(createDeckField(null, "deck-q-incorrect", question.incorrect_answers[i]));
+    }
+    fieldset.appendChild(createDeckField("decks.category", "deck-q-category", question.category));
+    // Offer the difficulties in a select.
+    const difficultyRow = document.createElement("div");
+    difficultyRow.className = "setup-row";
+    const difficulty = document.createElement("select");
+    difficulty.id = `deck-field-${++deckFieldCount}`;
+    difficulty.className = "deck-q-difficulty";
+    decks.DIFFICULTIES.forEach((level) => {
+        const option = document.createElement("option");
+        option.value = level;
+        view.setTranslatedText(option, `difficulty.${level}`);
+        difficulty.appendChild(option);
+    });
+    difficulty.value = question.difficulty;
+    const difficultyLabel = document.createElement("label");
+    difficultyLabel.htmlFor = difficulty.id;
+    view.setTranslatedText(difficultyLabel, "decks.difficulty");
+    difficultyRow.appendChild(difficultyLabel);
+    difficultyRow.appendChild(difficulty);
+    fieldset.appendChild(difficultyRow);
+    // Buttons that reorder or remove the question.
+    const actions = document.createElement("div");
+    actions.className = "deck-question-actions";
+    [["up", "decks.moveUp"], ["down", "decks.moveDown"], ["remove", "decks.remove"]].forEach((pair) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.dataset.action = pair[0];
+        view.setTranslatedText(button, pair[1]);
+        actions.appendChild(button);
+    });
+    fieldset.appendChild(actions);
+    // Problems found when saving are shown under the question.
+    const error = document.createElement("p");
+    error.className = "field-error hidden";
+    error.id = `deck-field-${++deckFieldCount}`;
+    fieldset.appendChild(error);
+    item.appendChild(fieldset);
+    deckQuestionList.appendChild(item);
+    return item;
+}
+
+// Number the questions in the editor and enable only the moves that lead somewhere.
+function renumberDeckQuestions() {
+    const items = Array.from(deckQuestionList.children);
+    items.forEach((item, i) => {
+        item.querySelector("legend").textContent = t("decks.questionLegend", { number: i + 1 });
+        item.querySelectorAll(".deck-q-incorrect").forEach((input, j) => {
+            input.labels[0].textContent = t("decks.incorrect", { number: j + 1 });
+        });
+        item.querySelector('[data-action="up"]').disabled = i === 0;
+        item.querySelector('[data-action="down"]').disabled = i === items.length - 1;
+    });
+    addDeckQuestionButton.disabled = items.length >= decks.MAX_QUESTIONS;
+}
+
+// Move or remove a question when one of its buttons is pressed.
+function handleDeckQuestionAction(event) {
+    const button = event.target.closest("button[data-action]");
+    if (!button) return;
+    const item = button.closest("li");
+    const action = button.dataset.action;
+    if (action === "remove") {
+        // Keep focus nearby: on the next question, or the Add question button.
+        const next = item.nextElementSibling || item.previousElementSibling;
+        item.remove();
+        renumberDeckQuestions();
+        (next ? next.querySelector("input") : addDeckQuestionButton).focus();
+        return;
+    }
+    if (action === "up" && item.previousElementSibling) {
+        deckQuestionList.insertBefore(item, item.previousElementSibling);
+    } else if (action === "down" && item.nextElementSibling) {
+        deckQuestionList.insertBefore(item.nextElementSibling, item);
+    }
+    renumberDeckQuestions();
+    // Keep focus on the pressed button, unless the move just disabled it.
+    (button.disabled ? item.querySelector("[data-action]:not(:disabled)") : button).focus();
+    announce(t("decks.moved", { number: Array.from(deckQuestionList.children).indexOf(item) + 1 }));
+}
+
+// Read the deck editor back into a deck object.
+function readDeckEditor() {
+    return {
+        id: editingDeck.id,
+        name: deckNameInput.value,
+        questions: Array.from(deckQuestionList.children).map((item) => ({
+            id: item.dataset.questionId,
+            question: item.querySelector(".deck-q-text").value,
+            correct_answer: item.querySelector(".deck-q-correct").value,
+            incorrect_answers: Array.from(item.querySelectorAll(".deck-q-incorrect")).map((input) => input.value),
+            category: item.querySelector(".deck-q-category").value,
+            difficulty: item.querySelector(".deck-q-difficulty").value
+        }))
+    };
+}
+
+// Document what the saveEditedDeck function does in this block comment.
+/**
+ * Validates and saves the deck in the editor. Problems are shown next to the questions they
+ * belong to (or above the Save button for the deck as a whole), and focus moves to the first one.
+ */
+function saveEditedDeck() {
+    const result = decks.saveDeck(readDeckEditor());
+    const fieldsets = Array.from(deckQuestionList.querySelectorAll("fieldset"));
+    // Group the problems by question.
+    const byQuestion = fieldsets.map(() => []);
+    const deckProblems = [];
+    result.problems.forEach((problem) => {
+        if (problem.question === null) {
+            deckProblems.push(problem.message);
+        } else {
+            byQuestion[problem.question].push(problem.message);
         }
+    });
+    fieldsets.forEach((fieldset, i) => view.setQuestionError(fieldset, byQuestion[i].join(" ")));
+    deckError.textContent = deckProblems.join(" ");
+    deckError.classList.toggle("hidden", deckProblems.length === 0);
+    if (!result.deck) {
+        deckStatus.textContent = t("decks.notSaved", { count: result.problems.length });
+        // Take the player to the first problem.
+        const firstInvalid = fieldsets.find((fieldset) => fieldset.classList.contains("invalid"));
+        (deckProblems.length > 0 || !firstInvalid ? deckNameInput : firstInvalid.querySelector("input")).focus();
+        return;
+    }
+    editingDeck = result.deck;
+    document.getElementById("delete-deck").disabled = false;
+    document.getElementById("export-deck").disabled = false;
+    updateDeckOptions();
+    deckStatus.textContent = t("decks.saved", { name: result.deck.name, count: result.deck.questions.length });
+}
 
-        // Compute the top percentage across all scores for highlighting.
-        let topPercent = scores.reduce((best, s) => {
-            const pct = Math.round((s.total ? (s.correct / s.total) : 0) * 100);
-            return pct > best ? pct : best;
-        }, 0);
-        // Track how many rows reach that top percentage.
-        let topCount = 0;
-
-        // Create and append a table row for each saved record.
-        scores.forEach(function (s) {
-            // Create a table row element for this saved record.
-            const tr = document.createElement("tr");
-            // Compute this record’s integer percentage for highlighting.
-            const pct = Math.round(((s.total ? s.correct / s.total : 0) * 100));
-            // If this record matches the top percentage, mark it and bump the count.
-            if (pct === topPercent) {
-                tr.classList.add("top");
-                topCount++;
-            }
-            // Create and fill cells for name, score, and date.
-            const tdName = document.createElement("td");
-            tdName.textContent = s.name;
-            const tdScore = document.createElement("td");
-            tdScore.textContent = s.correct + "/" + s.total;
-            const tdDate = document.createElement("td");
-            tdDate.textContent = typeof s.ts === "number" ? new Date(s.ts).toLocaleString() : "—";
-            // Append the cells and row to the table.
-            tr.appendChild(tdName);
-            tr.appendChild(tdScore);
-            tr.appendChild(tdDate);
-            tbody.appendChild(tr);
+// Ask for confirmation and delete the deck in the editor, then open the next one.
+function deleteEditedDeck() {
+    if (!decks.getDeck(editingDeck.id)) return;
+    const name = editingDeck.name;
+    if (!window.confirm(t("decks.confirmDelete", { name: name }))) return;
+    decks.deleteDeck(editingDeck.id);
+    openDeckInEditor(decks.getDecks()[0] || decks.createDeck());
+    deckStatus.textContent = t("decks.deleted", { name: name });
+}
+
+// Download the saved copy of the deck in the editor as OpenTDB JSON.
+function exportEditedDeck() {
+    const deck = decks.getDeck(editingDeck.id);
+    if (!deck) return;
+    // Name the file after the deck, e.g. trivia-deck-world-capitals.json.
+    const slug = deck.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "deck";
+    view.downloadFile(decks.exportDeck(deck), "application/json", `trivia-deck-${slug}.json`);
+    deckStatus.textContent = t("decks.exported", { name: deck.name });
+}
+
+// Document what the startRound function does in this block comment.
+/**
+ * Starts the progress display, navigation and timers for the loaded game.
+ * Sequential mode shows one question at a time; the total time limit applies to both modes.
+ * @param {number} [totalRemainingMs] - Time left on the whole-game limit when resuming a saved round.
+ */
+function startRound(totalRemainingMs) {
+    // Decide how the questions are presented.
+    const sequential = state.settings.mode === "sequential";
+    // Progress is saved from now until the round is submitted.
+    store.setState({ roundInProgress: true });
+    // Show the progress row, and the Previous/Next buttons only in sequential mode.
+    quizStatus.classList.remove("hidden");
+    quizNav.classList.toggle("hidden", !sequential);
+    keyboardHint.classList.remove("hidden");
+    // A resumed round may already be out of time.
+    if (state.game.timeUp) {
+        handleTotalTimeUp();
+        return;
+    }
+    // Start the whole-game countdown when a limit was chosen.
+    if (state.settings.totalMinutes > 0) {
+        const limitMs = typeof totalRemainingMs === "number" ? totalRemainingMs : state.settings.totalMinutes * 60000;
+        totalCountdown = timer.createCountdown(limitMs, {
+            onTick: (ms) => view.renderTimer(totalTimerEl, "timer.total", ms),
+            onExpire: handleTotalTimeUp
         });
+        totalCountdown.start();
+    }
+    // Show the current question in sequential mode (the first, unless resuming), or just the progress otherwise.
+    if (sequential) {
+        showQuestion(state.game.currentIndex);
+    } else {
+        updateProgress();
+    }
+    // Save the starting point so a reload can come back to it.
+    saveRoundProgress();
+}
+
+// Document what the showQuestion function does in this block comment.
+/**
+ * Shows one question in sequential mode and starts its countdown.
+ * @param {number} index - Index of the question to show.
+ */
+function showQuestion(index) {
+    // Bank the time spent on the question we are leaving.
+    leaveCurrentQuestion();
+    // Move the game to the new position.
+    state.game.currentIndex = index;
+    // Hide every block except the chosen one.
+    questionContainer.querySelectorAll("[data-question-id]").forEach((block, i) => {
+        block.classList.toggle("hidden", i !== index);
+    });
+    // Start measuring time on the new question.
+    questionShownTs = Date.now();
+    // Disable navigation past either end.
+    prevButton.disabled = index === 0;
+    nextButton.disabled = index === state.game.questions.length - 1;
+    // Refresh the progress bar, say which question is on screen and start its countdown.
+    updateProgress();
+    announce(t("announce.question", { number: index + 1, total: state.game.questions.length }));
+    startQuestionCountdown(state.game.questions[index]);
+    // Remember which question is on screen.
+    saveRoundProgress();
+}
 
-        // Build the top-score summary and reveal it.
-        const label = topCount === 1 ? "player" : "players";
-        const summary = "🏆 Top score: " + topPercent + "% (" + topCount + " " + label + ")";
-        topScoreBox.textContent = summary;
-        topScoreBox.classList.remove("hidden");
-    }
-
-    // Prefill the username from localStorage and sync privacy controls.
-    function checkUsername() {
-        // Read any saved name for the current user from localStorage.
-        const stored = localStorage.getItem("triviaCurrentUser");
-        // If a stored value exists, place it into the input and reflect consent.
-        if (stored) {
-            usernameInput.value = stored;
-            rememberCheckbox.checked = true;
-            forgetButton.classList.remove("hidden");
+// Bank time spent on the question on screen and pause its countdown.
+function leaveCurrentQuestion() {
+    // Nothing to do when no sequential question is on screen.
+    if (!questionShownTs) return;
+    // Add the time since it appeared to its running total.
+    const question = state.game.questions[state.game.currentIndex];
+    state.game.timeSpent[question.id] = (state.game.timeSpent[question.id] || 0) + (Date.now() - questionShownTs);
+    questionShownTs = 0;
+    // Pause its countdown, keeping what is left for when the player comes back.
+    if (questionCountdown) {
+        questionCountdown.pause();
+        state.game.questionRemaining[question.id] = questionCountdown.getRemaining();
+        questionCountdown = null;
+    }
+    // Hide the per-question timer until the next question starts one.
+    questionTimerEl.classList.add("hidden");
+}
+
+// Start (or resume) the per-question countdown for a question, if one applies.
+function startQuestionCountdown(question) {
+    // Skip when there is no per-question limit or the question is already locked.
+    if (!state.settings.questionSeconds || state.game.locked[question.id]) return;
+    // Resume from the time left last visit, or start from the full limit.
+    const remaining = question.id in state.game.questionRemaining
+        ? state.game.questionRemaining[question.id]
+        : state.settings.questionSeconds * 1000;
+    // Create and start the countdown.
+    questionCountdown = timer.createCountdown(remaining, {
+        onTick: (ms) => view.renderTimer(questionTimerEl, "timer.question", ms),
+        onExpire: () => handleQuestionTimeUp(question)
+    });
+    questionCountdown.start();
+}
+
+// Document what the handleQuestionTimeUp function does in this block comment.
+/**
+ * Locks a question whose countdown ran out and moves on to the next open question.
+ * An unanswered locked question is graded as wrong.
+ * @param {Object} question - The question model whose time ran out.
+ */
+function handleQuestionTimeUp(question) {
+    // The countdown is finished; nothing is left to resume.
+    questionCountdown = null;
+    state.game.questionRemaining[question.id] = 0;
+    // Lock the question so its answer can no longer change, and say so.
+    lockQuestion(question);
+    announce(t("announce.timeUp", { number: state.game.currentIndex + 1 }));
+    // Move to the next question that can still be answered, if any.
+    const next = findOpenQuestion(state.game.currentIndex);
+    if (next !== -1) {
+        showQuestion(next);
+    } else {
+        updateProgress();
+        saveRoundProgress();
+    }
+}
+
+// Find the next unlocked question after `fromIndex`, wrapping around; -1 when none is left.
+function findOpenQuestion(fromIndex) {
+    const total = state.game.questions.length;
+    for (let step = 1; step < total; step++) {
+        const i = (fromIndex + step) % total;
+        if (!state.game.locked[state.game.questions[i].id]) return i;
+    }
+    return -1;
+}
+
+// Document what the lockQuestion function does in this block comment.
+/**
+ * Locks a question after its time ran out: disables its radios and explains the result.
+ * @param {Object} question - The question model to lock.
+ */
+function lockQuestion(question) {
+    // Skip questions that are already locked.
+    if (state.game.locked[question.id]) return;
+    // Record the lock in the game model.
+    state.game.locked[question.id] = "timeout";
+    // Show the lock on the page.
+    view.renderLock(questionContainer, question);
+}
+
+// Document what the handleTotalTimeUp function does in this block comment.
+/**
+ * Ends the round when the whole-game time limit runs out.
+ * Every question is locked; the round is submitted straight away when a name is entered.
+ */
+function handleTotalTimeUp() {
+    // Mark the game as out of time so submitting skips the "answer everything" check.
+    state.game.timeUp = true;
+    // Stop the per-question countdown and bank the time on screen.
+    leaveCurrentQuestion();
+    // Lock every question that is still open.
+    state.game.questions.forEach(lockQuestion);
+    updateProgress();
+    saveRoundProgress();
+    // Finish right away when we know who is playing; otherwise ask for the name.
+    if (state.match || (usernameInput.value || "").trim()) {
+        form.requestSubmit();
+    } else {
+        showSourceNotice(t("game.timeUpEnterName"));
+        usernameInput.focus();
+    }
+}
+
+// Stop both countdowns and hide their badges.
+function stopRoundTimers() {
+    // Bank the time on the question on screen, if any.
+    if (state.game) leaveCurrentQuestion();
+    // Stop the whole-game countdown.
+    if (totalCountdown) totalCountdown.stop();
+    totalCountdown = null;
+    // Stop the per-question countdown.
+    if (questionCountdown) questionCountdown.stop();
+    questionCountdown = null;
+    // Hide both badges.
+    questionTimerEl.classList.add("hidden");
+    totalTimerEl.classList.add("hidden");
+}
+
+// Refresh the progress label and bar for the current mode.
+function updateProgress() {
+    // Count the questions that have an answer.
+    const total = state.game.questions.length;
+    const answered = questionContainer.querySelectorAll('input[type="radio"]:checked').length;
+    progressBar.max = total;
+    if (state.settings.mode === "sequential") {
+        // Sequential mode shows the position in the round.
+        progressBar.value = state.game.currentIndex + 1;
+        progressLabel.textContent = t("progress.sequential", { number: state.game.currentIndex + 1, total: total, answered: answered });
+    } else {
+        // All-at-once mode shows how many questions are answered.
+        progressBar.value = answered;
+        progressLabel.textContent = t("progress.all", { answered: answered, total: total });
+    }
+}
+
+// Document what the handleAnswerChange function does in this block comment.
+/**
+ * Records how long an answer took and refreshes the progress display.
+ * Sequential mode counts only the time the question was on screen; all-at-once mode
+ * counts from the previous answer (or the start of the round). Only the first pick
+ * counts, so changing an answer later cannot shorten its time for the speed bonus.
+ * @param {Event} event - The change event from a radio in the question container.
+ */
+function handleAnswerChange(event) {
+    // Only radios inside question blocks matter.
+    const block = event.target.closest("[data-question-id]");
+    if (!block || event.target.type !== "radio" || !state.game) return;
+    // Clear the "unanswered" message now that it has an answer.
+    view.setQuestionError(block, "");
+    // In a live room the first pick is the answer: send it and lock the question.
+    if (state.room) {
+        sendRoomAnswer(block.dataset.questionId, event.target.value);
+        return;
+    }
+    // Work out the time to this question's first answer.
+    const questionId = block.dataset.questionId;
+    const now = Date.now();
+    if (!(questionId in state.game.answerTimes)) {
+        state.game.answerTimes[questionId] = questionShownTs
+            ? (state.game.timeSpent[questionId] || 0) + (now - questionShownTs)
+            : now - state.game.lastAnswerTs;
+        state.game.lastAnswerTs = now;
+    }
+    // Refresh the progress bar, confirm the answer and save it.
+    updateProgress();
+    announceAnswerProgress(block);
+    saveRoundProgress();
+}
+
+// Confirm a picked answer to screen reader users, and drop the form message once nothing is missing.
+function announceAnswerProgress(block) {
+    const blocks = Array.from(questionContainer.querySelectorAll("fieldset"));
+    const answered = questionContainer.querySelectorAll('input[type="radio"]:checked').length;
+    announce(t("announce.answered", { number: blocks.indexOf(block) + 1, answered: answered, total: blocks.length }));
+    if (!questionContainer.querySelector("fieldset.invalid")) hideFormError();
+}
+
+// Show the message next to the Finish button (it is an alert, so it is read out at once).
+function showFormError(message) {
+    formError.textContent = message;
+    formError.classList.remove("hidden");
+}
+
+// Hide the message next to the Finish button.
+function hideFormError() {
+    formError.textContent = "";
+    formError.classList.add("hidden");
+}
+
+// Clear every inline error on the game form.
+function clearFormErrors() {
+    questionContainer.querySelectorAll("fieldset").forEach((block) => view.setQuestionError(block, ""));
+    view.clearFieldError(usernameInput, usernameError);
+    hideFormError();
+}
+
+// Document what the announce function does in this block comment.
+/**
+ * Reads a message out through the hidden live region.
+ * Messages given in the same moment are read together, so a later one does not cut off an earlier one.
+ * @param {string} message - What to announce.
+ */
+function announce(message) {
+    pendingAnnouncements.push(message);
+    if (pendingAnnouncements.length > 1) return;
+    // Empty the region first so the same message twice in a row is still read out.
+    announcer.textContent = "";
+    setTimeout(() => {
+        announcer.textContent = pendingAnnouncements.join(" ");
+        pendingAnnouncements = [];
+    }, 100);
+}
+
+// Document what the handleShortcut function does in this block comment.
+/**
+ * Keyboard shortcuts while answering: 1–9 pick that answer in the current question,
+ * N and P go to the next or previous question, and Enter finishes the round.
+ * Keys are left alone while typing in a text box or when a modifier key is held.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleShortcut(event) {
+    // Only while questions can be answered: a normal round, or a question in a live room.
+    const answering = state.game && !form.classList.contains("hidden") &&
+        (state.roundInProgress || (state.room && state.room.role === "player"));
+    if (!answering || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    const target = event.target;
+    if (target.isContentEditable || target.tagName === "TEXTAREA" || target.tagName === "SELECT" ||
+        (target.tagName === "INPUT" && target.type !== "radio" && target.type !== "checkbox")) return;
+    const blocks = Array.from(questionContainer.querySelectorAll("fieldset"));
+    const block = currentShortcutBlock(blocks);
+    if (!block) return;
+    const key = event.key.toLowerCase();
+    if (/^[1-9]$/.test(key)) {
+        // Pick the answer with that number, unless the question is locked.
+        const input = block.querySelectorAll('input[type="radio"]')[Number(key) - 1];
+        if (!input || input.disabled) return;
+        event.preventDefault();
+        input.focus();
+        if (!input.checked) input.click();
+    } else if (key === "n" || key === "p") {
+        event.preventDefault();
+        moveShortcutFocus(blocks, blocks.indexOf(block) + (key === "n" ? 1 : -1));
+    } else if (key === "enter") {
+        // Buttons keep their own Enter behaviour.
+        if (target.tagName === "BUTTON") return;
+        event.preventDefault();
+        const submitButton = document.getElementById("submit-game");
+        if (!submitButton.disabled && !submitButton.classList.contains("hidden")) form.requestSubmit();
+    }
+}
+
+// The question shortcuts act on: the one on screen in sequential mode, otherwise the one holding focus or the first unanswered.
+function currentShortcutBlock(blocks) {
+    if (state.settings && state.settings.mode === "sequential" && !state.room) return blocks[state.game.currentIndex];
+    const focused = document.activeElement && document.activeElement.closest ? document.activeElement.closest("#question-container fieldset") : null;
+    return focused || blocks.find((block) => !block.querySelector('input[type="radio"]:checked')) || blocks[0];
+}
+
+// Move to another question: the Previous/Next buttons in sequential mode, focus otherwise.
+function moveShortcutFocus(blocks, index) {
+    if (index < 0 || index >= blocks.length) return;
+    if (state.settings && state.settings.mode === "sequential" && !state.room) {
+        (index > state.game.currentIndex ? nextButton : prevButton).click();
+        return;
+    }
+    // Focus the chosen answer (or the first one), which also reads out the question's legend.
+    const input = blocks[index].querySelector('input[type="radio"]:checked') || blocks[index].querySelector('input[type="radio"]');
+    if (input) input.focus();
+    blocks[index].scrollIntoView({ behavior: scrollBehavior(), block: "nearest" });
+}
+
+// Smooth scrolling, unless reduced motion is on.
+function scrollBehavior() {
+    return document.body.classList.contains("reduced-motion") ? "auto" : "smooth";
+}
+
+// Document what the applyDisplaySettings function does in this block comment.
+/**
+ * Applies the saved contrast and motion options to the page and the checkboxes.
+ * Without a saved choice, reduced motion follows the operating system setting.
+ */
+function applyDisplaySettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem("triviaDisplay")) || {};
+    } catch (e) {
+        console.error("Invalid display settings in storage:", e);
+    }
+    const prefersReducedMotion = typeof window.matchMedia === "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    highContrastCheckbox.checked = saved.highContrast === true;
+    reducedMotionCheckbox.checked = typeof saved.reducedMotion === "boolean" ? saved.reducedMotion : prefersReducedMotion;
+    document.body.classList.toggle("high-contrast", highContrastCheckbox.checked);
+    document.body.classList.toggle("reduced-motion", reducedMotionCheckbox.checked);
+}
+
+// Save the display options from the checkboxes and apply them.
+function saveDisplaySettings() {
+    localStorage.setItem("triviaDisplay", JSON.stringify({
+        highContrast: highContrastCheckbox.checked,
+        reducedMotion: reducedMotionCheckbox.checked
+    }));
+    applyDisplaySettings();
+}
+
+// Show whether the device is online in the connection indicator.
+function showConnectionStatus() {
+    const online = navigator.onLine !== false;
+    view.setTranslatedText(connectionStatus, online ? "connection.online" : "connection.offline");
+    connectionStatus.classList.toggle("online", online);
+    connectionStatus.classList.toggle("offline", !online);
+}
+
+// Document what the registerServiceWorker function does in this block comment.
+/**
+ * Registers sw.js, which caches the app and recent questions so the game installs and plays offline.
+ * Service workers need the page to come from a server (npm start), not a file.
+ */
+function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || (location.protocol !== "http:" && location.protocol !== "https:")) return;
+    navigator.serviceWorker.register("sw.js").catch((error) => {
+        // The game still works online; it just cannot be installed or played offline.
+        console.warn("Could not register the service worker:", error);
+    });
+}
+
+// Offer every language with a catalog in the picker, with the current one selected.
+function fillLanguageOptions() {
+    languageSelect.innerHTML = "";
+    i18n.getLanguages().forEach((language) => {
+        const option = document.createElement("option");
+        option.value = language.code;
+        option.textContent = language.name;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = i18n.getLanguage();
+}
+
+// Document what the changeLanguage function does in this block comment.
+/**
+ * Switches to the language chosen in the picker: translates the static text and
+ * re-renders the parts of the page the script fills in.
+ * Messages already shown (notices, errors) stay in the language they were shown in.
+ */
+function changeLanguage() {
+    if (!i18n.setLanguage(languageSelect.value)) return;
+    i18n.translatePage();
+    updateMatchPlayerControls();
+    updateMistakesSummary();
+    updateDailySummary();
+    applyRetentionSettings();
+    displayScores();
+    updateDeckOptions();
+    renumberDeckQuestions();
+    // Relabel the round's progress while one is being played.
+    if (state.game && !quizStatus.classList.contains("hidden")) updateProgress();
+}
+
+// Wire up form submit, new player, and clear scores buttons.
+form.addEventListener("submit", handleFormSubmit);
+newPlayerButton.addEventListener("click", newPlayer);
+clearScoresButton.addEventListener("click", clearScores);
+// Wire up the storage settings buttons.
+document.getElementById("save-retention").addEventListener("click", saveRetentionSettings);
+discardQuarantineButton.addEventListener("click", discardQuarantine);
+// Wire up the resume prompt, and save the round's clocks when the page goes away.
+document.getElementById("resume-game").addEventListener("click", resumeSavedGame);
+document.getElementById("discard-saved-game").addEventListener("click", discardSavedGame);
+window.addEventListener("pagehide", saveRoundProgress);
+clearMistakesButton.addEventListener("click", clearMistakes);
+// Wire up score export and import.
+exportJsonButton.addEventListener("click", () => exportScores("json"));
+exportCsvButton.addEventListener("click", () => exportScores("csv"));
+importScoresInput.addEventListener("change", handleScoreImport);
+confirmImportButton.addEventListener("click", confirmScoreImport);
+document.getElementById("cancel-import").addEventListener("click", hideImportPreview);
+// Open a player's dashboard from a name in the score table, and wire up the dashboard controls.
+document.querySelector("#score-table tbody").addEventListener("click", handleScoreTableClick);
+dashboardPlayerSelect.addEventListener("change", () => renderPlayerDashboard(dashboardPlayerSelect.value));
+document.getElementById("close-dashboard").addEventListener("click", closePlayerDashboard);
+
+// Handle the form submission: validate, score, persist, and update UI.
+/**
+ * Handles the trivia form submission.
+ * @param {Event} event - The submit event.
+ */
+function handleFormSubmit(event) {
+    // Prevent normal form submission (page reload).
+    event.preventDefault();
+    // Live room answers are sent as they are picked, so there is nothing to submit.
+    if (state.room) return;
+
+    // Grab every question block so we can check if each is answered.
+    const blocks = questionContainer.querySelectorAll("fieldset");
+    // Track the first unanswered block to guide the user.
+    let firstUnanswered = null;
+    // Remember its index so sequential mode can navigate to it.
+    let firstUnansweredIndex = -1;
+    // Count the unanswered questions for the summary message.
+    let unansweredCount = 0;
+    // Check each block for a checked radio input.
+    blocks.forEach((_, i) => {
+        // Build a selector for the checked radio in this group.
+        const sel = `input[name="answer${i}"]:checked`;
+        // Find the selected input (if any).
+        const selected = document.querySelector(sel);
+        // Grab the block to toggle error styling.
+        const blockEl = blocks[i];
+        // Questions locked by a timer (or a finished clock) may stay unanswered.
+        const mayBeBlank = state.game.timeUp || !!state.game.locked[blockEl.dataset.questionId];
+        // If nothing is checked, show this block's error and remember it.
+        if (!selected && !mayBeBlank) {
+            view.setQuestionError(blockEl, t("game.chooseAnswer"));
+            unansweredCount++;
+            if (!firstUnanswered) {
+                firstUnanswered = blockEl;
+                firstUnansweredIndex = i;
+            }
         } else {
-            rememberCheckbox.checked = false;
-            forgetButton.classList.add("hidden");
+            // If answered, make sure any previous error is removed.
+            view.setQuestionError(blockEl, "");
         }
+    });
+
+    // If we found an unanswered question, help the user and abort submit.
+    if (firstUnanswered) {
+        // In sequential mode, bring the unanswered question on screen first.
+        if (state.settings.mode === "sequential") showQuestion(firstUnansweredIndex);
+        // Explain next to the Finish button how many questions are left.
+        showFormError(t("game.answerAll", { count: unansweredCount }));
+        // Focus the first radio in that block for convenience.
+        const firstRadio = firstUnanswered.querySelector('input[type="radio"]');
+        // Focus it if found.
+        if (firstRadio) firstRadio.focus();
+        // Scroll the block into view to make it obvious.
+        firstUnanswered.scrollIntoView({ behavior: scrollBehavior(), block: "center" });
+        // Stop here until all questions are answered.
+        return;
+    }
+    hideFormError();
+
+    // Read and trim the player’s name from the input (in a match, the player is known from the turn order).
+    const trimmed = state.match
+        ? match.getCurrentTurn(state.match).player.name
+        : (usernameInput.value || "").trim();
+    // Require a non-empty name before scoring.
+    if (!trimmed) {
+        // Ask the user to enter their name first, right under the name box.
+        view.showFieldError(usernameInput, usernameError, t("game.enterName"));
+        // Put focus back in the name box.
+        usernameInput.focus();
+        // Abort submission due to missing name.
+        return;
+    }
+
+    // The form is complete, so clear the name error.
+    view.clearFieldError(usernameInput, usernameError);
+    // Grade the selections against the in-memory game model.
+    const grade = grader.gradeGame(state.game, getSelections());
+    // The round is over: stop saving it and forget the saved copy.
+    store.setState({ roundInProgress: false });
+    savedGame.clear();
+    // Count how many questions we had on screen.
+    const totalQuestions = grade.total;
+    // Count the number of correct answers selected.
+    const correctSelections = grade.correct;
+
+    // Stop the clocks and measure how long the round took.
+    stopRoundTimers();
+    const durationMs = Date.now() - state.game.startedTs;
+    // Collect each question's answer time in order (null when it was never answered).
+    const answerTimes = state.game.questions.map((q) =>
+        typeof state.game.answerTimes[q.id] === "number" ? state.game.answerTimes[q.id] : null
+    );
+    // In a match, keep the turn's result to one side and pass the device on without revealing answers.
+    if (state.match) {
+        finishTurn(grade, durationMs, answerTimes);
+        return;
+    }
+
+    // Show every question again so the whole round can be reviewed.
+    blocks.forEach((block) => block.classList.remove("hidden"));
+    quizNav.classList.add("hidden");
+    quizStatus.classList.add("hidden");
+    keyboardHint.classList.add("hidden");
+
+    // Only now reveal which answers were correct and which selections were wrong.
+    view.revealAnswers(questionContainer, grade.results);
+    // Save missed questions to the mistakes deck and list every answer on the review screen.
+    renderReview(grade.results, mistakes.recordRound(state.game, grade));
+    // Record a daily challenge and show its shareable result.
+    if (state.settings.source === "daily") showDailyResult(grade);
+
+    // Compute the points breakdown when the round uses points scoring.
+    const points = state.settings.scoring === "points" ? scoring.computePoints(state.game, grade) : null;
+
+    // Build a human-friendly score message, adding the points breakdown when there is one.
+    let summaryText = t("game.summary", { name: trimmed, correct: correctSelections, total: totalQuestions });
+    if (points) {
+        summaryText += ` ${t("game.pointsBreakdown", {
+            count: points.total,
+            base: points.base,
+            speed: points.speedBonus,
+            streak: points.streakBonus,
+            bestStreak: points.bestStreak
+        })}`;
     }
+    // Put the summary into the aria-live box so assistive tech announces it.
+    resultSummary.textContent = summaryText;
+    // Make sure the summary box is visible.
+    resultSummary.classList.remove("hidden");
 
-    // Begin a new player session by resetting UI state and fetching fresh questions.
-    function newPlayer() {
-        // Clear the name input field.
-        usernameInput.value = "";
-        // Remove the saved name unless the user keeps consent and types again.
+    // Capture the current timestamp for this attempt.
+    const nowTs = Date.now();
+
+    // Add a quick, immediate row to the table for continuity (unranked until the table is re-sorted).
+    view.appendScoreRow(document.querySelector("#score-table tbody"), {
+        name: trimmed,
+        correct: correctSelections,
+        total: totalQuestions,
+        points: points,
+        ts: nowTs,
+        durationMs: durationMs
+    }, { rank: "—", top: false, playerLink: false });
+
+    // Persist the score so it remains across reloads, then re-render the scoreboard from storage
+    // for consistent sorting/formatting (IndexedDB saves finish later, so wait for the save).
+    saveScoreToStorage(trimmed, correctSelections, totalQuestions, state.settings, {
+        durationMs: durationMs,
+        answerTimes: answerTimes,
+        // Keep accuracy by category and difficulty for the player dashboard.
+        breakdown: stats.buildBreakdown(state.game, grade),
+        // Keep the totals of the breakdown (not the per-question rows) when points were used.
+        points: points ? {
+            total: points.total,
+            base: points.base,
+            speedBonus: points.speedBonus,
+            streakBonus: points.streakBonus,
+            bestStreak: points.bestStreak
+        } : undefined
+    }).then(displayScores);
+    // Respect consent: if Remember is checked, store the name; otherwise remove it.
+    if (rememberCheckbox.checked) {
+        localStorage.setItem("triviaCurrentUser", trimmed);
+        forgetButton.classList.remove("hidden");
+    } else {
         localStorage.removeItem("triviaCurrentUser");
-        // Clear consent controls to default off.
-        rememberCheckbox.checked = false;
         forgetButton.classList.add("hidden");
-        // Re-enable the submit button for the next attempt.
-        document.getElementById("submit-game").disabled = false;
-        // Hide the New Player button until the next submission.
-        newPlayerButton.classList.add("hidden");
-        // Remove any old questions and result summary.
-        questionContainer.innerHTML = "";
-        resultSummary.classList.add("hidden");
-        resultSummary.textContent = "";
-        // Show the loader while new questions download.
-        showLoading(true);
-        // Fetch a fresh set of questions to start a new round.
-        fetchQuestions();
-        // Focus the name field for convenience.
-        usernameInput.focus();
-        // Scroll to the top for a clean start.
-        window.scrollTo(0, 0);
     }
+    // Reveal the New Player button so another attempt can be made.
+    newPlayerButton.classList.remove("hidden");
+    // Disable the submit button to prevent duplicate submissions for the same attempt.
+    document.getElementById("submit-game").disabled = true;
+}
+
+// Return the current sort preference from localStorage or a default.
+function getSortPreference() {
+    // Pull the saved preference (if any).
+    const pref = localStorage.getItem("scoreSort");
+    // Default to "newest" when nothing saved.
+    return pref || "newest";
+}
+
+// Apply the saved sort preference to the select control on load.
+function applySavedSortPreference() {
+    // Read the preference value.
+    const pref = getSortPreference();
+    // Set the select’s value to mirror stored preference.
+    sortSelect.value = pref;
+}
+
+// Return a copy of the stored scores (validated and cached by the storage module).
+function getScoresFromStorage() {
+    return storage.getAll();
+}
+
+// Append a single score record (with timestamp, the round's settings and any extra details) into persistent storage.
+function saveScoreToStorage(name, correct, total, settings, details) {
+    // Construct a record object for this attempt.
+    const record = { name: name, correct: correct, total: total, ts: Date.now() };
+    // Keep the settings the round was played with, when known.
+    if (settings) record.settings = Object.assign({}, settings);
+    // Merge extra details such as durationMs and answerTimes.
+    if (details) Object.assign(record, details);
+    // Hand the record to the storage module and explain any problem saving it.
+    return storage
+        .add(record)
+        .then((result) => {
+            // Storage was full and old rows had to go to make room.
+            if (result.droppedForQuota > 0) {
+                showStorageNotice(t("storage.droppedForQuota", { count: result.droppedForQuota }));
+            }
+        })
+        .catch((error) => {
+            // Log the error and tell the player the score was not kept.
+            console.error("Could not save score:", error);
+            showStorageNotice(t(error instanceof storage.StorageQuotaError ? "storage.fullNotSaved" : "storage.notSaved"));
+        });
+}
+
+// Document what the reportStorageLoad function does in this block comment.
+/**
+ * Explains anything unusual that happened while loading saved scores.
+ * @param {Object} report - The report from storage.init.
+ */
+function reportStorageLoad(report) {
+    // Collect one sentence per event worth mentioning.
+    const messages = [];
+    if (report.corrupt) {
+        messages.push(t("storage.corrupt"));
+    }
+    if (report.quarantined > 0) {
+        messages.push(t("storage.quarantined", { count: report.quarantined }));
+    }
+    if (report.notSetAside > 0) {
+        messages.push(t("storage.notSetAside", { count: report.notSetAside }));
+    }
+    if (report.pruned > 0) {
+        messages.push(t("storage.pruned", { count: report.pruned }));
+    }
+    // Only show the notice when there is something to say.
+    if (messages.length > 0) showStorageNotice(messages.join(" "));
+}
+
+// Show a message in the storage notice box.
+function showStorageNotice(message) {
+    storageNotice.textContent = message;
+    storageNotice.classList.remove("hidden");
+}
+
+// Mirror the retention settings and quarantine size in the storage settings panel.
+function applyRetentionSettings() {
+    // Fill the controls from the saved settings.
+    const retention = storage.getRetention();
+    retentionMaxRecords.value = retention.maxRecords;
+    retentionMaxAge.value = retention.maxAgeDays;
+    retentionBackend.value = retention.backend;
+    // Offer IndexedDB only where the browser has it.
+    retentionBackend.querySelector('option[value="indexedDB"]').disabled = !storage.isIndexedDbAvailable();
+    // Describe the rows set aside as unreadable, if any.
+    const count = storage.getQuarantine().length;
+    quarantineInfo.textContent = t("storage.quarantineInfo", { count: count });
+    quarantineInfo.classList.toggle("hidden", count === 0);
+    discardQuarantineButton.classList.toggle("hidden", count === 0);
+}
 
-    // Ask for confirmation and clear all stored scores if the user agrees.
-    function clearScores() {
-        // Confirm the destructive action with the user.
-        const ok = window.confirm("Clear all saved scores? This cannot be undone.");
-        // If confirmed, clear and re-render the scoreboard.
-        if (ok) {
-            localStorage.removeItem("scores");
+// Save the storage settings panel and apply it to the stored scores.
+function saveRetentionSettings() {
+    // Read the controls; blank or negative numbers mean "no limit".
+    const changes = {
+        maxRecords: Math.max(0, parseInt(retentionMaxRecords.value, 10) || 0),
+        maxAgeDays: Math.max(0, parseInt(retentionMaxAge.value, 10) || 0),
+        backend: retentionBackend.value
+    };
+    // Pruning deletes scores, so confirm when the new limits are tighter.
+    const current = storage.getRetention();
+    const tighter = (changes.maxRecords > 0 && (current.maxRecords === 0 || changes.maxRecords < current.maxRecords)) ||
+        (changes.maxAgeDays > 0 && (current.maxAgeDays === 0 || changes.maxAgeDays < current.maxAgeDays));
+    if (tighter && !window.confirm(t("storage.confirmLimits"))) return;
+    // Apply the settings and report the result.
+    storage
+        .setRetention(changes)
+        .then((result) => {
+            showStorageNotice(result.pruned > 0
+                ? `${t("storage.settingsSaved")} ${t("storage.settingsPruned", { count: result.pruned })}`
+                : t("storage.settingsSaved"));
+        })
+        .catch((error) => {
+            console.error("Could not apply storage settings:", error);
+            showStorageNotice(t("storage.settingsFailed"));
+        })
+        .then(function () {
             displayScores();
+            applyRetentionSettings();
+        });
+}
+
+// Delete the rows kept aside as unreadable, after confirmation.
+function discardQuarantine() {
+    // Confirm the destructive action with the user.
+    if (!window.confirm(t("storage.confirmDiscard"))) return;
+    storage.clearQuarantine();
+    applyRetentionSettings();
+}
+
+// Document what the exportScores function does in this block comment.
+/**
+ * Downloads every stored score as a JSON or CSV file.
+ * @param {"json"|"csv"} format - The file format to produce.
+ */
+function exportScores(format) {
+    // Serialize the records in the chosen format.
+    const records = getScoresFromStorage();
+    const text = format === "csv" ? scoreTransfer.toCsv(records) : scoreTransfer.toJson(records);
+    const type = format === "csv" ? "text/csv" : "application/json";
+    // Name the file after today's date, e.g. trivia-scores-2024-05-01.json.
+    view.downloadFile(text, type, `trivia-scores-${new Date().toISOString().slice(0, 10)}.${format}`);
+}
+
+// Document what the handleScoreImport function does in this block comment.
+/**
+ * Reads the chosen score file and shows what importing it would do; nothing is saved yet.
+ */
+function handleScoreImport() {
+    // Grab the first selected file (if any).
+    const file = importScoresInput.files && importScoresInput.files[0];
+    // Nothing to do when the picker was cancelled.
+    if (!file) return;
+    // Read the file as text.
+    const reader = new FileReader();
+    // Once loaded, parse the file and build the preview.
+    reader.onload = function () {
+        // Reset the input so the same file can be chosen again later.
+        importScoresInput.value = "";
+        // Read the candidate records; a file-level problem stops here.
+        const parsed = scoreTransfer.parseScoreFile(String(reader.result), file.name);
+        if (parsed.error) {
+            hideImportPreview();
+            showStorageNotice(t("import.failed", { file: file.name, errors: parsed.error }));
+            return;
         }
+        // Compare against the stored scores and show the result.
+        showImportPreview(file.name, scoreTransfer.previewImport(parsed.records, getScoresFromStorage()));
+    };
+    // Report read failures instead of failing silently.
+    reader.onerror = function () {
+        showStorageNotice(t("import.readFailed", { file: file.name }));
+    };
+    // Start reading.
+    reader.readAsText(file);
+}
+
+// Render the import preview: counts, per-row problems, and the confirm button.
+function showImportPreview(fileName, preview) {
+    // Keep the records to add until the user confirms.
+    pendingImport = preview.toAdd;
+    // Summarize the outcome in one sentence.
+    const parts = [t("transfer.toAdd", { count: preview.toAdd.length })];
+    if (preview.duplicates.length > 0) parts.push(t("transfer.duplicates", { count: preview.duplicates.length }));
+    if (preview.invalid.length > 0) parts.push(t("transfer.invalid", { count: preview.invalid.length }));
+    importSummary.textContent = t("transfer.summary", { file: fileName, parts: parts.join(", ") });
+    // List each invalid row and why it was rejected.
+    importProblems.innerHTML = "";
+    preview.invalid.forEach((problem) => {
+        const li = document.createElement("li");
+        li.textContent = t("transfer.rowProblem", { row: problem.row, reason: storage.describeProblem(problem.reason) });
+        importProblems.appendChild(li);
+    });
+    importProblems.classList.toggle("hidden", preview.invalid.length === 0);
+    // Only offer to import when there is something new.
+    confirmImportButton.disabled = preview.toAdd.length === 0;
+    importPreview.classList.remove("hidden");
+}
+
+// Hide the import preview and forget its records.
+function hideImportPreview() {
+    pendingImport = null;
+    importPreview.classList.add("hidden");
+    importSummary.textContent = "";
+    importProblems.innerHTML = "";
+}
+
+// Save the previewed records, then refresh the scoreboard.
+function confirmScoreImport() {
+    // Ignore stray clicks without a preview.
+    if (!pendingImport || pendingImport.length === 0) return;
+    const records = pendingImport;
+    hideImportPreview();
+    // Merge the new records into storage and report the result.
+    storage
+        .addMany(records)
+        .then((result) => {
+            const dropped = result.droppedForQuota > 0 ? ` ${t("storage.droppedForQuota", { count: result.droppedForQuota })}` : "";
+            showStorageNotice(t("transfer.imported", { count: records.length }) + dropped);
+        })
+        .catch((error) => {
+            console.error("Could not import scores:", error);
+            showStorageNotice(t("transfer.importFailed"));
+        })
+        .then(displayScores);
+}
+
+// Open the dashboard when a player's name in the score table is selected.
+function handleScoreTableClick(event) {
+    const button = event.target.closest(".player-link");
+    if (!button) return;
+    openPlayerDashboard(button.textContent);
+}
+
+// Document what the openPlayerDashboard function does in this block comment.
+/**
+ * Shows the statistics dashboard for a player and moves focus to it.
+ * @param {string} name - The player's name as shown in the table.
+ */
+function openPlayerDashboard(name) {
+    renderPlayerDashboard(stats.normalizeName(name));
+    // Bring the dashboard into view for sighted and keyboard users alike.
+    if (!playerDashboard.classList.contains("hidden")) {
+        playerDashboard.scrollIntoView({ behavior: scrollBehavior(), block: "start" });
+        dashboardTitle.focus();
     }
-});
-// End of DOMContentLoaded handler.
+}
+
+// Hide the dashboard and forget which player it showed.
+function closePlayerDashboard() {
+    dashboardPlayerKey = null;
+    playerDashboard.classList.add("hidden");
+}
+
+// Document what the renderPlayerDashboard function does in this block comment.
+/**
+ * Fills the dashboard for one player: headline figures, trend chart and accuracy tables.
+ * Closes the dashboard when the player no longer has any stored games.
+ * @param {string} key - The player's normalized name.
+ */
+function renderPlayerDashboard(key) {
+    const records = getScoresFromStorage();
+    const playerStats = stats.getPlayerStats(records, key);
+    // The player's scores may have been cleared or pruned.
+    if (!playerStats) {
+        closePlayerDashboard();
+        return;
+    }
+    dashboardPlayerKey = playerStats.key;
+    dashboardTitle.textContent = t("dashboard.playerTitle", { name: playerStats.name });
+
+    // Offer every player in the switcher, with this one selected.
+    dashboardPlayerSelect.innerHTML = "";
+    stats.listPlayers(records).forEach((player) => {
+        const option = document.createElement("option");
+        option.value = player.key;
+        option.textContent = `${player.name} (${i18n.formatNumber(player.games)})`;
+        dashboardPlayerSelect.appendChild(option);
+    });
+    dashboardPlayerSelect.value = playerStats.key;
+
+    // Headline figures as a description list.
+    const formatPercent = i18n.formatPercent;
+    const recent = playerStats.games > stats.RECENT_GAMES && playerStats.previousAverage !== null
+        ? t("dashboard.recentChange", {
+            percent: formatPercent(playerStats.recentAverage),
+            change: formatChange(playerStats.recentAverage - playerStats.previousAverage),
+            count: stats.RECENT_GAMES
+        })
+        : formatPercent(playerStats.recentAverage);
+    dashboardSummary.innerHTML = "";
+    [
+        [t("dashboard.gamesPlayed"), i18n.formatNumber(playerStats.games)],
+        [t("dashboard.average"), formatPercent(playerStats.averagePercent)],
+        [t("dashboard.best"), formatPercent(playerStats.bestPercent)],
+        [t("dashboard.lastGames", { count: Math.min(playerStats.games, stats.RECENT_GAMES) }), recent]
+    ].forEach((pair) => {
+        const dt = document.createElement("dt");
+        dt.textContent = pair[0];
+        const dd = document.createElement("dd");
+        dd.textContent = pair[1];
+        dashboardSummary.appendChild(dt);
+        dashboardSummary.appendChild(dd);
+    });
+
+    // Trend chart and accuracy tables.
+    view.renderTrendChart(dashboardTrend, playerStats.trend);
+    view.fillAccuracyTable(document.querySelector("#dashboard-categories tbody"), playerStats.byCategory);
+    view.fillAccuracyTable(document.querySelector("#dashboard-difficulties tbody"), playerStats.byDifficulty.map((row) =>
+        Object.assign({}, row, {
+            label: i18n.has(`difficulty.${row.label}`)
+                ? t(`difficulty.${row.label}`)
+                : row.label.charAt(0).toUpperCase() + row.label.slice(1)
+        })
+    ));
+
+    // Explain why older games are missing from the accuracy tables.
+    const older = playerStats.gamesWithoutBreakdown;
+    dashboardNote.textContent = older > 0 ? t("dashboard.olderGames", { count: older }) : "";
+    dashboardNote.classList.toggle("hidden", older === 0);
+    playerDashboard.classList.remove("hidden");
+}
+
+// Format a change in percentage points with an explicit sign, e.g. "+5 points".
+function formatChange(points) {
+    const sign = points > 0 ? "+" : points < 0 ? "−" : "±";
+    return `${sign}${t("dashboard.percentPoints", { count: Math.abs(points) })}`;
+}
+
+// Read the saved leaderboard filters, falling back to the defaults.
+function getFilterPreference() {
+    // Pull the saved filters (if any) and parse them defensively.
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem("scoreFilters") || "null");
+    } catch (e) {
+        // Ignore unreadable filters; the defaults are used instead.
+        console.error("Invalid leaderboard filters in storage:", e);
+    }
+    // Fill in anything missing or invalid.
+    return leaderboard.normalizeFilters(saved);
+}
+
+// Mirror the saved filters in the filter controls (the board select is filled by displayScores).
+function applySavedFilterPreference() {
+    const filters = getFilterPreference();
+    filterName.value = filters.search;
+    filterFrom.value = filters.from;
+    filterTo.value = filters.to;
+    filterBest.checked = filters.bestPerPlayer;
+    pageSizeSelect.value = String(filters.pageSize);
+}
+
+// Save the filter controls, go back to the first page and re-render the table.
+function handleFilterChange() {
+    localStorage.setItem("scoreFilters", JSON.stringify(leaderboard.normalizeFilters({
+        search: filterName.value,
+        from: filterFrom.value,
+        to: filterTo.value,
+        board: filterBoard.value,
+        bestPerPlayer: filterBest.checked,
+        pageSize: parseInt(pageSizeSelect.value, 10)
+    })));
+    scorePage = 1;
+    displayScores();
+}
+
+// Forget the saved filters and show every score again.
+function resetFilters() {
+    localStorage.removeItem("scoreFilters");
+    applySavedFilterPreference();
+    scorePage = 1;
+    displayScores();
+}
+
+// Move to another page of the score table.
+function changeScorePage(step) {
+    scorePage += step;
+    displayScores();
+}
+
+// Rebuild the board select from the configurations found in the scores; returns the board in effect.
+function fillBoardOptions(scores, selected) {
+    const boards = leaderboard.listBoards(scores);
+    // Keep the "All games" option and replace the rest.
+    while (filterBoard.options.length > 1) filterBoard.remove(1);
+    boards.forEach((board) => {
+        const option = document.createElement("option");
+        option.value = board.key;
+        option.textContent = `${board.label} (${board.count})`;
+        filterBoard.appendChild(option);
+    });
+    // A saved board with no scores left falls back to all games.
+    const board = boards.some((b) => b.key === selected) ? selected : "all";
+    filterBoard.value = board;
+    return board;
+}
+
+// Document what the displayScores function does in this block comment.
+/**
+ * Renders one page of the scoreboard: filters, best-per-player, sorting, ranks,
+ * the top-score banner, the pager and the empty states.
+ */
+function displayScores() {
+    // Grab the <tbody> we will populate.
+    const tbody = document.querySelector("#score-table tbody");
+    // Clear any old rows.
+    tbody.innerHTML = "";
+    // Read stored scores, the sort preference and the filters.
+    const allScores = getScoresFromStorage();
+    const pref = getSortPreference();
+    const filters = getFilterPreference();
+    // Keep an open player dashboard in step with the scores.
+    if (dashboardPlayerKey) renderPlayerDashboard(dashboardPlayerKey);
+    // Offer one board per game configuration.
+    filters.board = fillBoardOptions(allScores, filters.board);
+
+    // If there are no scores, render a placeholder and disable Clear.
+    if (allScores.length === 0) {
+        view.showEmptyScoreRow(tbody, t("scores.none"));
+        // Disable Clear button because there is nothing to remove.
+        clearScoresButton.disabled = true;
+        // Disable the exports too: there is nothing to download.
+        exportJsonButton.disabled = true;
+        exportCsvButton.disabled = true;
+        // Hide the top-score summary and the pager in this state.
+        topScoreBox.textContent = "";
+        topScoreBox.classList.add("hidden");
+        scorePager.classList.add("hidden");
+        // Stop here—nothing else to render.
+        return;
+    }
+
+    // We do have data: enable the Clear button.
+    clearScoresButton.disabled = false;
+    exportJsonButton.disabled = false;
+    exportCsvButton.disabled = false;
+
+    // Keep the scores that match the filters.
+    let scores = leaderboard.applyFilters(allScores, filters);
+    // Rank by points when sorting by points and at least one round used them; otherwise by percentage.
+    const byPoints = pref === "points" && scores.some((s) => leaderboard.getPointsTotal(s) >= 0);
+    // Optionally keep only each player's best game.
+    if (filters.bestPerPlayer) scores = leaderboard.keepBestPerPlayer(scores, byPoints);
+    // Sort the scores according to the chosen preference.
+    leaderboard.sortScores(scores, pref);
+
+    // Nothing matches: say so and leave the filters for the user to change.
+    if (scores.length === 0) {
+        view.showEmptyScoreRow(tbody, t("scores.noMatches"));
+        topScoreBox.textContent = "";
+        topScoreBox.classList.add("hidden");
+        updatePager({ page: 1, pageCount: 1, start: 0, items: [] }, 0, allScores.length);
+        return;
+    }
+
+    // Compute each record's value (integer percentage or points) for ranking and highlighting.
+    const valueOf = (s) => byPoints
+        ? leaderboard.getPointsTotal(s)
+        : Math.round((s.total ? s.correct / s.total : 0) * 100);
+    const ranks = leaderboard.rankScores(scores, valueOf);
+    // The top value and how many rows reach it, across every matching score (not just this page).
+    const topValue = scores.reduce((best, s) => Math.max(best, valueOf(s)), byPoints ? -1 : 0);
+    const topCount = scores.filter((s) => valueOf(s) === topValue).length;
+
+    // Only render the current page.
+    const page = leaderboard.paginate(scores, scorePage, filters.pageSize);
+    scorePage = page.page;
+
+    // Create and append a table row for each record on the page; the names open the players' dashboards.
+    page.items.forEach(function (s) {
+        view.appendScoreRow(tbody, s, { rank: String(ranks.get(s)), top: valueOf(s) === topValue, playerLink: true });
+    });
+    updatePager(page, scores.length, allScores.length);
+
+    // Build the top-score summary and reveal it.
+    const summary = byPoints
+        ? t("scores.topPoints", { points: topValue, count: topCount })
+        : t("scores.topScore", { percent: i18n.formatPercent(topValue), count: topCount });
+    topScoreBox.textContent = "🏆 " + summary;
+    topScoreBox.classList.remove("hidden");
+}
+
+// Describe the rows on screen and enable the pager buttons that lead somewhere.
+function updatePager(page, matching, total) {
+    const filtered = matching === total ? "" : ` ${t("scores.filteredFrom", { total: total })}`;
+    pageInfo.textContent = matching === 0
+        ? `${t("scores.noneMatching")}${filtered}`
+        : `${t("scores.showing", { from: page.start + 1, to: page.start + page.items.length, count: matching })}${filtered}`;
+    prevPageButton.disabled = page.page <= 1;
+    nextPageButton.disabled = page.page >= page.pageCount;
+    scorePager.classList.remove("hidden");
+}
+
+// Prefill the username from localStorage and sync privacy controls.
+function checkUsername() {
+    // Read any saved name for the current user from localStorage.
+    const stored = localStorage.getItem("triviaCurrentUser");
+    // If a stored value exists, place it into the input and reflect consent.
+    if (stored) {
+        usernameInput.value = stored;
+        rememberCheckbox.checked = true;
+        forgetButton.classList.remove("hidden");
+    } else {
+        rememberCheckbox.checked = false;
+        forgetButton.classList.add("hidden");
+    }
+}
+
+// Begin a new player session by resetting UI state and returning to the setup step.
+function newPlayer() {
+    // Forget any saved unfinished round.
+    store.setState({ roundInProgress: false });
+    savedGame.clear();
+    // Clear the name input field.
+    usernameInput.value = "";
+    // Remove the saved name unless the user keeps consent and types again.
+    localStorage.removeItem("triviaCurrentUser");
+    // Clear consent controls to default off.
+    rememberCheckbox.checked = false;
+    forgetButton.classList.add("hidden");
+    // Re-enable the submit button for the next attempt.
+    document.getElementById("submit-game").disabled = false;
+    // Hide the New Player button until the next submission.
+    newPlayerButton.classList.add("hidden");
+    // Remove any old questions and result summary.
+    questionContainer.innerHTML = "";
+    resultSummary.classList.add("hidden");
+    resultSummary.textContent = "";
+    reviewScreen.classList.add("hidden");
+    reviewList.innerHTML = "";
+    dailyResult.classList.add("hidden");
+    // Return to the setup step so the next player can pick settings.
+    // The API session token is kept, so the next round avoids questions already served.
+    showSetup();
+    // Scroll to the top for a clean start.
+    window.scrollTo(0, 0);
+}
+
+// Hide the game form and show the setup step.
+function showSetup() {
+    // Stop any countdowns from the round we are leaving.
+    stopRoundTimers();
+    // Swap the game form for the setup step.
+    form.classList.add("hidden");
+    setupForm.classList.remove("hidden");
+    // Clear any notice or error left over from the previous round.
+    hideSourceNotice();
+    hideError();
+    // Forget the finished round's settings, game model and any match.
+    store.setState({ settings: null, game: null });
+    resetMatch();
+    resetRoom();
+    // Refresh the mistakes count and the daily challenge line, which the finished round may have changed.
+    updateMistakesSummary();
+    updateDailySummary();
+    // Focus the first setup control for convenience.
+    sourceSelect.focus();
+}
+
+// Ask for confirmation and clear all stored scores if the user agrees.
+function clearScores() {
+    // Confirm the destructive action with the user.
+    const ok = window.confirm(t("scores.confirmClear"));
+    // If confirmed, clear and re-render the scoreboard.
+    if (ok) {
+        storage
+            .clear()
+            .catch((error) => console.error("Could not clear scores:", error))
+            .then(displayScores);
+    }
+}
+
+// Expose the store and the handlers the tests drive.
+export {
+    store,
+    ready,
+    handleFormSubmit,
+    displayScores
+};
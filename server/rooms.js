@@ -0,0 +1,518 @@
+// Provide a high-level description of the room module.
+/**
+ * Live quiz rooms. A host creates a room with a question set, players join with the
+ * room code, and the host pushes the questions one at a time to everyone.
+ * The host's page builds the question set (with its shuffled option order) and sends the
+ * correct option ids with it; they stay on the server, so a player's page only learns
+ * a question's answer once that question has closed. Answers are graded and timed here.
+ *
+ * Messages are JSON objects with a `type`:
+ *   host → server: host, next, close, end
+ *   player → server: join, answer
+ *   server → host: hosted, players, question, answers, closed, leaderboard, finished, error
+ *   server → player: joined, question, answered, progress, result, leaderboard, finished, roomClosed, error
+ * error and roomClosed carry a stable `code` (for the page to translate) and an English `message`.
+ */
+
+// Letters used in room codes (no I or O, which read like 1 and 0).
+const CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+// Length of a room code.
+const CODE_LENGTH = 4;
+// Most players a room accepts.
+const MAX_PLAYERS = 50;
+// Most questions a host may send.
+const MAX_QUESTIONS = 50;
+// Longest player name, matching the name inputs on the page.
+const MAX_NAME_LENGTH = 40;
+// Settings copied from the host so players can file the game on the right leaderboard board.
+const SHARED_SETTINGS = ["source", "category", "categoryName", "difficulty", "amount", "type", "questionSeconds", "scoring"];
+
+// Normalize a name for comparisons, like normalizeName in stats.js.
+function nameKey(name) {
+    return String(name || "").normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Send a message object to a connection, if it is still there.
+function send(connection, message) {
+    if (connection) connection.send(JSON.stringify(message));
+}
+
+// Check that a string is non-empty and not too long.
+function isText(value, maxLength) {
+    return typeof value === "string" && value.trim() !== "" && value.length <= maxLength;
+}
+
+// Document what the readQuestions function does in this block comment.
+/**
+ * Validates the question set sent by a host.
+ * @param {*} list - The `questions` field of a host message.
+ * @returns {?Object[]} The questions ({ id, type, category, difficulty, text, options, correctOptionId }), or null when unusable.
+ */
+function readQuestions(list) {
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_QUESTIONS) return null;
+    const questions = list.map((q) => {
+        if (!q || !isText(q.id, 40) || !isText(q.text, 2000) || !Array.isArray(q.options)) return null;
+        if (q.options.length < 2 || q.options.length > 10) return null;
+        const options = q.options.map((option) =>
+            option && isText(option.id, 40) && typeof option.text === "string" && option.text.length <= 500
+                ? { id: option.id, text: option.text }
+                : null
+        );
+        if (options.some((option) => !option)) return null;
+        // The correct option must be one of the options.
+        if (!options.some((option) => option.id === q.correctOptionId)) return null;
+        return {
+            id: q.id,
+            type: q.type === "boolean" ? "boolean" : "multiple",
+            category: typeof q.category === "string" ? q.category.slice(0, 200) : "",
+            difficulty: typeof q.difficulty === "string" ? q.difficulty.slice(0, 20) : "",
+            text: q.text,
+            options: options,
+            correctOptionId: q.correctOptionId
+        };
+    });
+    // Question ids must be unique so answers can be matched to them.
+    const ids = questions.map((q) => q && q.id);
+    if (questions.some((q) => !q) || ids.some((id, i) => ids.indexOf(id) !== i)) return null;
+    return questions;
+}
+
+// Document what the publicQuestion function does in this block comment.
+/**
+ * Strips the answer from a question before it is sent to players.
+ * @param {Object} room - The room.
+ * @param {Object} question - A validated question.
+ * @returns {Object} What a player may see, plus the question's position and time limit.
+ */
+function publicQuestion(room, question) {
+    return {
+        id: question.id,
+        index: room.currentIndex,
+        total: room.questions.length,
+        type: question.type,
+        category: question.category,
+        difficulty: question.difficulty,
+        text: question.text,
+        options: question.options,
+        timeLimitMs: room.timeLimitMs
+    };
+}
+
+// Document what the getStandings function does in this block comment.
+/**
+ * Ranks the players: most correct answers first, then the least time spent on correct answers.
+ * Players level on both share a rank.
+ * @param {Object} room - The room.
+ * @returns {{ rank: number, name: string, correct: number, total: number, timeMs: number, connected: boolean }[]} The standings, best first.
+ */
+function getStandings(room) {
+    const rows = Array.from(room.players.values()).map((player) => ({
+        name: player.name,
+        correct: player.results.filter((result) => result.isCorrect).length,
+        total: player.results.length,
+        timeMs: player.results.reduce((sum, result, i) => sum + (result.isCorrect ? player.answerTimes[i] : 0), 0),
+        connected: !!player.connection
+    }));
+    rows.sort((a, b) => b.correct - a.correct || a.timeMs - b.timeMs);
+    rows.forEach((row, i) => {
+        const previous = rows[i - 1];
+        row.rank = previous && previous.correct === row.correct && previous.timeMs === row.timeMs ? previous.rank : i + 1;
+    });
+    return rows;
+}
+
+// Document what the createRoomManager function does in this block comment.
+/**
+ * Creates the room registry and the message handling for every connection.
+ * @returns {{ handleConnection: function(EventEmitter), closeAll: function(), roomCount: function(): number }} The manager.
+ */
+function createRoomManager() {
+    // Rooms by code.
+    const rooms = new Map();
+
+    // Pick a code no open room uses.
+    function newCode() {
+        let code;
+        do {
+            code = "";
+            for (let i = 0; i < CODE_LENGTH; i++) {
+                code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+            }
+        } while (rooms.has(code));
+        return code;
+    }
+
+    // Send a message to every connected player in a room.
+    function toPlayers(room, message) {
+        room.players.forEach((player) => send(player.connection, message));
+    }
+
+    // Tell the host who is in the room.
+    function sendPlayerList(room) {
+        send(room.host, {
+            type: "players",
+            players: Array.from(room.players.values()).map((player) => ({ name: player.name, connected: !!player.connection }))
+        });
+    }
+
+    // Count the answers to the open question, per option.
+    function countAnswers(room) {
+        const counts = {};
+        room.questions[room.currentIndex].options.forEach((option) => {
+            counts[option.id] = 0;
+        });
+        room.answers.forEach((answer) => {
+            counts[answer.optionId] += 1;
+        });
+        return counts;
+    }
+
+    // Report how many players have answered: per option for the host, just the total for players.
+    function sendAnswerProgress(room) {
+        const connected = Array.from(room.players.values()).filter((player) => player.connection).length;
+        send(room.host, { type: "answers", counts: countAnswers(room), answered: room.answers.size, players: connected });
+        toPlayers(room, { type: "progress", answered: room.answers.size, players: connected });
+    }
+
+    // Check whether every connected player has answered the open question.
+    function everyoneAnswered(room) {
+        return Array.from(room.players.values()).every((player) => !player.connection || room.answers.has(player.key));
+    }
+
+    // Send the current standings to everyone in the room.
+    function sendLeaderboard(room) {
+        const message = { type: "leaderboard", standings: getStandings(room) };
+        send(room.host, message);
+        toPlayers(room, message);
+    }
+
+    // Document what the openQuestion function does in this block comment.
+    /**
+     * Pushes the next question to everyone and starts its time limit.
+     * @param {Object} room - A room in the lobby or between questions.
+     */
+    function openQuestion(room) {
+        room.currentIndex += 1;
+        room.state = "question";
+        room.answers = new Map();
+        room.openedTs = Date.now();
+        const message = { type: "question", question: publicQuestion(room, room.questions[room.currentIndex]) };
+        send(room.host, message);
+        toPlayers(room, message);
+        sendAnswerProgress(room);
+        // Close the question by itself when its time runs out.
+        if (room.timeLimitMs > 0) {
+            room.timer = setTimeout(() => closeQuestion(room), room.timeLimitMs);
+        }
+    }
+
+    // Document what the closeQuestion function does in this block comment.
+    /**
+     * Closes the open question: grades every player in the room, sends each one their
+     * result (the first time the correct option leaves the server), then the standings.
+     * @param {Object} room - A room with an open question.
+     */
+    function closeQuestion(room) {
+        if (room.state !== "question") return;
+        clearTimeout(room.timer);
+        room.timer = null;
+        room.state = "closed";
+        const question = room.questions[room.currentIndex];
+        room.players.forEach((player) => {
+            const answer = room.answers.get(player.key);
+            // Players who did not answer get the question wrong.
+            const result = {
+                questionId: question.id,
+                selectedOptionId: answer ? answer.optionId : null,
+                correctOptionId: question.correctOptionId,
+                isCorrect: !!answer && answer.optionId === question.correctOptionId
+            };
+            player.results.push(result);
+            player.answerTimes.push(answer ? answer.timeMs : null);
+            send(player.connection, { type: "result", result: result, timeMs: answer ? answer.timeMs : null });
+        });
+        send(room.host, { type: "closed", questionId: question.id, correctOptionId: question.correctOptionId, counts: countAnswers(room) });
+        sendLeaderboard(room);
+    }
+
+    // Document what the finishRoom function does in this block comment.
+    /**
+     * Ends the game: sends the final standings to the host and each player's own results to them,
+     * then forgets the room, so its code is free again and its answers do not stay in memory.
+     * @param {Object} room - The room.
+     */
+    function finishRoom(room) {
+        closeQuestion(room);
+        room.state = "finished";
+        const standings = getStandings(room);
+        send(room.host, { type: "finished", standings: standings });
+        room.players.forEach((player) => {
+            send(player.connection, {
+                type: "finished",
+                standings: standings,
+                you: {
+                    name: player.name,
+                    // Category and difficulty of each graded question, for the player's statistics.
+                    questions: player.results.map((result) => {
+                        const question = room.questions.find((q) => q.id === result.questionId);
+                        return { id: question.id, category: question.category, difficulty: question.difficulty };
+                    }),
+                    results: player.results,
+                    answerTimes: player.answerTimes,
+                    durationMs: Date.now() - player.joinedTs
+                }
+            });
+        });
+        forgetRoom(room);
+        // Connections still hold the room until they close; the questions carry the correct options.
+        room.questions = [];
+    }
+
+    // Drop a room from the registry, unless its code already belongs to a newer room.
+    function forgetRoom(room) {
+        if (rooms.get(room.code) === room) rooms.delete(room.code);
+    }
+
+    // Close a room whose host left and tell the players (with a reason code and its English text).
+    // Once the game has finished there is nothing to interrupt, so the players are not told.
+    function removeRoom(room, code, reason) {
+        clearTimeout(room.timer);
+        forgetRoom(room);
+        if (room.state === "finished") return;
+        room.state = "finished";
+        toPlayers(room, { type: "roomClosed", code: code, message: reason });
+    }
+
+    // Document what the handleHost function does in this block comment.
+    /**
+     * Handles a message from a room's host.
+     * @param {EventEmitter} connection - The host's connection.
+     * @param {Object} state - Per-connection state ({ room, player }).
+     * @param {Object} message - The parsed message.
+     */
+    function handleHost(connection, state, message) {
+        const room = state.room;
+        if (message.type === "next") {
+            if (room.state === "question") closeQuestion(room);
+            // After the last question, "next" finishes the game.
+            if (room.currentIndex + 1 >= room.questions.length) {
+                if (room.state !== "finished") finishRoom(room);
+            } else if (room.state !== "finished") {
+                openQuestion(room);
+            }
+        } else if (message.type === "close") {
+            closeQuestion(room);
+        } else if (message.type === "end") {
+            if (room.state !== "finished") finishRoom(room);
+        } else {
+            send(connection, { type: "error", code: "notForHost", message: "The host cannot do that." });
+        }
+    }
+
+    // Document what the handlePlayer function does in this block comment.
+    /**
+     * Handles a message from a player who has joined a room.
+     * @param {EventEmitter} connection - The player's connection.
+     * @param {Object} state - Per-connection state ({ room, player }).
+     * @param {Object} message - The parsed message.
+     */
+    function handlePlayer(connection, state, message) {
+        const room = state.room;
+        if (message.type !== "answer") {
+            send(connection, { type: "error", code: "notForPlayers", message: "Players cannot do that." });
+            return;
+        }
+        // Only the open question can be answered, once, with one of its options.
+        const question = room.questions[room.currentIndex];
+        if (room.state !== "question" || !question || message.questionId !== question.id) {
+            send(connection, { type: "error", code: "questionClosed", message: "That question is closed." });
+            return;
+        }
+        if (room.answers.has(state.player.key)) {
+            send(connection, { type: "error", code: "alreadyAnswered", message: "You have already answered this question." });
+            return;
+        }
+        if (!question.options.some((option) => option.id === message.optionId)) {
+            send(connection, { type: "error", code: "badOption", message: "That is not one of the answers." });
+            return;
+        }
+        room.answers.set(state.player.key, { optionId: message.optionId, timeMs: Date.now() - room.openedTs });
+        send(connection, { type: "answered", questionId: question.id });
+        sendAnswerProgress(room);
+        // Close early once every connected player has answered.
+        if (everyoneAnswered(room)) closeQuestion(room);
+    }
+
+    // Document what the createRoom function does in this block comment.
+    /**
+     * Creates a room for a host message.
+     * @param {EventEmitter} connection - The host's connection.
+     * @param {Object} state - Per-connection state ({ room, player }).
+     * @param {Object} message - The host message ({ questions, settings }).
+     */
+    function createRoom(connection, state, message) {
+        const questions = readQuestions(message.questions);
+        if (!questions) {
+            send(connection, { type: "error", code: "badQuestions", message: "The question set could not be used for a room." });
+            return;
+        }
+        const given = message.settings && typeof message.settings === "object" ? message.settings : {};
+        const settings = {};
+        SHARED_SETTINGS.forEach((field) => {
+            if (typeof given[field] === "string" || typeof given[field] === "number") settings[field] = given[field];
+        });
+        const seconds = Number(settings.questionSeconds);
+        const room = {
+            code: newCode(),
+            host: connection,
+            settings: settings,
+            questions: questions,
+            timeLimitMs: seconds > 0 ? Math.min(seconds, 3600) * 1000 : 0,
+            players: new Map(),
+            // "lobby" until the first question, then "question" / "closed" in turn, then "finished".
+            state: "lobby",
+            currentIndex: -1,
+            answers: new Map(),
+            openedTs: 0,
+            timer: null
+        };
+        rooms.set(room.code, room);
+        state.room = room;
+        send(connection, { type: "hosted", code: room.code, questionCount: questions.length });
+        sendPlayerList(room);
+    }
+
+    // Document what the joinRoom function does in this block comment.
+    /**
+     * Adds a player to a room. A name already in the room can be taken back by a player
+     * whose connection dropped, so a phone that lost signal can rejoin with its results.
+     * @param {EventEmitter} connection - The player's connection.
+     * @param {Object} state - Per-connection state ({ room, player }).
+     * @param {Object} message - The join message ({ code, name }).
+     */
+    function joinRoom(connection, state, message) {
+        const room = rooms.get(String(message.code || "").trim().toUpperCase());
+        const name = String(message.name || "").trim().replace(/\s+/g, " ");
+        if (!room) {
+            send(connection, { type: "error", code: "noRoom", message: "There is no room with that code." });
+            return;
+        }
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            send(connection, { type: "error", code: "badName", maxLength: MAX_NAME_LENGTH, message: `Enter a name of up to ${MAX_NAME_LENGTH} characters.` });
+            return;
+        }
+        if (room.state === "finished") {
+            send(connection, { type: "error", code: "finished", message: "That game has already finished." });
+            return;
+        }
+        const key = nameKey(name);
+        let player = room.players.get(key);
+        if (player && player.connection) {
+            send(connection, { type: "error", code: "nameTaken", message: "Someone in the room already has that name." });
+            return;
+        }
+        if (!player) {
+            if (room.players.size >= MAX_PLAYERS) {
+                send(connection, { type: "error", code: "roomFull", message: "That room is full." });
+                return;
+            }
+            player = { key: key, name: name, connection: null, results: [], answerTimes: [], joinedTs: Date.now() };
+            room.players.set(key, player);
+        }
+        player.connection = connection;
+        state.room = room;
+        state.player = player;
+        send(connection, {
+            type: "joined",
+            code: room.code,
+            name: player.name,
+            settings: room.settings,
+            questionCount: room.questions.length
+        });
+        sendPlayerList(room);
+        send(connection, { type: "leaderboard", standings: getStandings(room) });
+        // Someone joining mid-question can still answer it.
+        if (room.state === "question") {
+            const question = publicQuestion(room, room.questions[room.currentIndex]);
+            question.timeLimitMs = room.timeLimitMs ? Math.max(0, room.timeLimitMs - (Date.now() - room.openedTs)) : 0;
+            send(connection, { type: "question", question: question });
+            sendAnswerProgress(room);
+        }
+    }
+
+    // Document what the handleMessage function does in this block comment.
+    /**
+     * Routes one message from a connection.
+     * @param {EventEmitter} connection - The sender.
+     * @param {Object} state - Per-connection state ({ room, player }).
+     * @param {string} text - The raw message.
+     */
+    function handleMessage(connection, state, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            message = null;
+        }
+        if (!message || typeof message !== "object" || typeof message.type !== "string") {
+            send(connection, { type: "error", code: "badMessage", message: "Messages must be JSON objects with a type." });
+            return;
+        }
+        // A connection is either a host or a player, for one room.
+        if (state.room && state.room.host === connection) {
+            handleHost(connection, state, message);
+        } else if (state.player) {
+            handlePlayer(connection, state, message);
+        } else if (message.type === "host") {
+            createRoom(connection, state, message);
+        } else if (message.type === "join") {
+            joinRoom(connection, state, message);
+        } else {
+            send(connection, { type: "error", code: "notInRoom", message: "Host or join a room first." });
+        }
+    }
+
+    // Forget a connection that went away.
+    function handleClose(connection, state) {
+        const room = state.room;
+        if (!room) return;
+        if (room.host === connection) {
+            // Without its host, a room cannot go on.
+            removeRoom(room, "hostLeft", "The host left, so the room has closed.");
+        } else if (state.player && state.player.connection === connection) {
+            state.player.connection = null;
+            if (rooms.get(room.code) !== room) return;
+            sendPlayerList(room);
+            // The others may all have answered already.
+            if (room.state === "question") {
+                sendAnswerProgress(room);
+                if (room.answers.size > 0 && everyoneAnswered(room)) closeQuestion(room);
+            }
+        }
+    }
+
+    return {
+        // Start handling a new connection.
+        handleConnection: function (connection) {
+            const state = { room: null, player: null };
+            connection.on("message", (text) => handleMessage(connection, state, text));
+            connection.on("close", () => handleClose(connection, state));
+        },
+        // Close every room, e.g. when the server shuts down.
+        closeAll: function () {
+            Array.from(rooms.values()).forEach((room) => removeRoom(room, "shuttingDown", "The server is shutting down."));
+        },
+        // Count the open rooms.
+        roomCount: function () {
+            return rooms.size;
+        }
+    };
+}
+
+// Export the manager and the helpers worth reusing.
+module.exports = {
+    MAX_PLAYERS: MAX_PLAYERS,
+    readQuestions: readQuestions,
+    getStandings: getStandings,
+    createRoomManager: createRoomManager
+};
@@ -0,0 +1,180 @@
+// Provide a high-level description of the room server.
+/**
+ * Local server for live rooms: serves the game's files over HTTP and accepts WebSocket
+ * connections on /ws for hosts and players. It uses Node built-ins only, so it runs with
+ * `node server/server.js` and no install step. Players on other devices open the
+ * address printed at start-up (the host's address on the local network).
+ *
+ * Options: PORT (default 8080) and HOST (default 0.0.0.0, every network interface).
+ */
+
+// Load the Node built-ins and the room modules.
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { acceptUpgrade, CLOSE_CODES } = require("./websocket");
+const { createRoomManager } = require("./rooms");
+
+// The project folder, which holds index.html and the scripts.
+const ROOT = path.resolve(__dirname, "..");
+// Path the page connects to for rooms.
+const SOCKET_PATH = "/ws";
+// How often connections are pinged; a connection that misses a whole interval is dropped.
+const HEARTBEAT_MS = 30000;
+// Content types for the files the game is made of.
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".webmanifest": "application/manifest+json",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".ico": "image/x-icon"
+};
+
+// Document what the resolveFile function does in this block comment.
+/**
+ * Maps a request path to a file in the project folder.
+ * Hidden files and folders (such as .git), the server's own folder and installed packages are never served.
+ * @param {string} urlPath - The path part of the request URL.
+ * @returns {?string} The absolute file path, or null when the path may not be served.
+ */
+function resolveFile(urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (e) {
+        return null;
+    }
+    const relative = decoded === "/" ? "index.html" : decoded.replace(/^\/+/, "");
+    const segments = relative.split(/[\\/]/);
+    if (segments.some((segment) => segment.startsWith(".") || segment === "") || segments[0] === "server" || segments[0] === "node_modules") return null;
+    const file = path.resolve(ROOT, relative);
+    // Never leave the project folder.
+    return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+// Document what the serveStatic function does in this block comment.
+/**
+ * Answers a plain HTTP request with a file from the project folder.
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ */
+function serveStatic(request, response) {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+        response.writeHead(405, { Allow: "GET, HEAD" });
+        response.end();
+        return;
+    }
+    const file = resolveFile(new URL(request.url, "http://localhost").pathname);
+    const type = file && CONTENT_TYPES[path.extname(file).toLowerCase()];
+    if (!type) {
+        response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+        response.end("Not found");
+        return;
+    }
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(error.code === "ENOENT" ? 404 : 500, { "Content-Type": "text/plain; charset=utf-8" });
+            response.end(error.code === "ENOENT" ? "Not found" : "Could not read the file");
+            return;
+        }
+        // Always revalidate, so players pick up a changed file on reload.
+        response.writeHead(200, { "Content-Type": type, "Content-Length": data.length, "Cache-Control": "no-cache" });
+        response.end(request.method === "HEAD" ? undefined : data);
+    });
+}
+
+// Only the page served from here may open a room connection, not scripts on other sites.
+function isSameOrigin(request) {
+    const origin = request.headers.origin;
+    // Clients other than browsers send no Origin header.
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === request.headers.host;
+    } catch (e) {
+        // "null" (a page opened from a file) and malformed origins.
+        return false;
+    }
+}
+
+// Document what the createServer function does in this block comment.
+/**
+ * Creates the HTTP server with WebSocket rooms attached (not yet listening).
+ * @returns {{ server: http.Server, close: function(function()=) }} The server, and a close function that also ends every room and connection.
+ */
+function createServer() {
+    const rooms = createRoomManager();
+    const connections = new Set();
+    const server = http.createServer(serveStatic);
+
+    server.on("upgrade", (request, socket) => {
+        const url = new URL(request.url, "http://localhost");
+        if (url.pathname !== SOCKET_PATH || !isSameOrigin(request)) {
+            socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+            return;
+        }
+        const connection = acceptUpgrade(request, socket);
+        if (!connection) return;
+        connections.add(connection);
+        connection.on("close", () => connections.delete(connection));
+        rooms.handleConnection(connection);
+    });
+
+    // Drop connections that stopped answering pings (a phone that went to sleep, say).
+    const heartbeat = setInterval(() => {
+        connections.forEach((connection) => {
+            if (!connection.isAlive) {
+                connection.terminate();
+                return;
+            }
+            connection.ping();
+        });
+    }, HEARTBEAT_MS);
+
+    return {
+        server: server,
+        // Stop accepting requests, tell everyone in a room, and close their connections.
+        close: function (callback) {
+            clearInterval(heartbeat);
+            rooms.closeAll();
+            connections.forEach((connection) => connection.close(CLOSE_CODES.goingAway, "Server shutting down"));
+            server.close(callback);
+        }
+    };
+}
+
+// List the addresses other devices on the network can use.
+function networkAddresses(port) {
+    const addresses = [];
+    Object.values(os.networkInterfaces()).forEach((list) => {
+        (list || []).forEach((entry) => {
+            if (entry.family === "IPv4" && !entry.internal) addresses.push(`http://${entry.address}:${port}/`);
+        });
+    });
+    return addresses;
+}
+
+// Start listening when run directly (`node server/server.js`).
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || 8080;
+    const host = process.env.HOST || "0.0.0.0";
+    const rooms = createServer();
+    rooms.server.listen(port, host, () => {
+        console.log(`Trivia rooms running at http://localhost:${port}/`);
+        networkAddresses(port).forEach((address) => console.log(`Players on this network can join at ${address}`));
+    });
+    // Close rooms cleanly on Ctrl+C.
+    process.on("SIGINT", () => {
+        rooms.close(() => process.exit(0));
+        // Connections that do not finish closing quickly are not waited for.
+        setTimeout(() => process.exit(0), 1000).unref();
+    });
+}
+
+// Export the server factory so it can be started from other scripts.
+module.exports = {
+    createServer: createServer
+};
@@ -0,0 +1,281 @@
+// Provide a high-level description of the WebSocket module.
+/**
+ * A small WebSocket (RFC 6455) implementation on top of Node's own http and net modules,
+ * so the room server runs without any installed packages.
+ * It covers what browsers send: masked text frames, fragmentation, ping/pong and the
+ * closing handshake. Binary messages and extensions are not supported.
+ */
+
+// Load the Node built-ins used for the handshake and events.
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// GUID from RFC 6455 that is appended to the client key to build the accept key.
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// Frame opcodes.
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+// Close codes used by the server.
+const CLOSE_CODES = { normal: 1000, goingAway: 1001, protocolError: 1002, unsupported: 1003, invalidData: 1007, tooBig: 1009 };
+// Largest message accepted from a client (a host's question set is the biggest message).
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Document what the acceptKey function does in this block comment.
+/**
+ * Computes the Sec-WebSocket-Accept value for a client's Sec-WebSocket-Key.
+ * @param {string} key - The key sent by the client.
+ * @returns {string} The base64 SHA-1 digest the client expects back.
+ */
+function acceptKey(key) {
+    return crypto.createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+}
+
+// Document what the encodeFrame function does in this block comment.
+/**
+ * Builds a single unmasked, final frame (servers never mask their frames).
+ * @param {number} opcode - The frame opcode.
+ * @param {Buffer} payload - The payload.
+ * @returns {Buffer} The encoded frame.
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        // 126 means a 16-bit length follows.
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        // 127 means a 64-bit length follows.
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    // Set FIN and the opcode.
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Document what the acceptUpgrade function does in this block comment.
+/**
+ * Completes the opening handshake for an HTTP upgrade request and wraps the socket.
+ * Rejects the request with an HTTP error when it is not a valid WebSocket handshake.
+ * @param {http.IncomingMessage} request - The upgrade request.
+ * @param {net.Socket} socket - The socket behind the request.
+ * @returns {?EventEmitter} The connection (emits "message" with a string and "close" with a code), or null when rejected.
+ */
+function acceptUpgrade(request, socket) {
+    const key = request.headers["sec-websocket-key"];
+    const upgrade = String(request.headers.upgrade || "").toLowerCase();
+    // Only version 13 (the one every current browser speaks) is supported.
+    if (request.method !== "GET" || upgrade !== "websocket" || !key || request.headers["sec-websocket-version"] !== "13") {
+        socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+        return null;
+    }
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        "",
+        ""
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+    return createConnection(socket);
+}
+
+// Document what the createConnection function does in this block comment.
+/**
+ * Wraps an upgraded socket: parses incoming frames and sends outgoing ones.
+ * @param {net.Socket} socket - A socket that has completed the handshake.
+ * @returns {EventEmitter} The connection, with send(text), ping(), close(code, reason) and terminate().
+ */
+function createConnection(socket) {
+    const connection = new EventEmitter();
+    // Bytes received but not yet parsed into frames.
+    let buffered = Buffer.alloc(0);
+    // Payloads of a fragmented message, and the opcode it started with.
+    let fragments = [];
+    let fragmentsBytes = 0;
+    let messageOpcode = null;
+    // Set once a close frame has been sent, so nothing else goes out.
+    let closing = false;
+    // Set once the "close" event has been emitted.
+    let closed = false;
+    // Set on every frame, so a heartbeat can tell live connections from dead ones.
+    connection.isAlive = true;
+
+    // Send a frame unless the connection is closing.
+    function sendFrame(opcode, payload) {
+        if (closing || socket.destroyed) return;
+        socket.write(encodeFrame(opcode, payload));
+    }
+
+    // Send a text message.
+    connection.send = function (text) {
+        sendFrame(OPCODES.text, Buffer.from(text, "utf8"));
+    };
+
+    // Send a ping; the browser answers with a pong.
+    connection.ping = function () {
+        connection.isAlive = false;
+        sendFrame(OPCODES.ping, Buffer.alloc(0));
+    };
+
+    // Start the closing handshake, then end the socket.
+    connection.close = function (code, reason) {
+        if (closing || socket.destroyed) return;
+        const reasonBytes = Buffer.from(String(reason || "").slice(0, 100), "utf8");
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code || CLOSE_CODES.normal, 0);
+        reasonBytes.copy(payload, 2);
+        sendFrame(OPCODES.close, payload);
+        closing = true;
+        socket.end();
+    };
+
+    // Drop the connection without a closing handshake.
+    connection.terminate = function () {
+        socket.destroy();
+    };
+
+    // Handle one complete frame.
+    function handleFrame(fin, opcode, payload) {
+        connection.isAlive = true;
+        // Control frames may arrive between the fragments of a message.
+        if (opcode === OPCODES.close) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal;
+            connection.close(code);
+            return;
+        }
+        if (opcode === OPCODES.ping) {
+            sendFrame(OPCODES.pong, payload);
+            return;
+        }
+        if (opcode === OPCODES.pong) return;
+        // A data frame either starts a message or continues the one in progress.
+        if (opcode === OPCODES.continuation) {
+            if (messageOpcode === null) {
+                connection.close(CLOSE_CODES.protocolError, "Unexpected continuation frame");
+                return;
+            }
+        } else if (messageOpcode !== null) {
+            connection.close(CLOSE_CODES.protocolError, "Expected a continuation frame");
+            return;
+        } else if (opcode === OPCODES.text || opcode === OPCODES.binary) {
+            messageOpcode = opcode;
+        } else {
+            connection.close(CLOSE_CODES.protocolError, "Unknown opcode");
+            return;
+        }
+        fragments.push(payload);
+        fragmentsBytes += payload.length;
+        if (fragmentsBytes > MAX_MESSAGE_BYTES) {
+            connection.close(CLOSE_CODES.tooBig, "Message too big");
+            return;
+        }
+        if (!fin) return;
+        // The message is complete.
+        const data = Buffer.concat(fragments);
+        const isText = messageOpcode === OPCODES.text;
+        fragments = [];
+        fragmentsBytes = 0;
+        messageOpcode = null;
+        if (!isText) {
+            connection.close(CLOSE_CODES.unsupported, "Only text messages are supported");
+            return;
+        }
+        // Text must be valid UTF-8.
+        let text;
+        try {
+            text = new TextDecoder("utf-8", { fatal: true }).decode(data);
+        } catch (e) {
+            connection.close(CLOSE_CODES.invalidData, "Invalid UTF-8");
+            return;
+        }
+        connection.emit("message", text);
+    }
+
+    // Parse as many whole frames as the buffer holds.
+    function parseFrames() {
+        while (!closing && buffered.length >= 2) {
+            const first = buffered[0];
+            const second = buffered[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0f;
+            // No extensions were negotiated, so the reserved bits must be clear.
+            if (first & 0x70) {
+                connection.close(CLOSE_CODES.protocolError, "Reserved bits set");
+                return;
+            }
+            // Browsers must mask every frame they send.
+            if (!(second & 0x80)) {
+                connection.close(CLOSE_CODES.protocolError, "Client frames must be masked");
+                return;
+            }
+            let length = second & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffered.length < 4) return;
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) return;
+                const longLength = buffered.readBigUInt64BE(2);
+                if (longLength > BigInt(MAX_MESSAGE_BYTES)) {
+                    connection.close(CLOSE_CODES.tooBig, "Message too big");
+                    return;
+                }
+                length = Number(longLength);
+                offset = 10;
+            }
+            // Control frames are never fragmented and carry at most 125 bytes.
+            if (opcode >= 0x8 && (!fin || length > 125)) {
+                connection.close(CLOSE_CODES.protocolError, "Invalid control frame");
+                return;
+            }
+            if (length > MAX_MESSAGE_BYTES) {
+                connection.close(CLOSE_CODES.tooBig, "Message too big");
+                return;
+            }
+            // Wait for the rest of the frame.
+            if (buffered.length < offset + 4 + length) return;
+            const mask = buffered.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            buffered = buffered.subarray(offset + 4 + length);
+            handleFrame(fin, opcode, payload);
+        }
+    }
+
+    socket.on("data", (chunk) => {
+        buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+        parseFrames();
+    });
+    // Report the close once, however the socket went away.
+    function emitClose() {
+        if (closed) return;
+        closed = true;
+        closing = true;
+        connection.emit("close");
+    }
+    socket.on("close", emitClose);
+    socket.on("end", emitClose);
+    // Socket errors (such as a reset from a phone losing signal) just end the connection.
+    socket.on("error", () => {
+        socket.destroy();
+        emitClose();
+    });
+    return connection;
+}
+
+// Export the handshake and the close codes used by the room server.
+module.exports = {
+    CLOSE_CODES: CLOSE_CODES,
+    acceptKey: acceptKey,
+    encodeFrame: encodeFrame,
+    acceptUpgrade: acceptUpgrade
+};
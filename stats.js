@@ -0,0 +1,161 @@
+// Provide a high-level description of the player statistics module.
+/**
+ * Player statistics built from the stored score records.
+ * Records are grouped by a normalized player name (so "Ana", " ana " and "ANA" are one player),
+ * and each game can carry a per-category and per-difficulty breakdown used for accuracy tables.
+ */
+
+// How many recent games the "recent form" figure averages.
+const RECENT_GAMES = 5;
+// Display order for difficulties; anything else sorts after these.
+const DIFFICULTY_ORDER = ["easy", "medium", "hard"];
+
+// Document what the normalizeName function does in this block comment.
+/**
+ * Reduces a player name to the key used for grouping.
+ * @param {string} name - The name as typed.
+ * @returns {string} The name with Unicode, spacing and letter case normalized.
+ */
+function normalizeName(name) {
+    return String(name || "").normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Round a correct/total pair to a whole percentage.
+function percent(correct, total) {
+    return total > 0 ? Math.round((correct / total) * 100) : 0;
+}
+
+// Add one graded question to a tally keyed by label.
+function tally(target, label, isCorrect) {
+    const key = label || "Unknown";
+    target[key] = target[key] || { correct: 0, total: 0 };
+    target[key].total += 1;
+    if (isCorrect) target[key].correct += 1;
+}
+
+// Document what the buildBreakdown function does in this block comment.
+/**
+ * Summarizes a graded round by category and by difficulty, for storing with the score.
+ * @param {Object} game - The game model from game.createGame.
+ * @param {{ results: Object[] }} grade - The result of grader.gradeGame.
+ * @returns {{ byCategory: Object<string, {correct: number, total: number}>, byDifficulty: Object<string, {correct: number, total: number}> }} The breakdown.
+ */
+function buildBreakdown(game, grade) {
+    const breakdown = { byCategory: {}, byDifficulty: {} };
+    // Grade results are in question order, so they line up with game.questions.
+    game.questions.forEach((question, i) => {
+        const isCorrect = grade.results[i].isCorrect;
+        tally(breakdown.byCategory, question.category, isCorrect);
+        tally(breakdown.byDifficulty, question.difficulty, isCorrect);
+    });
+    return breakdown;
+}
+
+// Merge a stored breakdown map into running totals.
+function mergeTallies(target, source) {
+    Object.keys(source || {}).forEach((label) => {
+        const entry = source[label];
+        // Skip entries that do not look like tallies (hand-edited or imported data).
+        if (!entry || !Number.isInteger(entry.total) || !Number.isInteger(entry.correct)) return;
+        target[label] = target[label] || { correct: 0, total: 0 };
+        target[label].correct += entry.correct;
+        target[label].total += entry.total;
+    });
+}
+
+// Turn a tally map into rows with a percentage.
+function toRows(tallies) {
+    return Object.keys(tallies).map((label) => ({
+        label: label,
+        correct: tallies[label].correct,
+        total: tallies[label].total,
+        percent: percent(tallies[label].correct, tallies[label].total)
+    }));
+}
+
+// Document what the listPlayers function does in this block comment.
+/**
+ * Lists every player found in the records.
+ * @param {Object[]} records - Stored score records.
+ * @returns {{ key: string, name: string, games: number }[]} One entry per player, most games first.
+ */
+function listPlayers(records) {
+    const players = {};
+    records.forEach((record) => {
+        const key = normalizeName(record.name);
+        if (!key) return;
+        // Show the spelling from the player's most recent game.
+        const player = players[key] = players[key] || { key: key, name: record.name, games: 0, lastTs: -Infinity };
+        player.games += 1;
+        if (record.ts > player.lastTs) {
+            player.lastTs = record.ts;
+            player.name = record.name.trim();
+        }
+    });
+    return Object.keys(players)
+        .map((key) => ({ key: key, name: players[key].name, games: players[key].games }))
+        .sort((a, b) => b.games - a.games || a.name.localeCompare(b.name));
+}
+
+// Document what the getPlayerStats function does in this block comment.
+/**
+ * Builds the dashboard figures for one player.
+ * @param {Object[]} records - Stored score records.
+ * @param {string} name - The player's name, in any spelling that normalizes to the same key.
+ * @returns {?Object} The statistics, or null when the player has no games.
+ */
+function getPlayerStats(records, name) {
+    const key = normalizeName(name);
+    // Collect this player's games, oldest first for the trend.
+    const games = records
+        .filter((record) => normalizeName(record.name) === key)
+        .sort((a, b) => (a.ts || 0) - (b.ts || 0));
+    if (games.length === 0) return null;
+
+    // One percentage per game, in play order.
+    const trend = games.map((record) => ({ ts: record.ts, percent: percent(record.correct, record.total) }));
+    const percents = trend.map((point) => point.percent);
+    const average = (list) => list.length ? Math.round(list.reduce((sum, value) => sum + value, 0) / list.length) : null;
+
+    // Add up the stored breakdowns; older games saved before breakdowns existed are counted separately.
+    const byCategory = {};
+    const byDifficulty = {};
+    let withoutBreakdown = 0;
+    games.forEach((record) => {
+        if (!record.breakdown) {
+            withoutBreakdown++;
+            return;
+        }
+        mergeTallies(byCategory, record.breakdown.byCategory);
+        mergeTallies(byDifficulty, record.breakdown.byDifficulty);
+    });
+
+    // Rank difficulties easy → hard, and categories by how often they were played.
+    const rank = (label) => {
+        const i = DIFFICULTY_ORDER.indexOf(label);
+        return i === -1 ? DIFFICULTY_ORDER.length : i;
+    };
+    return {
+        key: key,
+        name: games[games.length - 1].name.trim(),
+        games: games.length,
+        averagePercent: average(percents),
+        bestPercent: Math.max.apply(null, percents),
+        trend: trend,
+        // Recent form: the last few games against the few before them (null when there are none).
+        recentAverage: average(percents.slice(-RECENT_GAMES)),
+        previousAverage: average(percents.slice(-2 * RECENT_GAMES, -RECENT_GAMES)),
+        byCategory: toRows(byCategory).sort((a, b) => b.total - a.total || a.label.localeCompare(b.label)),
+        byDifficulty: toRows(byDifficulty).sort((a, b) => rank(a.label) - rank(b.label) || a.label.localeCompare(b.label)),
+        gamesWithoutBreakdown: withoutBreakdown
+    };
+}
+
+// Expose the public helpers.
+export {
+    RECENT_GAMES,
+    normalizeName,
+    buildBreakdown,
+    listPlayers,
+    getPlayerStats
+};
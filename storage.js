@@ -0,0 +1,514 @@
+// Provide a high-level description of the score storage module.
+/**
+ * Versioned score storage.
+ * Scores are kept in localStorage under "scores" as `{ version, backend, records }`.
+ * On load the data is migrated from older schema versions (the original format was a
+ * bare array), and every record is validated: good rows are kept, bad rows are moved
+ * to a quarantine list instead of being dropped; when storage is too full to set them aside,
+ * they are left where they are and nothing is saved over them. Quarantine entries record why with a
+ * stable code (see validateRecord), which describeProblem translates when it is shown. Retention settings prune old rows,
+ * and large histories can live in IndexedDB, with "scores" then only pointing there.
+ * Records are cached in memory after `init()`, so reads are synchronous. Every change
+ * starts from the stored rows rather than the cache, so saves made by another open tab
+ * are kept instead of being overwritten.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+
+// Current schema version of the "scores" envelope.
+const SCHEMA_VERSION = 2;
+// localStorage key that holds the envelope.
+const SCORES_KEY = "scores";
+// localStorage key that holds rows that failed validation.
+const QUARANTINE_KEY = "scoresQuarantine";
+// localStorage key that holds the retention settings.
+const RETENTION_KEY = "scoreRetention";
+// IndexedDB database, object store and key used by the IndexedDB backend.
+const DB_NAME = "trivia-game";
+const DB_STORE = "scores";
+const DB_RECORDS_KEY = "records";
+// Retention used until the player changes it: 0 means "no limit", so nothing is pruned until the player sets a limit.
+const DEFAULT_RETENTION = { maxRecords: 0, maxAgeDays: 0, backend: "auto" };
+// Milliseconds in one day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Migrations keyed by the version they upgrade from; each returns the next version's envelope.
+const MIGRATIONS = {
+    // Version 1 is the original unversioned array of { name, correct, total, ts }.
+    1: (data) => ({ version: 2, backend: "localStorage", records: data })
+};
+
+// Records currently in storage, oldest first.
+let records = [];
+// Backend the records currently live in: "localStorage" or "indexedDB".
+let backend = "localStorage";
+
+// Document what the StorageQuotaError class represents.
+/**
+ * Raised when scores cannot be saved because the browser storage is full,
+ * even after falling back to IndexedDB and pruning old rows.
+ */
+class StorageQuotaError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = "StorageQuotaError";
+        this.cause = cause;
+    }
+}
+
+// Check whether an error from localStorage means "storage is full".
+function isQuotaError(error) {
+    return !!error && (
+        error.name === "QuotaExceededError" ||
+        error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+// Document what the validateRecord function does in this block comment.
+/**
+ * Checks one score record.
+ * @param {*} record - A candidate record.
+ * @returns {?string} A code for the reason the record is invalid ("notObject", "noName", "badTotal",
+ *     "badCorrect", "correctOverTotal" or "noTimestamp"), or null when it is fine.
+ */
+function validateRecord(record) {
+    // Records must be plain objects.
+    if (!record || typeof record !== "object" || Array.isArray(record)) return "notObject";
+    // A player name is required.
+    if (typeof record.name !== "string" || !record.name.trim()) return "noName";
+    // Scores must be whole numbers that make sense together.
+    if (!Number.isInteger(record.total) || record.total < 1) return "badTotal";
+    if (!Number.isInteger(record.correct) || record.correct < 0) return "badCorrect";
+    if (record.correct > record.total) return "correctOverTotal";
+    // A timestamp is needed for sorting and retention.
+    if (typeof record.ts !== "number" || !isFinite(record.ts)) return "noTimestamp";
+    return null;
+}
+
+// Describe a problem code from validateRecord or the quarantine in the current language (older entries hold text).
+function describeProblem(code) {
+    return i18n.has(`record.${code}`) ? i18n.t(`record.${code}`) : String(code);
+}
+
+// Safely read the quarantine list from localStorage.
+function getQuarantine() {
+    // Retrieve the raw JSON string for the quarantine.
+    const raw = localStorage.getItem(QUARANTINE_KEY);
+    // If nothing is stored yet, the quarantine is empty.
+    if (!raw) return [];
+    // Attempt to parse the JSON into an array.
+    try {
+        const list = JSON.parse(raw);
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        // Log a warning and treat the quarantine as empty if parsing fails.
+        console.error("Invalid score quarantine in storage:", e);
+        return [];
+    }
+}
+
+// Document what the quarantine function does in this block comment.
+/**
+ * Adds entries to the quarantine list. A failed write is logged rather than thrown, so
+ * loading carries on: the page must still start when storage is full.
+ * @param {Object[]} entries - The entries ({ raw | record, reason }).
+ * @returns {boolean} True when the entries were saved (or there were none).
+ */
+function quarantine(entries) {
+    // Nothing to do for an empty batch.
+    if (entries.length === 0) return true;
+    // Stamp each entry with the time it was set aside.
+    const now = Date.now();
+    const list = getQuarantine().concat(entries.map((entry) => Object.assign({ quarantinedTs: now }, entry)));
+    try {
+        localStorage.setItem(QUARANTINE_KEY, JSON.stringify(list));
+        return true;
+    } catch (error) {
+        console.error("Could not set unreadable scores aside:", error);
+        return false;
+    }
+}
+
+// Document what the quarantineEnvelope function does in this block comment.
+/**
+ * Moves the unreadable "scores" text to the quarantine, freeing its own space first if storage is full.
+ * When even that fails, the text is put back under "scores", so the only copy is never lost.
+ * @param {string} raw - The unreadable text.
+ * @param {string} reason - The problem code ("invalidJson" or "unknownFormat").
+ * @returns {boolean} True when the text is now in the quarantine.
+ */
+function quarantineEnvelope(raw, reason) {
+    if (quarantine([{ raw: raw, reason: reason }])) return true;
+    localStorage.removeItem(SCORES_KEY);
+    if (quarantine([{ raw: raw, reason: reason }])) return true;
+    // It fitted before it was removed, so it fits again.
+    localStorage.setItem(SCORES_KEY, raw);
+    return false;
+}
+
+// Remove everything from the quarantine list.
+function clearQuarantine() {
+    localStorage.removeItem(QUARANTINE_KEY);
+}
+
+// Read the retention settings, filling in defaults.
+function getRetention() {
+    // Retrieve the raw JSON string for the settings.
+    const raw = localStorage.getItem(RETENTION_KEY);
+    // If nothing is stored yet, use the defaults.
+    if (!raw) return Object.assign({}, DEFAULT_RETENTION);
+    // Attempt to parse the JSON and merge it over the defaults.
+    try {
+        return Object.assign({}, DEFAULT_RETENTION, JSON.parse(raw));
+    } catch (e) {
+        // Log a warning and use the defaults if parsing fails.
+        console.error("Invalid retention settings in storage:", e);
+        return Object.assign({}, DEFAULT_RETENTION);
+    }
+}
+
+// Document what the setRetention function does in this block comment.
+/**
+ * Saves new retention settings and applies them straight away.
+ * @param {{ maxRecords?: number, maxAgeDays?: number, backend?: string }} changes - Settings to change.
+ * @returns {Promise<{ pruned: number }>} How many rows the new settings removed.
+ */
+function setRetention(changes) {
+    // Merge the changes over the current settings and store them.
+    const retention = Object.assign(getRetention(), changes);
+    localStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+    return withLatestRecords(() => {
+        // Apply the pruning rules to the current records.
+        const before = records.length;
+        records = prune(records, retention);
+        // Move the records when an explicit backend was chosen.
+        const previous = backend;
+        if (retention.backend === "indexedDB" && isIndexedDbAvailable()) backend = "indexedDB";
+        if (retention.backend === "localStorage") backend = "localStorage";
+        // Save, drop the old IndexedDB copy after moving back, and report what was removed.
+        return persist()
+            .then(() => previous === "indexedDB" && backend === "localStorage"
+                ? withStore("readwrite", (store) => store.delete(DB_RECORDS_KEY))
+                : null)
+            .then(() => ({ pruned: before - records.length }));
+    });
+}
+
+// Apply the retention rules: drop rows past the age limit, then keep only the newest maxRecords.
+function prune(list, retention) {
+    // Start from a copy sorted oldest first.
+    let kept = list.slice().sort((a, b) => a.ts - b.ts);
+    // Drop rows older than the age limit, when there is one.
+    if (retention.maxAgeDays > 0) {
+        const cutoff = Date.now() - retention.maxAgeDays * DAY_MS;
+        kept = kept.filter((record) => record.ts >= cutoff);
+    }
+    // Keep only the newest rows when over the count limit.
+    if (retention.maxRecords > 0 && kept.length > retention.maxRecords) {
+        kept = kept.slice(kept.length - retention.maxRecords);
+    }
+    return kept;
+}
+
+// Check whether this browser offers IndexedDB.
+function isIndexedDbAvailable() {
+    return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+// Open (and create on first use) the IndexedDB database.
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        // Create the object store the first time the database is opened.
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the IndexedDB object store.
+function withStore(mode, action) {
+    return openDb().then((db) => new Promise((resolve, reject) => {
+        const tx = db.transaction(DB_STORE, mode);
+        const request = action(tx.objectStore(DB_STORE));
+        // Resolve once the transaction has committed.
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+        tx.onabort = () => {
+            db.close();
+            reject(tx.error);
+        };
+    }));
+}
+
+// Write the envelope to localStorage (throws on quota errors).
+function writeEnvelope() {
+    // The IndexedDB backend leaves only a pointer in localStorage.
+    const envelope = backend === "indexedDB"
+        ? { version: SCHEMA_VERSION, backend: "indexedDB" }
+        : { version: SCHEMA_VERSION, backend: "localStorage", records: records };
+    localStorage.setItem(SCORES_KEY, JSON.stringify(envelope));
+}
+
+// Document what the persist function does in this block comment.
+/**
+ * Saves the cached records to the current backend.
+ * When localStorage is full, the records move to IndexedDB (unless the player chose
+ * localStorage only); failing that, the oldest rows are dropped until the rest fits.
+ * @returns {Promise<{ droppedForQuota: number }>} How many rows had to be dropped to fit.
+ */
+function persist() {
+    // IndexedDB: store the records there, then the pointer.
+    if (backend === "indexedDB") {
+        return withStore("readwrite", (store) => store.put(records, DB_RECORDS_KEY))
+            .then(() => {
+                writeEnvelope();
+                return { droppedForQuota: 0 };
+            });
+    }
+    // localStorage: try to write directly.
+    try {
+        writeEnvelope();
+        return Promise.resolve({ droppedForQuota: 0 });
+    } catch (error) {
+        if (!isQuotaError(error)) return Promise.reject(error);
+        return handleQuotaExceeded(error);
+    }
+}
+
+// Recover from a full localStorage (see persist).
+function handleQuotaExceeded(error) {
+    // Prefer moving to IndexedDB so nothing is lost.
+    if (getRetention().backend !== "localStorage" && isIndexedDbAvailable()) {
+        backend = "indexedDB";
+        return persist();
+    }
+    // Otherwise drop the oldest tenth of the rows until the rest fits.
+    const before = records.length;
+    while (records.length > 1) {
+        records = records.slice(Math.max(1, Math.floor(records.length / 10)));
+        try {
+            writeEnvelope();
+            return Promise.resolve({ droppedForQuota: before - records.length });
+        } catch (retryError) {
+            if (!isQuotaError(retryError)) return Promise.reject(retryError);
+        }
+    }
+    return Promise.reject(new StorageQuotaError(i18n.t("storage.fullNotSaved"), error));
+}
+
+// Document what the readEnvelope function does in this block comment.
+/**
+ * Reads the "scores" key and migrates it to the current schema.
+ * Unreadable data is copied to the quarantine before being replaced, so it is never lost.
+ * @throws {StorageQuotaError} When unreadable data cannot be set aside; it is then left where it is.
+ * @returns {{ envelope: Object, migratedFrom: ?number, corrupt: boolean }} The current-version envelope.
+ */
+function readEnvelope() {
+    // Start from an empty current-version envelope.
+    const empty = { version: SCHEMA_VERSION, backend: "localStorage", records: [] };
+    // Retrieve the raw JSON string for "scores".
+    const raw = localStorage.getItem(SCORES_KEY);
+    // If nothing is stored yet, start empty.
+    if (!raw) return { envelope: empty, migratedFrom: null, corrupt: false };
+    // Attempt to parse the JSON.
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (e) {
+        // Keep the unreadable text aside instead of silently discarding it.
+        console.error("Invalid scores in storage:", e);
+        if (!quarantineEnvelope(raw, "invalidJson")) throw new StorageQuotaError(i18n.t("storage.corruptNotSetAside"));
+        return { envelope: empty, migratedFrom: null, corrupt: true };
+    }
+    // Work out the schema version (a bare array is version 1).
+    let version = Array.isArray(data) ? 1 : data && typeof data === "object" ? data.version : undefined;
+    const migratedFrom = version < SCHEMA_VERSION ? version : null;
+    // Apply migrations one version at a time.
+    while (typeof version === "number" && version < SCHEMA_VERSION && MIGRATIONS[version]) {
+        data = MIGRATIONS[version](data);
+        version = data.version;
+    }
+    // Anything we still cannot read is set aside as a whole.
+    if (version !== SCHEMA_VERSION || (data.backend !== "indexedDB" && !Array.isArray(data.records))) {
+        if (!quarantineEnvelope(raw, "unknownFormat")) throw new StorageQuotaError(i18n.t("storage.corruptNotSetAside"));
+        return { envelope: empty, migratedFrom: null, corrupt: true };
+    }
+    return { envelope: data, migratedFrom: migratedFrom, corrupt: false };
+}
+
+// Split stored rows into valid records and quarantine entries ({ record, reason }) for the rest.
+function splitRows(rows) {
+    const good = [];
+    const bad = [];
+    (Array.isArray(rows) ? rows : []).forEach((row) => {
+        const reason = validateRecord(row);
+        if (reason) {
+            bad.push({ record: row, reason: reason });
+        } else {
+            good.push(row);
+        }
+    });
+    return { good: good, bad: bad };
+}
+
+// Document what the init function does in this block comment.
+/**
+ * Loads, migrates, validates and prunes the stored scores. Call once on startup.
+ * When invalid rows cannot be set aside, they are hidden but nothing is written back, so they stay in storage.
+ * @returns {Promise<{ loaded: number, quarantined: number, notSetAside: number, migratedFrom: ?number, corrupt: boolean, pruned: number }>} What happened while loading.
+ */
+function init() {
+    // Read and migrate the envelope; report a storage that cannot be read through the promise.
+    let read;
+    try {
+        read = readEnvelope();
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    backend = read.envelope.backend === "indexedDB" ? "indexedDB" : "localStorage";
+    // Load the rows from wherever they live.
+    const loadRows = backend === "indexedDB"
+        ? withStore("readonly", (store) => store.get(DB_RECORDS_KEY)).then((rows) => rows || [])
+        : Promise.resolve(read.envelope.records);
+    return loadRows.then((rows) => {
+        // Split valid rows from invalid ones.
+        const split = splitRows(rows);
+        const good = split.good;
+        const bad = split.bad;
+        // Set invalid rows aside.
+        const setAside = quarantine(bad);
+        // Apply the retention rules.
+        records = prune(good, getRetention());
+        const pruned = good.length - records.length;
+        // Build the load report.
+        const report = {
+            loaded: records.length,
+            quarantined: setAside ? bad.length : 0,
+            notSetAside: setAside ? 0 : bad.length,
+            migratedFrom: read.migratedFrom,
+            corrupt: read.corrupt,
+            pruned: pruned
+        };
+        // Never write over invalid rows that are not safely in the quarantine.
+        if (!setAside) return report;
+        // Write back only when something changed.
+        if (read.migratedFrom !== null || read.corrupt || bad.length > 0 || pruned > 0) {
+            return persist().then(() => report);
+        }
+        return report;
+    });
+}
+
+// Document what the withLatestRecords function does in this block comment.
+/**
+ * Reloads the cache from storage, then runs a change against it. Another tab may have saved
+ * since this one loaded, so changes never start from a stale cache. With localStorage the
+ * reload (and the change) happen straight away, so getAll sees the result without waiting.
+ * Rows that fail validation are quarantined first; when they cannot be, nothing is saved.
+ * @param {function(): Promise} change - Updates `records` and persists them.
+ * @returns {Promise} The change's result.
+ */
+function withLatestRecords(change) {
+    // Keep the valid rows, setting the others aside; refuse to save over any that cannot be.
+    const keepValid = (rows) => {
+        const split = splitRows(rows);
+        if (!quarantine(split.bad)) throw new StorageQuotaError(i18n.t("storage.fullNotSaved"));
+        return split.good;
+    };
+    try {
+        const read = readEnvelope();
+        backend = read.envelope.backend === "indexedDB" ? "indexedDB" : "localStorage";
+        if (backend === "indexedDB") {
+            return withStore("readonly", (store) => store.get(DB_RECORDS_KEY)).then((rows) => {
+                records = keepValid(rows);
+                return change();
+            });
+        }
+        records = keepValid(read.envelope.records);
+    } catch (error) {
+        // Report storage errors through the promise, like every other failure to save.
+        return Promise.reject(error);
+    }
+    return change();
+}
+
+// Return a copy of every stored record, oldest first.
+function getAll() {
+    return records.slice();
+}
+
+// Document what the add function does in this block comment.
+/**
+ * Validates and stores one score record.
+ * @param {Object} record - The record to add.
+ * @returns {Promise<{ droppedForQuota: number }>} Resolves once saved; rejects for invalid records or a full storage.
+ */
+function add(record) {
+    // Refuse records that would fail validation on the next load.
+    const reason = validateRecord(record);
+    if (reason) return Promise.reject(new Error(`Invalid score record: ${describeProblem(reason)}.`));
+    // Add it to the stored rows, apply retention and save.
+    return withLatestRecords(() => {
+        records = prune(records.concat([record]), getRetention());
+        return persist();
+    });
+}
+
+// Document what the addMany function does in this block comment.
+/**
+ * Validates and stores several records at once (used by score import).
+ * @param {Object[]} list - The records to add; every one must pass validation.
+ * @returns {Promise<{ droppedForQuota: number }>} Resolves once saved; rejects if any record is invalid.
+ */
+function addMany(list) {
+    // Refuse the whole batch if any record would fail validation.
+    for (let i = 0; i < list.length; i++) {
+        const reason = validateRecord(list[i]);
+        if (reason) return Promise.reject(new Error(`Invalid score record ${i + 1}: ${describeProblem(reason)}.`));
+    }
+    // Add them to the stored rows, apply retention and save.
+    return withLatestRecords(() => {
+        records = prune(records.concat(list), getRetention());
+        return persist();
+    });
+}
+
+// Remove every stored record (the quarantine is left alone).
+function clear() {
+    records = [];
+    return persist();
+}
+
+// Return the backend the records currently live in.
+function getBackend() {
+    return backend;
+}
+
+// Expose the public API.
+export {
+    SCHEMA_VERSION,
+    StorageQuotaError,
+    init,
+    getAll,
+    add,
+    addMany,
+    clear,
+    validateRecord,
+    describeProblem,
+    getQuarantine,
+    clearQuarantine,
+    getRetention,
+    setRetention,
+    getBackend,
+    isIndexedDbAvailable
+};
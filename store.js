@@ -0,0 +1,49 @@
+// Provide a high-level description of the game-state store.
+/**
+ * A small store for the state of the round being played: its settings, the game model, a
+ * hot-seat match or live room, and whether its progress is being saved. script.js reads the
+ * state object and changes it only through setState, so every change is in one place and a
+ * test can set up or inspect a round without going through the page.
+ * The store tracks which objects are current; the objects themselves may change in place
+ * (the game model, for instance, records answer times as the round goes on).
+ */
+
+// Document what the createStore function does in this block comment.
+/**
+ * Creates a store holding the given state.
+ * @param {Object} initialState - The starting values; these keys are the only ones setState accepts.
+ * @returns {{ getState: function(): Object, setState: function(Object): Object }} The store.
+ */
+function createStore(initialState) {
+    // The state object handed out by getState; it is updated in place so references stay current.
+    const state = Object.assign({}, initialState);
+
+    // Return the live state object (read it, but change it with setState).
+    function getState() {
+        return state;
+    }
+
+    // Document what the setState function does in this block comment.
+    /**
+     * Changes some of the state.
+     * @param {Object} changes - New values by key.
+     * @returns {Object} The updated state.
+     */
+    function setState(changes) {
+        Object.keys(changes).forEach((key) => {
+            // Catch a mistyped key here rather than as a value that is never read.
+            if (!Object.prototype.hasOwnProperty.call(state, key)) {
+                throw new Error(`Unknown state key: ${key}`);
+            }
+            state[key] = changes[key];
+        });
+        return state;
+    }
+
+    return { getState: getState, setState: setState };
+}
+
+// Expose the public API.
+export {
+    createStore
+};
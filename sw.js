@@ -0,0 +1,181 @@
+// Provide a high-level description of the service worker.
+/**
+ * Service worker that lets the game install and play offline. On install it precaches the
+ * page, its stylesheet, every module script (the offline question bank included) and the
+ * manifest. App files are fetched from the network first, so a reload picks up changes,
+ * and come from the cache when there is no connection.
+ *
+ * Open Trivia DB question responses are kept in a second cache, MAX_API_ENTRIES at most,
+ * keyed by the request without its session token. Offline, a request for the same settings
+ * is answered with the most recent matching round; with no match it fails as usual and the
+ * game falls back to the offline question bank.
+ *
+ * This is a classic worker script (not a module), so it runs in every browser that has
+ * service workers. Add new files to APP_FILES and bump CACHE_VERSION when the file list changes.
+ */
+
+// Version of the caches; old versions are deleted when a new worker activates.
+const CACHE_VERSION = "v1";
+// Cache holding the app's own files.
+const APP_CACHE = `trivia-app-${CACHE_VERSION}`;
+// Cache holding recent Open Trivia DB responses.
+const API_CACHE = `trivia-api-${CACHE_VERSION}`;
+// Most question responses kept for offline play (the oldest are dropped first).
+const MAX_API_ENTRIES = 20;
+// Host that serves the trivia API.
+const API_HOST = "opentdb.com";
+// Paths on that host whose responses are worth replaying offline (questions and categories, not tokens).
+const CACHED_API_PATHS = ["/api.php", "/api_category.php"];
+// Files the game needs to start without a connection, relative to the worker's folder.
+const APP_FILES = [
+    "./",
+    "index.html",
+    "styles.css",
+    "manifest.webmanifest",
+    "icon.svg",
+    "script.js",
+    "store.js",
+    "view.js",
+    "i18n.js",
+    "messages-en.js",
+    "messages-fr.js",
+    "csv.js",
+    "question-bank.js",
+    "questions.js",
+    "timer.js",
+    "game.js",
+    "grader.js",
+    "scoring.js",
+    "storage.js",
+    "score-transfer.js",
+    "stats.js",
+    "leaderboard.js",
+    "saved-game.js",
+    "match.js",
+    "mistakes.js",
+    "daily.js",
+    "decks.js",
+    "room.js"
+];
+
+// Build the key an API response is cached under: the request URL without the session token.
+function apiCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete("token");
+    return key.href;
+}
+
+// Document what the rememberApiResponse function does in this block comment.
+/**
+ * Caches a successful question or category response, dropping the oldest entries over the limit.
+ * Only response_code 0 is kept, so an offline replay never repeats an error.
+ * @param {string} url - The request URL.
+ * @param {Response} response - A clone of the network response.
+ * @returns {Promise<void>} Resolves once the cache is updated (or the response was skipped).
+ */
+function rememberApiResponse(url, response) {
+    return response.json().then((data) => {
+        // Category lists have no response code; question responses must have succeeded.
+        if (data && typeof data.response_code === "number" && data.response_code !== 0) return;
+        return caches.open(API_CACHE).then((cache) => {
+            // Store a fresh copy so it moves to the end of the cache's key order.
+            const key = apiCacheKey(url);
+            const copy = new Response(JSON.stringify(data), { headers: { "Content-Type": "application/json" } });
+            return cache.delete(key)
+                .then(() => cache.put(key, copy))
+                .then(() => cache.keys())
+                // Keys come back oldest first.
+                .then((keys) => Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_API_ENTRIES)).map((old) => cache.delete(old))));
+        });
+    }).catch((error) => {
+        // A response we cannot read or store is simply not replayed later.
+        console.warn("Could not cache an API response:", error);
+    });
+}
+
+// Document what the handleApiRequest function does in this block comment.
+/**
+ * Answers an Open Trivia DB request from the network, remembering the response; offline,
+ * answers it with the last response for the same settings.
+ * @param {Request} request - The API request.
+ * @returns {Promise<Response>} The network or cached response; rejects when offline with nothing cached.
+ */
+function handleApiRequest(request) {
+    return fetch(request)
+        .then((response) => {
+            if (response.ok) rememberApiResponse(request.url, response.clone());
+            return response;
+        })
+        .catch((error) => caches.open(API_CACHE)
+            .then((cache) => cache.match(apiCacheKey(request.url)))
+            // Fail as the network did, so the game can fall back to the offline bank.
+            .then((cached) => cached || Promise.reject(error)));
+}
+
+// Document what the handleAppRequest function does in this block comment.
+/**
+ * Answers a request for one of the app's files from the network, updating the cache;
+ * offline, answers it from the cache (any page navigation gets the cached index.html).
+ * @param {Request} request - The same-origin request.
+ * @returns {Promise<Response>} The network or cached response.
+ */
+function handleAppRequest(request) {
+    return fetch(request)
+        .then((response) => {
+            // Keep the cached copy of precached files in step with the server.
+            if (response.ok && isAppFile(request.url)) {
+                const copy = response.clone();
+                caches.open(APP_CACHE).then((cache) => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch((error) => caches.match(request, { cacheName: APP_CACHE, ignoreSearch: true })
+            .then((cached) => {
+                if (cached) return cached;
+                // Any page of the app opens as the game.
+                if (request.mode === "navigate") {
+                    return caches.match("index.html", { cacheName: APP_CACHE }).then((page) => page || Promise.reject(error));
+                }
+                return Promise.reject(error);
+            }));
+}
+
+// Return true when the URL is one of the precached app files.
+function isAppFile(url) {
+    const scope = self.registration.scope;
+    return url.startsWith(scope) && APP_FILES.indexOf(url.slice(scope.length).split("?")[0] || "./") !== -1;
+}
+
+// Precache the app files, then take over from any older worker straight away.
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            // Fetch past the HTTP cache so the precache holds the current files.
+            .then((cache) => cache.addAll(APP_FILES.map((file) => new Request(file, { cache: "reload" }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Delete the caches of older versions and control the open pages.
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith("trivia-") && name !== APP_CACHE && name !== API_CACHE)
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Route GET requests: the trivia API to the API cache, the app's own files to the app cache.
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    // Leave anything but plain reads (and the room server's WebSocket) to the browser.
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    if (url.hostname === API_HOST && CACHED_API_PATHS.indexOf(url.pathname) !== -1) {
+        event.respondWith(handleApiRequest(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(handleAppRequest(request));
+    }
+});
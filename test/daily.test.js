@@ -0,0 +1,82 @@
+// Tests for when the daily challenge's one attempt is used up.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadPage, submit, waitFor } from "./page.js";
+
+// Start today's challenge, asking for more questions than it has.
+async function startDaily(storage) {
+    await loadPage({ storage: storage });
+    document.getElementById("question-source").value = "daily";
+    document.getElementById("setup-amount").value = "20";
+    submit(document.getElementById("setup-form"));
+    await waitFor(() => document.querySelectorAll("#question-container fieldset").length > 0
+        || !document.getElementById("error-container").classList.contains("hidden"));
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+// Copy every localStorage entry, to carry it over a reload.
+function keepStorage() {
+    return Object.fromEntries(Object.keys(localStorage).map((key) => [key, localStorage.getItem(key)]));
+}
+
+// Pick an answer for every question and submit the round.
+function finishRound() {
+    document.getElementById("username").value = "Ada";
+    document.querySelectorAll("#question-container fieldset").forEach((block) => {
+        block.querySelector('input[type="radio"]').checked = true;
+    });
+    submit(document.getElementById("trivia-form"));
+}
+
+describe("daily challenge", () => {
+    it("uses up the day's attempt once its questions are shown", async () => {
+        await startDaily();
+        expect(document.querySelectorAll("#question-container fieldset")).toHaveLength(10);
+        // The fixed-size round is not reported as short.
+        expect(document.getElementById("source-notice").textContent).toBe("");
+        const attempt = Object.values(JSON.parse(localStorage.getItem("triviaDaily")).days)[0];
+        expect(typeof attempt.startedTs).toBe("number");
+        expect(attempt.finishedTs).toBeUndefined();
+
+        // A reload offers the interrupted round back instead of a fresh one.
+        await loadPage({ storage: keepStorage() });
+        expect(document.getElementById("resume-prompt").classList.contains("hidden")).toBe(false);
+        // Starting over does not give the day back.
+        document.getElementById("discard-saved-game").click();
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        document.getElementById("question-source").value = "daily";
+        submit(document.getElementById("setup-form"));
+        await waitFor(() => !document.getElementById("error-container").classList.contains("hidden"));
+        expect(document.getElementById("error-message").textContent).toMatch(/^You've already started today's challenge/);
+    });
+
+    it("records a resumed round when it is submitted", async () => {
+        await startDaily();
+        await loadPage({ storage: keepStorage() });
+        document.getElementById("resume-game").click();
+        expect(document.querySelectorAll("#question-container fieldset")).toHaveLength(10);
+
+        finishRound();
+        const saved = localStorage.getItem("triviaDaily");
+        expect(Object.values(JSON.parse(saved).days)[0]).toMatchObject({ total: 10 });
+
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        await startDaily({ triviaDaily: saved });
+        expect(document.getElementById("error-message").textContent).toMatch(/^You've already played today's challenge/);
+    });
+
+    it("gives back an attempt whose round failed to load, but never a finished one", async () => {
+        await loadPage();
+        const daily = await import("../daily.js");
+        daily.markStarted("2024-01-01");
+        daily.releaseAttempt("2024-01-01");
+        expect(daily.getAttempt("2024-01-01")).toBeNull();
+
+        daily.recordResult("2024-01-02", { correct: 1, total: 1, results: [{ isCorrect: true }] });
+        daily.releaseAttempt("2024-01-02");
+        expect(daily.getAttempt("2024-01-02")).toMatchObject({ correct: 1, total: 1 });
+    });
+});
@@ -0,0 +1,87 @@
+// Tests for grading a round through handleFormSubmit, with Open Trivia DB mocked.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadPage, submit, waitFor } from "./page.js";
+
+// The round the fake API serves.
+const QUESTIONS = [
+    { type: "multiple", difficulty: "easy", category: "Geography", question: "Capital of France?", correct_answer: "Paris", incorrect_answers: ["Lyon", "Nice", "Lille"] },
+    { type: "multiple", difficulty: "medium", category: "Science", question: "Symbol for gold?", correct_answer: "Au", incorrect_answers: ["Ag", "Gd", "Go"] },
+    { type: "boolean", difficulty: "hard", category: "History", question: "Rome was founded in 753 BC.", correct_answer: "True", incorrect_answers: ["False"] }
+];
+
+// Load the page and start a round of the fake API's questions.
+async function startRound() {
+    const page = await loadPage({ questions: QUESTIONS });
+    document.getElementById("setup-amount").value = String(QUESTIONS.length);
+    submit(document.getElementById("setup-form"));
+    await waitFor(() => document.querySelectorAll("#question-container fieldset").length === QUESTIONS.length);
+    return page;
+}
+
+// Check the radio whose label reads the given answer in question block i.
+function choose(i, answer) {
+    const block = document.querySelectorAll("#question-container fieldset")[i];
+    const label = Array.from(block.querySelectorAll("label")).find((el) => el.textContent.trim() === answer);
+    label.querySelector("input").checked = true;
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe("handleFormSubmit", () => {
+    it("grades the selections and saves the score", async () => {
+        const page = await startRound();
+        // The question request went to the API with the session token.
+        expect(page.fetch.mock.calls.some(([url]) => url.includes("api.php?") && url.includes("token=test-token"))).toBe(true);
+        // The page never carries the correct answer.
+        expect(document.getElementById("question-container").innerHTML).not.toContain('value="Paris"');
+
+        document.getElementById("username").value = "  Ada  ";
+        choose(0, "Paris");
+        choose(1, "Ag");
+        choose(2, "True");
+        submit(document.getElementById("trivia-form"));
+
+        expect(document.getElementById("result-summary").textContent).toBe("Nice job, Ada! You scored 2/3.");
+        // The wrong pick and the right answer are marked once the round is over.
+        const second = document.querySelectorAll("#question-container fieldset")[1];
+        expect(second.querySelector(".incorrect").textContent).toContain("Ag");
+        expect(second.querySelector(".correct").textContent).toContain("Au");
+        // The score lands in storage with the round's settings.
+        await waitFor(() => localStorage.getItem("scores").includes("Ada"));
+        const saved = JSON.parse(localStorage.getItem("scores")).records;
+        expect(saved).toHaveLength(1);
+        expect(saved[0]).toMatchObject({ name: "Ada", correct: 2, total: 3 });
+        expect(saved[0].settings.amount).toBe(3);
+        // Finishing twice is not possible.
+        expect(document.getElementById("submit-game").disabled).toBe(true);
+        expect(page.store.getState().roundInProgress).toBe(false);
+    });
+
+    it("refuses to grade until every question is answered", async () => {
+        await startRound();
+        document.getElementById("username").value = "Ada";
+        choose(0, "Paris");
+        submit(document.getElementById("trivia-form"));
+
+        expect(document.getElementById("form-error").textContent).toBe("Please answer all questions before submitting (2 unanswered).");
+        const blocks = document.querySelectorAll("#question-container fieldset");
+        expect(blocks[0].classList.contains("invalid")).toBe(false);
+        expect(blocks[1].classList.contains("invalid")).toBe(true);
+        expect(blocks[2].classList.contains("invalid")).toBe(true);
+        expect(document.getElementById("result-summary").textContent).toBe("");
+        expect(localStorage.getItem("scores")).toBeNull();
+    });
+
+    it("asks for a name before grading", async () => {
+        await startRound();
+        choose(0, "Paris");
+        choose(1, "Au");
+        choose(2, "False");
+        submit(document.getElementById("trivia-form"));
+
+        expect(document.getElementById("username-error").textContent).toBe("Please enter your name before finishing the game.");
+        expect(document.getElementById("result-summary").textContent).toBe("");
+    });
+});
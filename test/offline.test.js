@@ -0,0 +1,61 @@
+// Tests for playing without a network: the connection indicator and saving a round finished offline.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadPage, setOnline, submit, waitFor } from "./page.js";
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe("offline play", () => {
+    it("shows whether the device is online", async () => {
+        await loadPage();
+        const status = document.getElementById("connection-status");
+        expect(status.textContent).toBe("Online");
+        expect(status.className).toBe("online");
+
+        setOnline(false);
+        window.dispatchEvent(new Event("offline"));
+        expect(status.className).toBe("offline");
+        expect(status.textContent).toContain("Offline");
+
+        // The indicator follows a language change.
+        const select = document.getElementById("language-select");
+        select.value = "fr";
+        select.dispatchEvent(new Event("change"));
+        expect(status.textContent).toContain("Hors ligne");
+
+        setOnline(true);
+        window.dispatchEvent(new Event("online"));
+        expect(status.textContent).toBe("En ligne");
+    });
+
+    it("saves a round played from the offline bank", async () => {
+        // The failed requests are logged; keep the test output quiet.
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+        await loadPage({ offline: true });
+        expect(document.getElementById("connection-status").className).toBe("offline");
+
+        document.getElementById("setup-amount").value = "3";
+        submit(document.getElementById("setup-form"));
+        await waitFor(() => document.querySelectorAll("#question-container fieldset").length === 3);
+        // The round falls back to the bundled questions and says so.
+        expect(document.getElementById("source-notice").classList.contains("hidden")).toBe(false);
+
+        document.getElementById("username").value = "Ada";
+        document.querySelectorAll("#question-container fieldset").forEach((block) => {
+            block.querySelector('input[type="radio"]').checked = true;
+        });
+        submit(document.getElementById("trivia-form"));
+
+        expect(document.getElementById("result-summary").textContent).toMatch(/^Nice job, Ada! You scored \d\/3\.$/);
+        await waitFor(() => (localStorage.getItem("scores") || "").includes("Ada"));
+        const saved = JSON.parse(localStorage.getItem("scores")).records;
+        expect(saved).toHaveLength(1);
+        expect(saved[0]).toMatchObject({ name: "Ada", total: 3 });
+        expect(saved[0].settings.source).toBe("offline");
+        // The table is redrawn once the save has finished.
+        await waitFor(() => document.querySelector("#score-table tbody tr").cells.length > 1);
+        expect(document.querySelector("#score-table tbody tr").cells[1].textContent).toBe("Ada");
+    });
+});
@@ -0,0 +1,101 @@
+// Provide a high-level description of the test page helpers.
+/**
+ * Loads the game into the jsdom document the way the browser would: the body of index.html
+ * is put in place, fetch is replaced by a fake Open Trivia DB, and script.js is imported fresh
+ * so every test starts from a new page with its own modules and store.
+ */
+
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { vi } from "vitest";
+
+// The markup of the page, read once.
+const html = readFileSync(join(dirname(fileURLToPath(import.meta.url)), "..", "index.html"), "utf8");
+const body = html.slice(html.indexOf("<body>") + "<body>".length, html.indexOf("</body>"));
+
+// Categories the fake API offers.
+const CATEGORIES = [{ id: 9, name: "General Knowledge" }];
+
+// Document what the fakeApi function does in this block comment.
+/**
+ * Builds a fetch replacement that answers like Open Trivia DB.
+ * @param {Object[]} results - The plain-text questions the next question request returns.
+ * @returns {Function} A vi.fn to install as fetch; its calls record the requested URLs.
+ */
+function fakeApi(results) {
+    // Reply with a JSON body, as fetch would.
+    const reply = (data) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+    return vi.fn((url) => {
+        if (url.includes("api_category.php")) return reply({ trivia_categories: CATEGORIES });
+        if (url.includes("api_token.php")) return reply({ response_code: 0, token: "test-token" });
+        if (url.includes("api.php")) {
+            // The game asks for url3986 encoding, so encode the way the API would.
+            const encode = (text) => encodeURIComponent(text);
+            return reply({
+                response_code: 0,
+                results: results.map((q) => ({
+                    type: encode(q.type),
+                    difficulty: encode(q.difficulty),
+                    category: encode(q.category),
+                    question: encode(q.question),
+                    correct_answer: encode(q.correct_answer),
+                    incorrect_answers: q.incorrect_answers.map(encode)
+                }))
+            });
+        }
+        return Promise.reject(new TypeError(`Unexpected request: ${url}`));
+    });
+}
+
+// Document what the loadPage function does in this block comment.
+/**
+ * Resets the document and storage, then imports script.js and waits for it to finish loading scores.
+ * @param {Object} [options] - Page setup.
+ * @param {Object<string, string>} [options.storage] - localStorage entries to seed before the page loads.
+ * @param {Object[]} [options.questions] - The questions the fake API serves.
+ * @param {boolean} [options.offline] - Start without a network: navigator.onLine is false and every request fails.
+ * @returns {Promise<Object>} The exports of script.js, plus the `fetch` mock.
+ */
+async function loadPage(options) {
+    const settings = options || {};
+    // Start from a clean page and clean storage.
+    document.body.innerHTML = body;
+    localStorage.clear();
+    sessionStorage.clear();
+    Object.entries(settings.storage || {}).forEach(([key, value]) => localStorage.setItem(key, value));
+    // jsdom does not lay out or scroll, so scrolling is a no-op here.
+    Element.prototype.scrollIntoView = function () {};
+    // Replace the network with the fake API, or with one that is unreachable.
+    const fetch = settings.offline
+        ? vi.fn(() => Promise.reject(new TypeError("Failed to fetch")))
+        : fakeApi(settings.questions || []);
+    setOnline(!settings.offline);
+    vi.stubGlobal("fetch", fetch);
+    // Import a fresh copy of every module so no state leaks between tests.
+    vi.resetModules();
+    const page = await import("../script.js");
+    await page.ready;
+    return Object.assign({ fetch: fetch }, page);
+}
+
+// Set what navigator.onLine reports.
+function setOnline(online) {
+    Object.defineProperty(navigator, "onLine", { configurable: true, get: () => online });
+}
+
+// Wait until a condition holds, checking between turns of the event loop.
+async function waitFor(check) {
+    for (let i = 0; i < 50; i++) {
+        if (check()) return;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    throw new Error("Timed out waiting for the page");
+}
+
+// Submit a form the way a click on its submit button would.
+function submit(form) {
+    form.dispatchEvent(new Event("submit", { bubbles: true, cancelable: true }));
+}
+
+export { loadPage, setOnline, waitFor, submit };
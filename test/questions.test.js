@@ -0,0 +1,50 @@
+// Tests for decoding Open Trivia DB responses, with the network mocked.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import * as questions from "../questions.js";
+
+// Reply to every request with the given JSON.
+function stubApi(data) {
+    vi.stubGlobal("fetch", vi.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) })));
+}
+
+// A question in url3986 encoding with a broken percent escape.
+const MALFORMED = {
+    type: "multiple",
+    difficulty: "easy",
+    category: "General%20Knowledge",
+    question: "Broken%E0%A4%A",
+    correct_answer: "A",
+    incorrect_answers: ["B", "C", "D"]
+};
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    sessionStorage.clear();
+});
+
+describe("decodeText", () => {
+    it("decodes url3986 and base64 text", () => {
+        expect(questions.decodeText("Caf%C3%A9%20%26%20cr%C3%A8me", "url3986")).toBe("Café & crème");
+        expect(questions.decodeText("Q2Fmw6k=", "base64")).toBe("Café");
+    });
+
+    it("reports malformed text as an unexpected response", () => {
+        [["%E0%A4%A", "url3986"], ["not base64!", "base64"]].forEach(([value, encoding]) => {
+            expect(() => questions.decodeText(value, encoding)).toThrow(questions.NetworkError);
+            expect(() => questions.decodeText(value, encoding)).toThrow("Open Trivia DB returned an unexpected response.");
+        });
+    });
+});
+
+describe("loadQuestions", () => {
+    it("falls back to the offline bank when the API sends a malformed payload", async () => {
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+        stubApi({ response_code: 0, token: "test-token", results: [MALFORMED] });
+        const result = await questions.loadQuestions("api", { amount: 3 });
+
+        expect(result.fellBack).toBe(true);
+        expect(result.source).toBe("offline");
+        expect(result.questions).toHaveLength(3);
+    });
+});
@@ -0,0 +1,59 @@
+// @vitest-environment node
+// Tests for the room server's room registry, with fake connections.
+import { EventEmitter } from "node:events";
+import { createRequire } from "node:module";
+import { describe, expect, it } from "vitest";
+
+const { createRoomManager } = createRequire(import.meta.url)("../server/rooms.js");
+
+// A question set with one question.
+const QUESTIONS = [
+    { id: "q1", type: "multiple", category: "Geography", difficulty: "easy", text: "Capital of France?", options: [{ id: "a", text: "Paris" }, { id: "b", text: "Lyon" }], correctOptionId: "a" }
+];
+
+// Connect a fake client that records the messages it is sent.
+function connect(manager) {
+    const connection = new EventEmitter();
+    connection.received = [];
+    connection.send = (text) => connection.received.push(JSON.parse(text));
+    connection.message = (message) => connection.emit("message", JSON.stringify(message));
+    manager.handleConnection(connection);
+    return connection;
+}
+
+describe("rooms", () => {
+    it("forgets a room once its final standings are sent", () => {
+        const manager = createRoomManager();
+        const host = connect(manager);
+        host.message({ type: "host", questions: QUESTIONS, settings: {} });
+        const code = host.received[0].code;
+        const player = connect(manager);
+        player.message({ type: "join", code: code, name: "Ada" });
+        host.message({ type: "next" });
+        player.message({ type: "answer", questionId: "q1", optionId: "a" });
+        host.message({ type: "next" });
+
+        expect(player.received.find((m) => m.type === "finished").you.results[0].isCorrect).toBe(true);
+        expect(manager.roomCount()).toBe(0);
+
+        // The code can be hosted again, and the old host leaving does not close the new room.
+        const next = connect(manager);
+        next.message({ type: "host", questions: QUESTIONS, settings: {} });
+        host.emit("close");
+        expect(manager.roomCount()).toBe(1);
+        // Nor does it tell the players of the finished game that the room closed.
+        expect(player.received.some((m) => m.type === "roomClosed")).toBe(false);
+    });
+
+    it("tells the players when the host leaves a game in progress", () => {
+        const manager = createRoomManager();
+        const host = connect(manager);
+        host.message({ type: "host", questions: QUESTIONS, settings: {} });
+        const player = connect(manager);
+        player.message({ type: "join", code: host.received[0].code, name: "Ada" });
+        host.emit("close");
+
+        expect(player.received.find((m) => m.type === "roomClosed")).toMatchObject({ code: "hostLeft" });
+        expect(manager.roomCount()).toBe(0);
+    });
+});
@@ -0,0 +1,84 @@
+// Tests for saving the round in progress with its answers kept apart from the questions.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadPage, submit, waitFor } from "./page.js";
+
+// Answers that appear nowhere else in the round, so finding them in storage means a leak.
+const QUESTIONS = [
+    { type: "multiple", difficulty: "easy", category: "Geography", question: "Capital of Atlantis?", correct_answer: "Poseidonia", incorrect_answers: ["Lemuria", "Mu", "Hyperborea"] },
+    { type: "multiple", difficulty: "hard", category: "Science", question: "Heaviest imaginary element?", correct_answer: "Unobtainium", incorrect_answers: ["Adamantium", "Vibranium", "Mithril"] }
+];
+
+// Load the page and start a round of the questions above.
+async function startRound() {
+    const page = await loadPage({ questions: QUESTIONS });
+    document.getElementById("setup-amount").value = String(QUESTIONS.length);
+    submit(document.getElementById("setup-form"));
+    await waitFor(() => document.querySelectorAll("#question-container fieldset").length === QUESTIONS.length);
+    return page;
+}
+
+// Pick an answer the way a player would, so the round is saved.
+function choose(i, answer) {
+    const block = document.querySelectorAll("#question-container fieldset")[i];
+    const label = Array.from(block.querySelectorAll("label")).find((el) => el.textContent.trim() === answer);
+    const input = label.querySelector("input");
+    input.checked = true;
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe("saved game", () => {
+    it("does not show which answers are correct in the readable snapshot", async () => {
+        await startRound();
+        choose(0, "Mu");
+
+        const raw = localStorage.getItem("triviaSavedGame");
+        expect(raw).not.toBeNull();
+        expect(raw).not.toContain("correctOptionId");
+        expect(raw).not.toContain("correct_answer");
+        expect(raw).not.toContain("incorrect_answers");
+        // Each answer text is stored once, as an option, with nothing marking the right one.
+        ["Poseidonia", "Unobtainium"].forEach((answer) => {
+            expect(raw.split(answer)).toHaveLength(2);
+        });
+        const snapshot = JSON.parse(raw);
+        snapshot.game.questions.forEach((question) => {
+            expect(Object.keys(question).sort()).toEqual(["category", "difficulty", "id", "index", "options", "text", "type"]);
+        });
+    });
+
+    it("grades a resumed round with the restored answers", async () => {
+        await startRound();
+        choose(0, "Poseidonia");
+        const saved = localStorage.getItem("triviaSavedGame");
+
+        // Reload the page with the saved round and resume it.
+        const gameSettings = localStorage.getItem("gameSettings");
+        await loadPage({ questions: QUESTIONS, storage: { triviaSavedGame: saved, gameSettings: gameSettings } });
+        expect(document.getElementById("resume-prompt").classList.contains("hidden")).toBe(false);
+        document.getElementById("resume-game").click();
+        expect(document.querySelectorAll("#question-container fieldset")).toHaveLength(2);
+
+        choose(1, "Mithril");
+        document.getElementById("username").value = "Ada";
+        submit(document.getElementById("trivia-form"));
+        expect(document.getElementById("result-summary").textContent).toBe("Nice job, Ada! You scored 1/2.");
+        expect(localStorage.getItem("triviaSavedGame")).toBeNull();
+    });
+
+    it("discards a snapshot whose answers cannot be read", async () => {
+        await startRound();
+        choose(0, "Mu");
+        const snapshot = JSON.parse(localStorage.getItem("triviaSavedGame"));
+        snapshot.answers = "not base64!";
+
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        await loadPage({ storage: { triviaSavedGame: JSON.stringify(snapshot) } });
+        expect(document.getElementById("resume-prompt").classList.contains("hidden")).toBe(true);
+        expect(localStorage.getItem("triviaSavedGame")).toBeNull();
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,70 @@
+// Tests for checking imported score files before anything is stored.
+import { describe, expect, it } from "vitest";
+import * as scoreTransfer from "../score-transfer.js";
+import * as leaderboard from "../leaderboard.js";
+import * as storage from "../storage.js";
+import * as i18n from "../i18n.js";
+
+// A valid imported record with every optional detail.
+const RECORD = {
+    name: " Ann ",
+    correct: 3,
+    total: 4,
+    ts: Date.UTC(2024, 0, 1),
+    settings: { source: "api", category: "9", categoryName: "General Knowledge", difficulty: "easy", amount: 4 },
+    points: { total: 350, base: 300, speedBonus: 50, streakBonus: 0, bestStreak: 2 },
+    breakdown: { byCategory: { Geography: { correct: 3, total: 4 } }, byDifficulty: { easy: { correct: 3, total: 4 } } },
+    durationMs: 42000,
+    answerTimes: [1000, null, 2000, 3000]
+};
+
+// Preview a JSON export holding the given records against an empty history.
+function preview(records) {
+    const parsed = scoreTransfer.parseScoreFile(JSON.stringify({ records: records }), "scores.json");
+    return scoreTransfer.previewImport(parsed.records, []);
+}
+
+describe("previewImport", () => {
+    it("keeps well-formed details", () => {
+        const result = preview([RECORD]);
+        expect(result.invalid).toEqual([]);
+        expect(result.toAdd).toEqual([Object.assign({}, RECORD, { name: "Ann" })]);
+    });
+
+    it("leaves out details that are not in the shape the game writes", () => {
+        const result = preview([Object.assign({}, RECORD, {
+            settings: { difficulty: 3, categoryName: { x: 1 }, amount: "ten", type: "multiple" },
+            points: { total: "350" },
+            breakdown: { byCategory: { Geography: { correct: 1.5, total: 4 }, History: { correct: 5, total: 2 }, Art: { correct: 1, total: 1 } }, byDifficulty: "easy" },
+            durationMs: "long",
+            answerTimes: ["fast"],
+            matchId: 7
+        })]);
+        expect(result.toAdd).toEqual([{
+            name: "Ann",
+            correct: 3,
+            total: 4,
+            ts: RECORD.ts,
+            settings: { type: "multiple" },
+            breakdown: { byCategory: { Art: { correct: 1, total: 1 } }, byDifficulty: {} }
+        }]);
+        // The cleaned record can be listed on a board without errors.
+        expect(() => leaderboard.listBoards(result.toAdd)).not.toThrow();
+    });
+
+    it("turns numeric text in numeric settings into numbers", () => {
+        const result = preview([Object.assign({}, RECORD, { settings: { amount: "4", questionSeconds: "" } })]);
+        expect(result.toAdd[0].settings).toEqual({ amount: 4 });
+    });
+
+    it("reports invalid rows with a code that is translated when shown", () => {
+        const result = preview([Object.assign({}, RECORD, { name: "" })]);
+        expect(result.invalid).toEqual([{ row: 1, reason: "noName" }]);
+        i18n.setLanguage("fr");
+        expect(storage.describeProblem("noName")).toBe("nom du joueur manquant");
+        i18n.setLanguage("en");
+        expect(storage.describeProblem("noName")).toBe("missing player name");
+        // Entries quarantined before codes were used hold their text already.
+        expect(storage.describeProblem("saved scores were not valid JSON")).toBe("saved scores were not valid JSON");
+    });
+});
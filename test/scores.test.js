@@ -0,0 +1,139 @@
+// Tests for the score table rendered by displayScores: every sort mode, ties, ranks and the top score.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadPage } from "./page.js";
+
+// Build a stored score record; ts is a day number so the order is easy to read.
+function record(name, correct, total, day, points) {
+    const row = { name: name, correct: correct, total: total, ts: Date.UTC(2024, 0, day) };
+    if (points !== undefined) row.points = { total: points, base: points, speedBonus: 0, streakBonus: 0, bestStreak: 0 };
+    return row;
+}
+
+// Scores with ties: Bea and Cy share 80%, Dee and Eve share 50%.
+const RECORDS = [
+    record("Ann", 9, 10, 1, 900),
+    record("Bea", 8, 10, 2, 700),
+    record("Cy", 4, 5, 3, 800),
+    record("Dee", 5, 10, 4),
+    record("Eve", 1, 2, 5, 100)
+];
+
+// Load the page with the records above and the given sort mode saved.
+function loadScores(sort) {
+    return loadPage({
+        storage: {
+            scores: JSON.stringify({ version: 2, backend: "localStorage", records: RECORDS }),
+            scoreSort: sort
+        }
+    });
+}
+
+// Read the table as [rank, name, top] rows.
+function readTable() {
+    return Array.from(document.querySelectorAll("#score-table tbody tr")).map((tr) => [
+        tr.cells[0].textContent,
+        tr.cells[1].textContent,
+        tr.classList.contains("top")
+    ]);
+}
+
+// Names in table order.
+function names() {
+    return readTable().map((row) => row[1]);
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe("displayScores", () => {
+    it("shows the newest games first by default", async () => {
+        await loadPage({ storage: { scores: JSON.stringify({ version: 2, backend: "localStorage", records: RECORDS }) } });
+        expect(document.getElementById("sort-scores").value).toBe("newest");
+        expect(names()).toEqual(["Eve", "Dee", "Cy", "Bea", "Ann"]);
+    });
+
+    it("shows the oldest games first", async () => {
+        await loadScores("oldest");
+        expect(names()).toEqual(["Ann", "Bea", "Cy", "Dee", "Eve"]);
+    });
+
+    it("ranks by percentage, newest first within a tie", async () => {
+        await loadScores("highest");
+        expect(readTable()).toEqual([
+            ["1", "Ann", true],
+            ["2", "Cy", false],
+            ["2", "Bea", false],
+            ["4", "Eve", false],
+            ["4", "Dee", false]
+        ]);
+        expect(document.getElementById("top-score").textContent).toBe("🏆 Top score: 90% (1 player)");
+    });
+
+    it("lists the lowest scores first, oldest first within a tie", async () => {
+        await loadScores("lowest");
+        expect(names()).toEqual(["Dee", "Eve", "Bea", "Cy", "Ann"]);
+        // Ranks still count from the best score, whatever the display order.
+        expect(readTable().map((row) => row[0])).toEqual(["4", "4", "2", "2", "1"]);
+    });
+
+    it("ranks by points, with rounds played without points last", async () => {
+        await loadScores("points");
+        expect(readTable()).toEqual([
+            ["1", "Ann", true],
+            ["2", "Cy", false],
+            ["3", "Bea", false],
+            ["4", "Eve", false],
+            ["5", "Dee", false]
+        ]);
+        expect(document.getElementById("top-score").textContent).toBe("🏆 Top points: 900 (1 player)");
+    });
+
+    it("highlights every row that shares the top score", async () => {
+        // Fay's new 90% game ties with Ann's.
+        const page = await loadScores("highest");
+        const storage = await import("../storage.js");
+        await storage.add(record("Fay", 18, 20, 6));
+        page.displayScores();
+        expect(readTable().slice(0, 3)).toEqual([
+            ["1", "Fay", true],
+            ["1", "Ann", true],
+            ["3", "Cy", false]
+        ]);
+        expect(document.getElementById("top-score").textContent).toBe("🏆 Top score: 90% (2 players)");
+    });
+
+    it("re-sorts when the sort option changes and remembers it", async () => {
+        await loadScores("newest");
+        const select = document.getElementById("sort-scores");
+        select.value = "oldest";
+        select.dispatchEvent(new Event("change"));
+        expect(names()).toEqual(["Ann", "Bea", "Cy", "Dee", "Eve"]);
+        expect(localStorage.getItem("scoreSort")).toBe("oldest");
+    });
+
+    it("lists boards for records with malformed settings", async () => {
+        const odd = Object.assign(record("Gus", 1, 2, 7), { settings: { category: "9", categoryName: 42, difficulty: 3, amount: 2 } });
+        await loadPage({ storage: { scores: JSON.stringify({ version: 2, backend: "localStorage", records: RECORDS.concat([odd]) }) } });
+        expect(names()[0]).toBe("Gus");
+        const labels = Array.from(document.getElementById("filter-board").options).map((option) => option.textContent);
+        expect(labels.some((label) => label.startsWith("42 · Any difficulty · 2 questions"))).toBe(true);
+    });
+
+    it("files a malformed setting on the same board as an unset one", async () => {
+        await loadPage();
+        const leaderboard = await import("../leaderboard.js");
+        const plain = Object.assign(record("Hal", 1, 2, 8), { settings: { category: "9", categoryName: "Books", amount: 2 } });
+        const odd = Object.assign(record("Ida", 1, 2, 9), { settings: { category: "9", categoryName: "Books", difficulty: 3, amount: "2" } });
+        const boards = leaderboard.listBoards([plain, odd]);
+
+        expect(boards).toEqual([{ key: "9|any|2", label: "Books · Any difficulty · 2 questions", count: 2 }]);
+        expect(leaderboard.getBoardKey({ settings: { category: { id: 9 }, difficulty: ["easy"], amount: "lots" } })).toBe("any|any|?");
+    });
+
+    it("shows a placeholder when there are no scores", async () => {
+        await loadPage();
+        expect(document.querySelector("#score-table tbody tr.empty").textContent).toBe("No scores yet.");
+        expect(document.getElementById("clear-scores").disabled).toBe(true);
+    });
+});
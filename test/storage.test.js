@@ -0,0 +1,173 @@
+// Tests for loading saved scores that are unreadable or partly invalid.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadPage } from "./page.js";
+
+// A valid stored record.
+const GOOD = { name: "Ann", correct: 3, total: 5, ts: Date.UTC(2024, 0, 1) };
+
+// Rows of the score table.
+function rows() {
+    return Array.from(document.querySelectorAll("#score-table tbody tr"));
+}
+
+// The parsed quarantine list.
+function readQuarantine() {
+    return JSON.parse(localStorage.getItem("scoresQuarantine") || "[]");
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe("corrupt score storage", () => {
+    it("keeps unreadable JSON aside and starts with an empty table", async () => {
+        // The load logs the parse error; keep the test output quiet.
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        await loadPage({ storage: { scores: "{not json" } });
+
+        const notice = document.getElementById("storage-notice");
+        expect(notice.classList.contains("hidden")).toBe(false);
+        expect(notice.textContent).toBe("Saved scores were unreadable; the original data was kept aside instead of being deleted.");
+        // The original text is kept in the quarantine, not lost.
+        expect(readQuarantine()).toEqual([expect.objectContaining({ raw: "{not json", reason: "invalidJson" })]);
+        // The scores key is replaced with a readable, empty envelope.
+        expect(JSON.parse(localStorage.getItem("scores"))).toMatchObject({ version: 2, records: [] });
+        expect(rows()).toHaveLength(1);
+        expect(rows()[0].textContent).toBe("No scores yet.");
+        expect(document.getElementById("quarantine-info").textContent).toBe("1 unreadable entry is kept aside.");
+    });
+
+    it("sets aside data in an unknown format", async () => {
+        await loadPage({ storage: { scores: JSON.stringify({ version: 99, records: [GOOD] }) } });
+
+        expect(document.getElementById("storage-notice").textContent).toContain("unreadable");
+        expect(readQuarantine()[0].reason).toBe("unknownFormat");
+        expect(rows()[0].textContent).toBe("No scores yet.");
+    });
+
+    it("keeps the valid rows and quarantines the invalid ones", async () => {
+        const bad = [
+            { name: "", correct: 1, total: 2, ts: 1 },
+            { name: "Bea", correct: 6, total: 5, ts: 2 },
+            "not a record"
+        ];
+        await loadPage({ storage: { scores: JSON.stringify({ version: 2, backend: "localStorage", records: [GOOD].concat(bad) }) } });
+
+        expect(document.getElementById("storage-notice").textContent).toBe("3 saved score rows were invalid and set aside.");
+        expect(readQuarantine().map((entry) => entry.reason)).toEqual([
+            "noName",
+            "correctOverTotal",
+            "notObject"
+        ]);
+        // Only the valid row is shown and kept.
+        expect(rows()).toHaveLength(1);
+        expect(rows()[0].cells[1].textContent).toBe("Ann");
+        expect(JSON.parse(localStorage.getItem("scores")).records).toEqual([GOOD]);
+    });
+
+    it("migrates a bare array from the first schema", async () => {
+        await loadPage({ storage: { scores: JSON.stringify([GOOD]) } });
+
+        expect(document.getElementById("storage-notice").classList.contains("hidden")).toBe(true);
+        expect(JSON.parse(localStorage.getItem("scores"))).toMatchObject({ version: 2, records: [GOOD] });
+        expect(rows()[0].cells[1].textContent).toBe("Ann");
+    });
+});
+
+describe("saving from two tabs", () => {
+    it("keeps the scores another tab saved after this one loaded", async () => {
+        await loadPage({ storage: { scores: JSON.stringify({ version: 2, backend: "localStorage", records: [GOOD] }) } });
+        const storage = await import("../storage.js");
+        // Another tab saves a score after this page has loaded its copy.
+        const other = { name: "Bea", correct: 4, total: 5, ts: Date.UTC(2024, 0, 2) };
+        const stored = JSON.parse(localStorage.getItem("scores"));
+        stored.records.push(other);
+        localStorage.setItem("scores", JSON.stringify(stored));
+
+        const mine = { name: "Cy", correct: 1, total: 5, ts: Date.UTC(2024, 0, 3) };
+        await storage.add(mine);
+
+        expect(JSON.parse(localStorage.getItem("scores")).records).toEqual([GOOD, other, mine]);
+        expect(storage.getAll()).toEqual([GOOD, other, mine]);
+    });
+
+    it("sets aside invalid rows another tab wrote instead of saving over them", async () => {
+        await loadPage({ storage: { scores: JSON.stringify({ version: 2, backend: "localStorage", records: [GOOD] }) } });
+        const storage = await import("../storage.js");
+        const bad = { name: "Bea", correct: 6, total: 5, ts: 2 };
+        localStorage.setItem("scores", JSON.stringify({ version: 2, backend: "localStorage", records: [GOOD, bad] }));
+
+        const mine = { name: "Cy", correct: 1, total: 5, ts: Date.UTC(2024, 0, 3) };
+        await storage.add(mine);
+
+        expect(JSON.parse(localStorage.getItem("scores")).records).toEqual([GOOD, mine]);
+        expect(readQuarantine()).toEqual([expect.objectContaining({ record: bad, reason: "correctOverTotal" })]);
+    });
+});
+
+describe("retention", () => {
+    it("keeps a long history when no limit has been set", async () => {
+        const history = Array.from({ length: 1200 }, (_, i) => ({ name: "Ann", correct: 1, total: 2, ts: i + 1 }));
+        await loadPage({ storage: { scores: JSON.stringify({ version: 2, backend: "localStorage", records: history }) } });
+        const storage = await import("../storage.js");
+
+        expect(storage.getAll()).toHaveLength(1200);
+        expect(document.getElementById("storage-notice").classList.contains("hidden")).toBe(true);
+        expect(document.getElementById("retention-max-records").value).toBe("0");
+    });
+});
+
+describe("full storage", () => {
+    // Fail writes to the quarantine the way a full localStorage does, while the check holds.
+    function failQuarantineWrites(check) {
+        const setItem = Storage.prototype.setItem;
+        vi.spyOn(Storage.prototype, "setItem").mockImplementation(function (key, value) {
+            if (key === "scoresQuarantine" && check()) throw new DOMException("Storage is full", "QuotaExceededError");
+            return setItem.call(this, key, value);
+        });
+    }
+
+    it("moves unreadable scores aside when there is only room for one copy", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        failQuarantineWrites(() => localStorage.getItem("scores") !== null);
+        await loadPage({ storage: { scores: "{not json" } });
+
+        expect(readQuarantine()).toEqual([expect.objectContaining({ raw: "{not json", reason: "invalidJson" })]);
+        expect(document.getElementById("storage-notice").textContent).toContain("unreadable");
+        expect(rows()[0].textContent).toBe("No scores yet.");
+    });
+
+    it("still starts, and leaves the unreadable scores in place, when they cannot be set aside", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        failQuarantineWrites(() => true);
+        const page = await loadPage({ storage: { scores: "{not json" } });
+
+        await expect(page.ready).resolves.toBeUndefined();
+        expect(rows()[0].textContent).toBe("No scores yet.");
+        expect(localStorage.getItem("scores")).toBe("{not json");
+        expect(document.getElementById("storage-notice").textContent).toBe(
+            "Saved scores are unreadable and browser storage is too full to set them aside, so they were left as they are and new scores cannot be saved."
+        );
+        // Saving a score must not write over them either.
+        const storage = await import("../storage.js");
+        await expect(storage.add(GOOD)).rejects.toBeInstanceOf(storage.StorageQuotaError);
+        expect(localStorage.getItem("scores")).toBe("{not json");
+    });
+
+    it("leaves invalid rows in place when they cannot be set aside", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        failQuarantineWrites(() => true);
+        const stored = JSON.stringify({ version: 2, backend: "localStorage", records: [GOOD, { name: "", correct: 1, total: 2, ts: 1 }] });
+        await loadPage({ storage: { scores: stored } });
+
+        expect(document.getElementById("storage-notice").textContent).toBe(
+            "1 saved score row is invalid and browser storage is too full to set it aside, so it was left in place and is not shown."
+        );
+        expect(rows()).toHaveLength(1);
+        expect(localStorage.getItem("scores")).toBe(stored);
+        const storage = await import("../storage.js");
+        await expect(storage.add(GOOD)).rejects.toBeInstanceOf(storage.StorageQuotaError);
+        expect(localStorage.getItem("scores")).toBe(stored);
+    });
+});
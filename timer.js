@@ -0,0 +1,93 @@
+// Provide a high-level description of the timer helpers.
+/**
+ * Countdown timers for timed rounds, plus a duration formatter for the score table.
+ * Remaining time is measured against Date.now(), so a busy or throttled tab never
+ * makes a countdown run slow.
+ */
+
+// How often running countdowns refresh, in milliseconds.
+const TICK_MS = 250;
+
+// Document what the createCountdown function does in this block comment.
+/**
+ * Creates a pausable countdown.
+ * @param {number} durationMs - Total time on the clock.
+ * @param {{ onTick: function(number), onExpire: function() }} handlers - Called with the remaining time on every tick, and once when time runs out.
+ * @returns {{ start: function(), pause: function(), stop: function(), getRemaining: function(): number, isRunning: function(): boolean }} The countdown controls.
+ */
+function createCountdown(durationMs, handlers) {
+    // Time left when the countdown was last paused (or created).
+    let remaining = durationMs;
+    // Wall-clock time the current run started, or null while paused.
+    let runningSince = null;
+    // Interval handle for the tick loop.
+    let intervalId = null;
+
+    // Work out the remaining time right now.
+    function getRemaining() {
+        if (runningSince === null) return remaining;
+        return Math.max(0, remaining - (Date.now() - runningSince));
+    }
+
+    // Report the current time and expire when it reaches zero.
+    function tick() {
+        const left = getRemaining();
+        if (handlers.onTick) handlers.onTick(left);
+        if (left <= 0) {
+            // Stop first so an expiry handler can safely start other timers.
+            pause();
+            if (handlers.onExpire) handlers.onExpire();
+        }
+    }
+
+    // Start (or resume) the countdown.
+    function start() {
+        // Ignore repeated starts and finished countdowns.
+        if (runningSince !== null || remaining <= 0) return;
+        runningSince = Date.now();
+        intervalId = setInterval(tick, TICK_MS);
+        // Paint the starting value straight away.
+        if (handlers.onTick) handlers.onTick(remaining);
+    }
+
+    // Pause the countdown, keeping the time that is left.
+    function pause() {
+        if (runningSince === null) return;
+        remaining = getRemaining();
+        runningSince = null;
+        clearInterval(intervalId);
+        intervalId = null;
+    }
+
+    // Stop the countdown for good.
+    function stop() {
+        pause();
+        remaining = 0;
+    }
+
+    return {
+        start: start,
+        pause: pause,
+        stop: stop,
+        getRemaining: getRemaining,
+        isRunning: () => runningSince !== null
+    };
+}
+
+// Format a duration in milliseconds as "m:ss" (or "h:mm:ss" for an hour or more).
+function formatDuration(ms) {
+    // Round up so a countdown shows 0:01 until it truly runs out.
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+// Expose the public helpers.
+export {
+    createCountdown,
+    formatDuration
+};
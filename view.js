@@ -0,0 +1,360 @@
+// Provide a high-level description of the view module.
+/**
+ * DOM rendering for the page: question blocks and their answers, the reveal after grading,
+ * inline errors, countdown badges, score table rows and the player dashboard's chart and tables.
+ * Every function draws into the elements it is given and keeps no state of its own, so the
+ * same helpers serve the solo round, match turns and live rooms, and can be tested on any document.
+ * Text is always set with textContent, so question and answer text can never inject markup.
+ */
+
+// Import the modules this one builds on.
+import * as i18n from "./i18n.js";
+import * as timer from "./timer.js";
+import * as leaderboard from "./leaderboard.js";
+
+// Translate interface text into the chosen language (see i18n.js).
+const t = i18n.t;
+
+// Show a message key's text in an element, and remember the key so translatePage can redo it.
+function setTranslatedText(el, key) {
+    el.dataset.i18n = key;
+    el.textContent = t(key);
+}
+
+// Add text to an element that only screen readers read out.
+function appendScreenReaderText(el, text) {
+    const span = document.createElement("span");
+    span.className = "sr-only";
+    span.textContent = text;
+    el.appendChild(span);
+}
+
+// Document what the renderQuestions function does in this block comment.
+/**
+ * Replaces the container's content with one fieldset per question.
+ * @param {HTMLElement} container - Where the questions go (#question-container).
+ * @param {Object[]} questions - Question models from game.createGame.
+ */
+function renderQuestions(container, questions) {
+    // Clear any existing question blocks so we start fresh.
+    container.replaceChildren();
+    // Loop over the array of question models and render each one.
+    questions.forEach((question, index) => {
+        // Group each question's radios in a fieldset so its legend names the group.
+        const fieldset = document.createElement("fieldset");
+        // Link the block to its model by id (the id says nothing about the answer).
+        fieldset.dataset.questionId = question.id;
+        // Tag true/false questions so their answers sit side by side.
+        if (question.type === "boolean") fieldset.classList.add("question-boolean");
+        // Create the prompt legend and set its text safely.
+        const legend = document.createElement("legend");
+        legend.textContent = question.text;
+        fieldset.appendChild(legend);
+        // Append the answer labels.
+        createAnswerOptions(question, index).forEach((label) => fieldset.appendChild(label));
+        // Add the inline error, linked to the group with aria-describedby while it is shown.
+        const error = document.createElement("p");
+        error.id = `question-error-${index}`;
+        error.className = "field-error hidden";
+        fieldset.appendChild(error);
+        // Append the question block to the overall container.
+        container.appendChild(fieldset);
+    });
+}
+
+// Build the set of radio options for a given question.
+/**
+ * Creates label elements for the answer options.
+ * Radios carry only the option id, so the correct answer cannot be read from the page.
+ * @param {Object} question - A question model; its options are already in display order.
+ * @param {number} questionIndex - The index of the current question.
+ * @returns {HTMLLabelElement[]} One label (wrapping its radio) per option.
+ */
+function createAnswerOptions(question, questionIndex) {
+    // Map options to label+radio elements.
+    return question.options.map((option) => {
+        // Create the label that wraps the radio and its text.
+        const label = document.createElement("label");
+        // Create the radio input for this option.
+        const input = document.createElement("input");
+        input.type = "radio";
+        input.name = `answer${questionIndex}`;
+        // Use the opaque option id as the value; grading maps it back through the model.
+        input.value = option.id;
+        // Put the radio first, then the answer as a text node.
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(option.text));
+        return label;
+    });
+}
+
+// Document what the readSelections function does in this block comment.
+/**
+ * Collects the selected option for every question on screen.
+ * @param {HTMLElement} container - The container the questions were rendered into.
+ * @param {Object[]} questions - The question models, in the order they were rendered.
+ * @returns {Object<string, string>} The checked option id by question id (unanswered questions are left out).
+ */
+function readSelections(container, questions) {
+    // Map question id to the checked radio's option id.
+    const selections = {};
+    questions.forEach((question, i) => {
+        const selected = container.querySelector(`input[name="answer${i}"]:checked`);
+        if (selected) selections[question.id] = selected.value;
+    });
+    return selections;
+}
+
+// Document what the revealAnswers function does in this block comment.
+/**
+ * Marks the correct option and any wrong selection after grading.
+ * @param {HTMLElement} container - The container holding the questions.
+ * @param {Object[]} results - Graded results from grader.gradeGame.
+ */
+function revealAnswers(container, results) {
+    // Walk through the graded questions.
+    results.forEach((result) => {
+        // Find the correct option's radio by its id and mark its label.
+        const correctInput = container.querySelector(`input[value="${result.correctOptionId}"]`);
+        if (correctInput && correctInput.parentElement) {
+            correctInput.parentElement.classList.add("correct");
+            // Say it in words too, since the colour alone is not read out.
+            appendScreenReaderText(correctInput.parentElement, ` ${t(result.isCorrect ? "reveal.yoursCorrect" : "reveal.correct")}`);
+        }
+        // Mark a wrong selection's label as incorrect.
+        if (result.selectedOptionId && !result.isCorrect) {
+            const selectedInput = container.querySelector(`input[value="${result.selectedOptionId}"]`);
+            if (selectedInput && selectedInput.parentElement) {
+                selectedInput.parentElement.classList.add("incorrect");
+                appendScreenReaderText(selectedInput.parentElement, ` ${t("reveal.yoursIncorrect")}`);
+            }
+        }
+    });
+}
+
+// Show a countdown value in its badge (labelled by a message key), highlighting the last ten seconds.
+function renderTimer(el, labelKey, ms) {
+    el.textContent = t(labelKey, { time: timer.formatDuration(ms) });
+    el.classList.toggle("urgent", ms <= 10000);
+    el.classList.remove("hidden");
+}
+
+// Disable a locked question's radios and add a note explaining the lock.
+function renderLock(container, question) {
+    // Find the question's block.
+    const block = container.querySelector(`[data-question-id="${question.id}"]`);
+    if (!block) return;
+    // Disable the radios and dim the block.
+    block.classList.add("locked");
+    setQuestionError(block, "");
+    block.querySelectorAll('input[type="radio"]').forEach((input) => {
+        input.disabled = true;
+    });
+    // Explain what the lock means for this question.
+    const answered = !!block.querySelector('input[type="radio"]:checked');
+    const note = document.createElement("p");
+    note.className = "lock-note";
+    note.textContent = t(answered ? "game.lockedAnswered" : "game.lockedBlank");
+    block.appendChild(note);
+}
+
+// Document what the setQuestionError function does in this block comment.
+/**
+ * Shows or clears a question's inline error, linking it to the question's group.
+ * @param {HTMLFieldSetElement} block - The question's fieldset.
+ * @param {string} message - The error to show; empty to clear it.
+ */
+function setQuestionError(block, message) {
+    const error = block.querySelector(".field-error");
+    block.classList.toggle("invalid", !!message);
+    if (!error) return;
+    error.textContent = message;
+    error.classList.toggle("hidden", !message);
+    if (message) {
+        block.setAttribute("aria-describedby", error.id);
+    } else {
+        block.removeAttribute("aria-describedby");
+    }
+}
+
+// Show an error under a text input and mark the input as invalid.
+function showFieldError(input, error, message) {
+    error.textContent = message;
+    error.classList.remove("hidden");
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", error.id);
+}
+
+// Clear a text input's error.
+function clearFieldError(input, error) {
+    error.textContent = "";
+    error.classList.add("hidden");
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+}
+
+// Format a record's score cell: "correct/total", plus points when the round used them.
+function formatScore(record) {
+    const base = record.correct + "/" + record.total;
+    return leaderboard.getPointsTotal(record) >= 0 ? base + " · " + t("scores.pointsShort", { points: record.points.total }) : base;
+}
+
+// Document what the appendScoreRow function does in this block comment.
+/**
+ * Adds a row to the score table: rank, name, score, date and how long the round took.
+ * @param {HTMLTableSectionElement} tbody - The score table's body.
+ * @param {Object} record - A score record.
+ * @param {{ rank: string, top: boolean, playerLink: boolean }} options - The rank to show, whether the
+ *     record has the top score, and whether the name is a button that opens the player's dashboard.
+ */
+function appendScoreRow(tbody, record, options) {
+    // Create a table row element for this record, marked when it has the top score.
+    const tr = document.createElement("tr");
+    if (options.top) tr.classList.add("top");
+    // Show the record's rank by score.
+    const tdRank = document.createElement("td");
+    tdRank.textContent = options.rank;
+    // Show the name, as a button that opens the player's dashboard when asked for.
+    const tdName = document.createElement("td");
+    if (options.playerLink) {
+        const nameButton = document.createElement("button");
+        nameButton.type = "button";
+        nameButton.className = "player-link";
+        nameButton.textContent = record.name;
+        nameButton.title = t("scores.showStats");
+        tdName.appendChild(nameButton);
+    } else {
+        tdName.textContent = record.name;
+    }
+    // Create and fill cells for the score and date.
+    const tdScore = document.createElement("td");
+    tdScore.textContent = formatScore(record);
+    const tdDate = document.createElement("td");
+    tdDate.textContent = typeof record.ts === "number" ? i18n.formatDateTime(record.ts) : "—";
+    // Show how long the round took, when it was recorded.
+    const tdTime = document.createElement("td");
+    tdTime.textContent = typeof record.durationMs === "number" ? timer.formatDuration(record.durationMs) : "—";
+    // Append the cells and row to the table.
+    tr.appendChild(tdRank);
+    tr.appendChild(tdName);
+    tr.appendChild(tdScore);
+    tr.appendChild(tdDate);
+    tr.appendChild(tdTime);
+    tbody.appendChild(tr);
+}
+
+// Render a single placeholder row spanning the score table.
+function showEmptyScoreRow(tbody, message) {
+    const emptyTr = document.createElement("tr");
+    emptyTr.className = "empty";
+    const emptyTd = document.createElement("td");
+    emptyTd.setAttribute("colspan", "5");
+    emptyTd.textContent = message;
+    emptyTr.appendChild(emptyTd);
+    tbody.appendChild(emptyTr);
+}
+
+// Document what the renderTrendChart function does in this block comment.
+/**
+ * Draws the player's percentage per game as a small SVG line chart (oldest game on the left).
+ * @param {HTMLElement} target - The element the chart replaces the content of.
+ * @param {{ ts: number, percent: number }[]} trend - One point per game, oldest first.
+ */
+function renderTrendChart(target, trend) {
+    // Chart size in SVG units; the chart scales with its container.
+    const width = 300;
+    const height = 100;
+    const pad = 8;
+    const svgNs = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(svgNs, "svg");
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("class", "trend-chart");
+    // Describe the chart for screen readers.
+    svg.setAttribute("role", "img");
+    svg.setAttribute("aria-label", t("dashboard.trendLabel", {
+        count: trend.length,
+        from: i18n.formatPercent(trend[0].percent),
+        to: i18n.formatPercent(trend[trend.length - 1].percent)
+    }));
+    // Map each game to a point: spread evenly across, 0–100% bottom to top.
+    const points = trend.map((point, i) => ({
+        x: trend.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (trend.length - 1),
+        y: height - pad - (point.percent / 100) * (height - 2 * pad),
+        point: point
+    }));
+    // Join the points with a line.
+    const line = document.createElementNS(svgNs, "polyline");
+    line.setAttribute("points", points.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" "));
+    svg.appendChild(line);
+    // Mark each game with a dot whose tooltip gives the date and score.
+    points.forEach((p) => {
+        const dot = document.createElementNS(svgNs, "circle");
+        dot.setAttribute("cx", p.x.toFixed(1));
+        dot.setAttribute("cy", p.y.toFixed(1));
+        dot.setAttribute("r", "3");
+        const title = document.createElementNS(svgNs, "title");
+        const when = typeof p.point.ts === "number" ? i18n.formatDateTime(p.point.ts) : "—";
+        title.textContent = t("dashboard.trendPoint", { date: when, percent: i18n.formatPercent(p.point.percent) });
+        dot.appendChild(title);
+        svg.appendChild(dot);
+    });
+    target.innerHTML = "";
+    target.appendChild(svg);
+}
+
+// Fill one accuracy table, or show a placeholder row when there is no data.
+function fillAccuracyTable(tbody, rows) {
+    tbody.innerHTML = "";
+    if (rows.length === 0) {
+        const tr = document.createElement("tr");
+        const td = document.createElement("td");
+        td.setAttribute("colspan", "3");
+        td.textContent = t("dashboard.noData");
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+        return;
+    }
+    rows.forEach((row) => {
+        const tr = document.createElement("tr");
+        [row.label, `${row.correct}/${row.total}`, i18n.formatPercent(row.percent)].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+}
+
+// Hand a file to the browser through a temporary download link.
+function downloadFile(text, type, fileName) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Release the object URL once the click has been handled.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Expose the public helpers.
+export {
+    setTranslatedText,
+    appendScreenReaderText,
+    renderQuestions,
+    createAnswerOptions,
+    readSelections,
+    revealAnswers,
+    renderTimer,
+    renderLock,
+    setQuestionError,
+    showFieldError,
+    clearFieldError,
+    formatScore,
+    appendScoreRow,
+    showEmptyScoreRow,
+    renderTrendChart,
+    fillAccuracyTable,
+    downloadFile
+};
@@ -0,0 +1,13 @@
+// Configure the test runner: the page modules run against a jsdom document.
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+    test: {
+        // Give every test file a browser-like window, document and localStorage.
+        environment: "jsdom",
+        // Serve the tests from a page URL so relative paths and storage behave as in the browser.
+        environmentOptions: { jsdom: { url: "http://localhost:8000/" } },
+        // The suites live in the test folder.
+        include: ["test/**/*.test.js"]
+    }
+});